@@ -1,12 +1,21 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const moment = require('moment');
 const { v4: uuidv4 } = require('uuid');
+const { CONCENTRATION_COLUMNS, computeConcentration } = require('../services/concentration');
+const { DEFAULT_TICKER } = require('../services/tickers');
+
+// Holds the database whose write queue the current async context already owns (see exclusive)
+const queueOwner = new AsyncLocalStorage();
 
 class TheoriqDatabase {
-    constructor() {
-        this.dbPath = path.join(__dirname, 'theoriq_staging.db');
+    // dbPath lets tools run against a separate file (e.g. the scheduler tester's sandbox)
+    constructor(dbPath = path.join(__dirname, 'theoriq_staging.db')) {
+        this.dbPath = dbPath;
         this.db = null;
+        // Tail of the write queue (see exclusive)
+        this.writeQueue = Promise.resolve();
         this.connect();
     }
 
@@ -70,119 +79,720 @@ class TheoriqDatabase {
                     )
                 `);
 
+                // Scheduled and manual job executions
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS job_runs (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        run_id TEXT UNIQUE NOT NULL,
+                        job_type TEXT NOT NULL,
+                        trigger TEXT NOT NULL,
+                        status TEXT NOT NULL,
+                        started_at TEXT NOT NULL,
+                        finished_at TEXT,
+                        duration_ms INTEGER,
+                        error_message TEXT,
+                        snapshot_id TEXT,
+                        collection_run_id TEXT,
+                        details TEXT
+                    )
+                `);
+
+                // Hashed API keys for /api/admin routes
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS admin_api_keys (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        key_id TEXT UNIQUE NOT NULL,
+                        name TEXT NOT NULL,
+                        key_hash TEXT UNIQUE NOT NULL,
+                        key_prefix TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        last_used_at DATETIME,
+                        revoked_at DATETIME
+                    )
+                `);
+
+                // Rejected admin authentication attempts
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS admin_auth_failures (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        ip TEXT,
+                        method TEXT NOT NULL,
+                        path TEXT NOT NULL,
+                        reason TEXT NOT NULL,
+                        key_prefix TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+
+                // Client API keys for the public routes, each with its own quota
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS client_api_keys (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        key_id TEXT UNIQUE NOT NULL,
+                        name TEXT NOT NULL,
+                        key_hash TEXT UNIQUE NOT NULL,
+                        key_prefix TEXT NOT NULL,
+                        quota_limit INTEGER NOT NULL,
+                        quota_window_minutes INTEGER NOT NULL,
+                        total_requests INTEGER DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        last_used_at DATETIME,
+                        revoked_at DATETIME
+                    )
+                `);
+
+                // Request counters per client key and fixed quota window
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS client_key_usage (
+                        key_id TEXT NOT NULL,
+                        window_start TEXT NOT NULL,
+                        request_count INTEGER NOT NULL DEFAULT 0,
+                        PRIMARY KEY (key_id, window_start)
+                    )
+                `);
+
+                // Outbound webhook subscriptions
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        webhook_id TEXT UNIQUE NOT NULL,
+                        url TEXT NOT NULL,
+                        secret TEXT NOT NULL,
+                        events TEXT NOT NULL,
+                        description TEXT,
+                        active BOOLEAN DEFAULT 1,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+
+                // One row per event sent to a subscription, updated on every attempt
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        delivery_id TEXT UNIQUE NOT NULL,
+                        webhook_id TEXT NOT NULL,
+                        event_id TEXT NOT NULL,
+                        event_type TEXT NOT NULL,
+                        payload TEXT NOT NULL,
+                        status TEXT NOT NULL,
+                        attempts INTEGER DEFAULT 0,
+                        response_status INTEGER,
+                        error_message TEXT,
+                        next_attempt_at DATETIME,
+                        delivered_at DATETIME,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+
+                // Reward pool calculations and their per-account allocations
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS reward_calculations (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        calculation_id TEXT UNIQUE NOT NULL,
+                        snapshot_id TEXT NOT NULL,
+                        window_period TEXT NOT NULL,
+                        collection_date TEXT NOT NULL,
+                        pool REAL NOT NULL,
+                        policy TEXT NOT NULL,
+                        total_allocated REAL NOT NULL,
+                        recipients INTEGER NOT NULL,
+                        excluded TEXT,
+                        note TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (snapshot_id) REFERENCES weekly_snapshots (snapshot_id)
+                    )
+                `);
+
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS reward_allocations (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        calculation_id TEXT NOT NULL,
+                        rank INTEGER NOT NULL,
+                        username TEXT NOT NULL,
+                        mindshare REAL,
+                        tweets INTEGER,
+                        amount REAL NOT NULL,
+                        amount_units INTEGER NOT NULL,
+                        share REAL NOT NULL,
+                        capped BOOLEAN DEFAULT 0,
+                        FOREIGN KEY (calculation_id) REFERENCES reward_calculations (calculation_id)
+                    )
+                `);
+
+                // Accounts hidden from or marked on the public leaderboard
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS account_flags (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        flag_id TEXT UNIQUE NOT NULL,
+                        username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+                        flag_type TEXT NOT NULL,
+                        action TEXT NOT NULL DEFAULT 'exclude',
+                        reason TEXT,
+                        created_by TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+
+                // Tracked tickers; cron and windows fall back to the scheduler defaults when null
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS tickers (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        ticker TEXT UNIQUE NOT NULL,
+                        name TEXT,
+                        collection_cron TEXT,
+                        collection_windows TEXT,
+                        active INTEGER NOT NULL DEFAULT 1,
+                        created_by TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    )
+                `);
+
+                // Raw upstream response of each snapshot, gzip-compressed (see PayloadArchive)
+                this.db.run(`
+                    CREATE TABLE IF NOT EXISTS snapshot_payloads (
+                        snapshot_id TEXT PRIMARY KEY,
+                        ticker TEXT NOT NULL,
+                        window_period TEXT NOT NULL,
+                        payload BLOB NOT NULL,
+                        payload_hash TEXT NOT NULL,
+                        payload_bytes INTEGER NOT NULL,
+                        compressed_bytes INTEGER NOT NULL,
+                        source TEXT,
+                        http_status INTEGER,
+                        latency_ms INTEGER,
+                        fetched_at TEXT,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (snapshot_id) REFERENCES weekly_snapshots (snapshot_id)
+                    )
+                `);
+
                 // Create indexes for better performance
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_snapshots_date ON weekly_snapshots(collection_date)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_yappers_snapshot ON yappers_history(snapshot_id)`);
                 this.db.run(`CREATE INDEX IF NOT EXISTS idx_yappers_rank ON yappers_history(rank)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_job_runs_type ON job_runs(job_type)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status)`);
+                this.db.run(`CREATE INDEX IF NOT EXISTS idx_reward_allocations_calculation ON reward_allocations(calculation_id)`);
 
                 // Final statement to check completion
                 this.db.run(`SELECT 1`, (err) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve();
+                        this.runMigrations().then(resolve).catch(reject);
                     }
                 });
             });
         });
     }
 
-    // Save a complete snapshot of metrics and yappers
-    async saveSnapshot(metrics, yappers, windowPeriod = '7d', isLive = true) {
+    // Bring tables created by older versions up to the current schema
+    async runMigrations() {
+        await this.addColumnIfMissing('weekly_snapshots', 'collection_run_id', 'TEXT');
+        await this.run(`CREATE INDEX IF NOT EXISTS idx_snapshots_run ON weekly_snapshots(collection_run_id)`);
+
+        // Revisions: only one current snapshot per window and collection date
+        await this.addColumnIfMissing('weekly_snapshots', 'revision', 'INTEGER DEFAULT 1');
+        const addedCurrentFlag = await this.addColumnIfMissing('weekly_snapshots', 'is_current', 'INTEGER DEFAULT 1');
+        if (addedCurrentFlag) {
+            // Existing duplicates keep only their newest row as current
+            await this.run(`
+                UPDATE weekly_snapshots SET is_current = 0
+                WHERE id NOT IN (SELECT MAX(id) FROM weekly_snapshots GROUP BY window_period, collection_date)
+            `);
+        }
+
+        // Multi-ticker: snapshots stored before tickers existed belong to the default ticker
+        const addedTicker = await this.addColumnIfMissing('weekly_snapshots', 'ticker', `TEXT NOT NULL DEFAULT '${DEFAULT_TICKER}'`);
+        if (addedTicker) {
+            console.log(`🏷️ Existing snapshots assigned to ${DEFAULT_TICKER}`);
+        }
+        if (await this.addColumnIfMissing('job_runs', 'ticker', 'TEXT')) {
+            await this.run(`UPDATE job_runs SET ticker = ? WHERE job_type = 'weekly-collection'`, [DEFAULT_TICKER]);
+        }
+        await this.run(`INSERT OR IGNORE INTO tickers (ticker, name) VALUES (?, ?)`, [DEFAULT_TICKER, 'Theoriq']);
+
+        // One current snapshot per ticker, window and collection date
+        await this.run(`DROP INDEX IF EXISTS idx_snapshots_current_period`);
+        await this.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshots_current_ticker_period
+            ON weekly_snapshots(ticker, window_period, collection_date) WHERE is_current = 1
+        `);
+
+        // Mindshare concentration statistics, computed at save time
+        for (const column of Object.values(CONCENTRATION_COLUMNS)) {
+            await this.addColumnIfMissing('weekly_snapshots', column, 'REAL');
+        }
+        await this.backfillConcentration();
+
+        // Quarantine: snapshots that failed validation are kept out of every public query
+        // (is_current = 0) until an admin approves or discards them
+        await this.addColumnIfMissing('weekly_snapshots', 'status', `TEXT NOT NULL DEFAULT 'published'`);
+        await this.addColumnIfMissing('weekly_snapshots', 'quarantine_reason', 'TEXT');
+        await this.addColumnIfMissing('weekly_snapshots', 'reviewed_at', 'DATETIME');
+        await this.run(`CREATE INDEX IF NOT EXISTS idx_snapshots_status ON weekly_snapshots(status)`);
+
+        // Upstream mode the snapshot was collected in (UPSTREAM_MODES); older snapshots came from live data
+        await this.addColumnIfMissing('weekly_snapshots', 'upstream_mode', `TEXT NOT NULL DEFAULT 'live'`);
+
+        // Simulations used to be recorded as the job they simulated
+        await this.run(`
+            UPDATE job_runs SET job_type = 'simulation:' || substr(trigger, length('/api/admin/simulate/') + 1)
+            WHERE trigger LIKE '/api/admin/simulate/%' AND job_type NOT LIKE 'simulation:%'
+        `);
+    }
+
+    // Compute concentration statistics for snapshots saved before they existed
+    async backfillConcentration() {
+        const pending = await new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT snapshot_id FROM weekly_snapshots s
+                WHERE gini IS NULL AND EXISTS (SELECT 1 FROM yappers_history y WHERE y.snapshot_id = s.snapshot_id)
+            `, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+
+        for (const { snapshot_id: snapshotId } of pending) {
+            const yappers = await this.getYappersForSnapshot(snapshotId, await this.getYapperCountForSnapshot(snapshotId), 0);
+            await this.updateSnapshotConcentration(snapshotId, computeConcentration(yappers));
+        }
+
+        if (pending.length > 0) {
+            console.log(`📐 Backfilled concentration statistics for ${pending.length} snapshots`);
+        }
+        return pending.length;
+    }
+
+    async updateSnapshotConcentration(snapshotId, stats) {
+        const entries = Object.entries(CONCENTRATION_COLUMNS);
+        await this.run(
+            `UPDATE weekly_snapshots SET ${entries.map(([, column]) => `${column} = ?`).join(', ')} WHERE snapshot_id = ?`,
+            [...entries.map(([key]) => stats[key]), snapshotId]
+        );
+    }
+
+    // Add a column unless it already exists (SQLite has no ADD COLUMN IF NOT EXISTS)
+    async addColumnIfMissing(table, column, definition) {
         return new Promise((resolve, reject) => {
-            const snapshotId = uuidv4();
-            const collectionDate = moment().format('YYYY-MM-DD');
-            
-            this.db.serialize(() => {
-                // Start transaction
-                this.db.run('BEGIN TRANSACTION');
+            this.db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
 
-                // Insert snapshot metadata
-                const snapshotStmt = this.db.prepare(`
-                    INSERT INTO weekly_snapshots 
-                    (snapshot_id, collection_date, window_period, total_yappers, total_tweets, top_impressions, top_likes, is_live)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                `);
+                if (columns.some(col => col.name === column)) {
+                    resolve(false);
+                    return;
+                }
 
-                snapshotStmt.run([
-                    snapshotId,
-                    collectionDate,
-                    windowPeriod,
-                    metrics.totalYappers,
-                    metrics.totalTweets,
-                    metrics.topImpressions,
-                    metrics.topLikes,
-                    isLive ? 1 : 0
-                ], (err) => {
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
                     if (err) {
-                        this.db.run('ROLLBACK');
-                        snapshotStmt.finalize();
                         reject(err);
-                        return;
+                    } else {
+                        console.log(`🔧 Added column ${table}.${column}`);
+                        resolve(true);
                     }
+                });
+            });
+        });
+    }
 
-                    console.log(`📸 Snapshot saved with ID: ${snapshotId}`);
-
-                    // Insert yappers data
-                    const yapperStmt = this.db.prepare(`
-                        INSERT INTO yappers_history 
-                        (snapshot_id, rank, username, mindshare, tweets, impressions, likes, twitter_url)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                    `);
-
-                    let processedYappers = 0;
-                    const totalYappers = yappers.length;
-
-                    yappers.forEach((yapper) => {
-                        yapperStmt.run([
-                            snapshotId,
-                            yapper.rank,
-                            yapper.username,
-                            yapper.mindshare,
-                            yapper.tweets,
-                            yapper.impressions,
-                            yapper.likes,
-                            yapper.twitterUrl
-                        ], (err) => {
-                            if (err) {
-                                console.error('❌ Error inserting yapper:', err);
-                            }
-
-                            processedYappers++;
-                            
-                            if (processedYappers === totalYappers) {
-                                yapperStmt.finalize();
-                                
-                                // Commit transaction
-                                this.db.run('COMMIT', (err) => {
-                                    if (err) {
-                                        reject(err);
-                                    } else {
-                                        console.log(`👥 Saved ${processedYappers} yappers for snapshot ${snapshotId}`);
-                                        console.log('✅ Snapshot saved successfully');
-                                        
-                                        resolve({
-                                            snapshotId,
-                                            collectionDate,
-                                            windowPeriod,
-                                            yapperCount: processedYappers,
-                                            metrics,
-                                            timestamp: moment().toISOString()
-                                        });
-                                    }
-                                });
-                            }
-                        });
-                    });
+    // Run a single statement and resolve with its lastID/changes
+    async run(sql, params = []) {
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        }));
+    }
+
+    // Run work() once every earlier queued write has finished. All writes share the one connection,
+    // so a write issued while a transaction is open would otherwise be committed or rolled back with
+    // it (e.g. a job_runs insert landing inside a snapshot save that fails). Statements issued from
+    // within work() itself skip the queue.
+    async exclusive(work) {
+        if (queueOwner.getStore() === this) return work();
+
+        const previous = this.writeQueue;
+        let release;
+        this.writeQueue = new Promise(resolve => { release = resolve; });
+
+        await previous;
+
+        try {
+            return await queueOwner.run(this, work);
+        } finally {
+            release();
+        }
+    }
+
+    // Run work() inside BEGIN/COMMIT, rolling back when it throws. SQLite cannot nest transactions
+    // on the one shared connection, so transactions take the write queue for their whole duration
+    // (e.g. collections of several tickers firing in the same minute).
+    async withTransaction(work) {
+        return this.exclusive(async () => {
+            await this.run('BEGIN TRANSACTION');
+
+            try {
+                const result = await work();
+                await this.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    // Save a complete snapshot of metrics and yappers
+    // options.upstreamMode records where the data came from; only 'live' snapshots are stored as is_live
+    // options.collectionRunId links snapshots collected in the same scheduler run
+    // options.duplicateMode decides what happens when the window already has a snapshot
+    // for the same collection date: 'skip', 'replace' (same snapshot id) or 'revision' (default)
+    // options.ticker is the project the data belongs to (default THEORIQ)
+    // options.payload: archive entry from PayloadArchive.pack, stored with the snapshot
+    // options.quarantineReason stores the snapshot in quarantine: it never replaces or supersedes
+    // the current snapshot and stays unpublished until approveSnapshot
+    async saveSnapshot(metrics, yappers, windowPeriod = '7d', isLive = true, options = {}) {
+        const collectionDate = moment().format('YYYY-MM-DD');
+        const collectionRunId = options.collectionRunId || null;
+        const duplicateMode = options.duplicateMode || 'revision';
+        const ticker = options.ticker || DEFAULT_TICKER;
+        const quarantineReason = options.quarantineReason || null;
+        const upstreamMode = options.upstreamMode || 'live';
+
+        // The duplicate lookup runs inside the transaction so concurrent saves of a window see each other
+        const saved = await this.withTransaction(async () => {
+            const existing = await this.getSnapshotForPeriod(windowPeriod, collectionDate, ticker);
+
+            if (existing && duplicateMode === 'skip') {
+                return { existing, skipped: true };
+            }
+
+            const replacing = !!existing && duplicateMode === 'replace' && !quarantineReason;
+            const snapshotId = replacing ? existing.snapshot_id : uuidv4();
+            // Counted over every revision of the date: quarantined ones never become current
+            const revision = replacing
+                ? existing.revision
+                : await this.getLastRevision(windowPeriod, collectionDate, ticker) + 1;
+            const snapshotValues = [
+                metrics.totalYappers,
+                metrics.totalTweets,
+                metrics.topImpressions,
+                metrics.topLikes,
+                isLive && upstreamMode === 'live' ? 1 : 0,
+                upstreamMode,
+                collectionRunId
+            ];
+
+            if (replacing) {
+                await this.run('DELETE FROM yappers_history WHERE snapshot_id = ?', [snapshotId]);
+                await this.run(`
+                    UPDATE weekly_snapshots
+                    SET total_yappers = ?, total_tweets = ?, top_impressions = ?, top_likes = ?, is_live = ?,
+                        upstream_mode = ?, collection_run_id = ?, created_at = CURRENT_TIMESTAMP
+                    WHERE snapshot_id = ?
+                `, [...snapshotValues, snapshotId]);
+            } else {
+                if (!quarantineReason) {
+                    // Older snapshots of the same ticker, window and date become revisions
+                    await this.run(
+                        'UPDATE weekly_snapshots SET is_current = 0 WHERE ticker = ? AND window_period = ? AND collection_date = ?',
+                        [ticker, windowPeriod, collectionDate]
+                    );
+                }
+                await this.run(`
+                    INSERT INTO weekly_snapshots 
+                    (snapshot_id, ticker, collection_date, window_period, total_yappers, total_tweets, top_impressions, top_likes, is_live, upstream_mode, collection_run_id, revision, is_current, status, quarantine_reason)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    snapshotId, ticker, collectionDate, windowPeriod, ...snapshotValues, revision,
+                    quarantineReason ? 0 : 1,
+                    quarantineReason ? 'quarantined' : 'published',
+                    quarantineReason
+                ]);
+            }
+
+            console.log(`📸 Snapshot saved with ID: ${snapshotId}`);
+
+            await this.insertYappers(snapshotId, yappers);
+            await this.updateSnapshotConcentration(snapshotId, computeConcentration(yappers));
+
+            if (options.payload) {
+                await this.saveSnapshotPayload(snapshotId, ticker, windowPeriod, options.payload);
+            } else if (replacing) {
+                // The previous payload no longer matches the replaced data
+                await this.run('DELETE FROM snapshot_payloads WHERE snapshot_id = ?', [snapshotId]);
+            }
+
+            return { existing, replacing, snapshotId, revision };
+        });
+
+        const { existing, replacing, snapshotId, revision } = saved;
+
+        if (saved.skipped) {
+            console.log(`⏭️ Snapshot for ${ticker} ${windowPeriod} on ${collectionDate} already exists (${existing.snapshot_id}), skipping`);
+            return {
+                snapshotId: existing.snapshot_id,
+                collectionDate,
+                windowPeriod,
+                ticker,
+                collectionRunId: existing.collection_run_id,
+                action: 'skipped',
+                revision: existing.revision,
+                upstreamMode: existing.upstream_mode,
+                yapperCount: await this.getYapperCountForSnapshot(existing.snapshot_id),
+                timestamp: moment().toISOString()
+            };
+        }
+
+        const action = quarantineReason ? 'quarantined' : (replacing ? 'replaced' : (existing ? 'revised' : 'created'));
+        console.log(`👥 Saved ${yappers.length} yappers for snapshot ${snapshotId}`);
+        if (quarantineReason) {
+            console.log(`🚧 Snapshot quarantined: ${quarantineReason}`);
+        } else {
+            console.log(`✅ Snapshot ${action} successfully`);
+        }
+
+        return {
+            snapshotId,
+            collectionDate,
+            windowPeriod,
+            ticker,
+            collectionRunId,
+            action,
+            revision,
+            upstreamMode,
+            yapperCount: yappers.length,
+            metrics,
+            ...(quarantineReason ? { quarantineReason } : {}),
+            timestamp: moment().toISOString()
+        };
+    }
+
+    // Snapshots waiting for review, newest first, with their yapper counts
+    async getQuarantinedSnapshots(filters = {}) {
+        const conditions = [`s.status = 'quarantined'`];
+        const params = [];
+
+        if (filters.ticker) {
+            conditions.push('s.ticker = ?');
+            params.push(filters.ticker);
+        }
+
+        if (filters.window) {
+            conditions.push('s.window_period = ?');
+            params.push(filters.window);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT s.*, (SELECT COUNT(*) FROM yappers_history y WHERE y.snapshot_id = s.snapshot_id) AS yapper_count
+                FROM weekly_snapshots s
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY s.created_at DESC
+            `, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Publish a quarantined snapshot: it becomes the current snapshot of its ticker, window and date
+    // (the one it supersedes is kept as a revision)
+    async approveSnapshot(snapshotId) {
+        return this.withTransaction(async () => {
+            const snapshot = await new Promise((resolve, reject) => {
+                this.db.get(
+                    `SELECT * FROM weekly_snapshots WHERE snapshot_id = ? AND status = 'quarantined'`,
+                    [snapshotId],
+                    (err, row) => (err ? reject(err) : resolve(row || null))
+                );
+            });
+
+            if (!snapshot) return null;
+
+            const superseded = await this.run(
+                'UPDATE weekly_snapshots SET is_current = 0 WHERE ticker = ? AND window_period = ? AND collection_date = ? AND is_current = 1',
+                [snapshot.ticker, snapshot.window_period, snapshot.collection_date]
+            );
+            await this.run(`
+                UPDATE weekly_snapshots SET status = 'published', is_current = 1, reviewed_at = CURRENT_TIMESTAMP
+                WHERE snapshot_id = ?
+            `, [snapshotId]);
+
+            return { ...snapshot, supersededCurrent: superseded.changes > 0 };
+        });
+    }
+
+    // Delete a quarantined snapshot with its yappers and archived payload; false if there was none
+    async discardSnapshot(snapshotId) {
+        return this.withTransaction(async () => {
+            const deleted = await this.run(
+                `DELETE FROM weekly_snapshots WHERE snapshot_id = ? AND status = 'quarantined'`,
+                [snapshotId]
+            );
+
+            if (deleted.changes === 0) return false;
+
+            await this.run('DELETE FROM yappers_history WHERE snapshot_id = ?', [snapshotId]);
+            await this.run('DELETE FROM snapshot_payloads WHERE snapshot_id = ?', [snapshotId]);
+            return true;
+        });
+    }
+
+    // Only called inside withTransaction: the prepared statement does not go through the write queue
+    async insertYappers(snapshotId, yappers) {
+        const yapperStmt = this.db.prepare(`
+            INSERT INTO yappers_history 
+            (snapshot_id, rank, username, mindshare, tweets, impressions, likes, twitter_url)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        try {
+            for (const yapper of yappers) {
+                await new Promise((resolve, reject) => {
+                    yapperStmt.run([
+                        snapshotId,
+                        yapper.rank,
+                        yapper.username,
+                        yapper.mindshare,
+                        yapper.tweets,
+                        yapper.impressions,
+                        yapper.likes,
+                        yapper.twitterUrl
+                    ], (err) => (err ? reject(err) : resolve()));
                 });
+            }
+        } finally {
+            await new Promise(resolve => yapperStmt.finalize(resolve));
+        }
+    }
+
+    // Swap the yappers of an existing snapshot (e.g. re-derived from its archived payload)
+    async replaceSnapshotYappers(snapshotId, yappers) {
+        await this.withTransaction(async () => {
+            await this.run('DELETE FROM yappers_history WHERE snapshot_id = ?', [snapshotId]);
+            await this.insertYappers(snapshotId, yappers);
+            await this.updateSnapshotConcentration(snapshotId, computeConcentration(yappers));
+        });
+
+        console.log(`♻️ Replaced yappers of snapshot ${snapshotId} (${yappers.length})`);
+    }
+
+    async saveSnapshotPayload(snapshotId, ticker, windowPeriod, entry) {
+        await this.run(`
+            INSERT OR REPLACE INTO snapshot_payloads
+            (snapshot_id, ticker, window_period, payload, payload_hash, payload_bytes, compressed_bytes,
+             source, http_status, latency_ms, fetched_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            snapshotId,
+            ticker,
+            windowPeriod,
+            entry.payload,
+            entry.hash,
+            entry.bytes,
+            entry.compressedBytes,
+            entry.source,
+            entry.httpStatus,
+            entry.latencyMs,
+            entry.fetchedAt
+        ]);
+    }
+
+    // Archived payload of a snapshot, including the compressed blob
+    async getSnapshotPayload(snapshotId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT p.*, s.collection_date FROM snapshot_payloads p
+                JOIN weekly_snapshots s ON s.snapshot_id = p.snapshot_id
+                WHERE p.snapshot_id = ?
+            `, [snapshotId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Archive metadata (without the blobs), oldest snapshot first
+    async listSnapshotPayloads(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.snapshotId) {
+            conditions.push('p.snapshot_id = ?');
+            params.push(filters.snapshotId);
+        }
+
+        if (filters.ticker) {
+            conditions.push('p.ticker = ?');
+            params.push(filters.ticker);
+        }
+
+        if (filters.window) {
+            conditions.push('p.window_period = ?');
+            params.push(filters.window);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
-                snapshotStmt.finalize();
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT p.snapshot_id, p.ticker, p.window_period, p.payload_hash, p.payload_bytes, p.compressed_bytes,
+                       p.source, p.http_status, p.latency_ms, p.fetched_at, p.created_at, s.collection_date
+                FROM snapshot_payloads p
+                JOIN weekly_snapshots s ON s.snapshot_id = p.snapshot_id
+                ${where}
+                ORDER BY s.collection_date ASC, s.created_at ASC
+            `, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
             });
         });
     }
 
-    // Get latest snapshot for a specific window
-    async getLatestSnapshot(windowPeriod = '7d') {
+    // Get the current snapshot of a ticker's window for a collection date, if any
+    async getSnapshotForPeriod(windowPeriod, collectionDate, ticker = DEFAULT_TICKER) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM weekly_snapshots WHERE ticker = ? AND window_period = ? AND collection_date = ? AND is_current = 1',
+                [ticker, windowPeriod, collectionDate],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row || null);
+                }
+            );
+        });
+    }
+
+    // Highest revision stored for a ticker, window and collection date (0 when there is none)
+    async getLastRevision(windowPeriod, collectionDate, ticker = DEFAULT_TICKER) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT MAX(revision) AS revision FROM weekly_snapshots WHERE ticker = ? AND window_period = ? AND collection_date = ?',
+                [ticker, windowPeriod, collectionDate],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row && row.revision ? row.revision : 0);
+                }
+            );
+        });
+    }
+
+    // Get latest snapshot for a specific window of a ticker
+    async getLatestSnapshot(windowPeriod = '7d', ticker = DEFAULT_TICKER) {
         return new Promise((resolve, reject) => {
             // First check if table exists
             this.db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='weekly_snapshots'", (err, row) => {
@@ -199,12 +809,12 @@ class TheoriqDatabase {
                 
                 const query = `
                     SELECT * FROM weekly_snapshots 
-                    WHERE window_period = ? 
+                    WHERE ticker = ? AND window_period = ? AND is_current = 1
                     ORDER BY created_at DESC 
                     LIMIT 1
                 `;
                 
-                this.db.get(query, [windowPeriod], (err, row) => {
+                this.db.get(query, [ticker, windowPeriod], (err, row) => {
                     if (err) {
                         reject(err);
                     } else {
@@ -268,7 +878,7 @@ class TheoriqDatabase {
     }
 
     // Get historical snapshots
-    async getHistoricalSnapshots(windowPeriod = '7d', limit = 10, offset = 0) {
+    async getHistoricalSnapshots(windowPeriod = '7d', limit = 10, offset = 0, ticker = DEFAULT_TICKER) {
         return new Promise((resolve, reject) => {
             // First check if table exists
             this.db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='weekly_snapshots'", (err, row) => {
@@ -289,12 +899,12 @@ class TheoriqDatabase {
                 
                 const query = `
                     SELECT * FROM weekly_snapshots 
-                    WHERE window_period = ? 
+                    WHERE ticker = ? AND window_period = ? AND is_current = 1
                     ORDER BY created_at DESC 
                     LIMIT ? OFFSET ?
                 `;
                 
-                this.db.all(query, [windowPeriod, limit, offset], (err, rows) => {
+                this.db.all(query, [ticker, windowPeriod, limit, offset], (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
@@ -309,8 +919,8 @@ class TheoriqDatabase {
         });
     }
 
-    // Get total count of snapshots for a window period
-    async getSnapshotCount(windowPeriod = '7d') {
+    // Get total count of snapshots for a window period of a ticker
+    async getSnapshotCount(windowPeriod = '7d', ticker = DEFAULT_TICKER) {
         return new Promise((resolve, reject) => {
             // First check if table exists
             this.db.get("SELECT name FROM sqlite_master WHERE type='table' AND name='weekly_snapshots'", (err, row) => {
@@ -327,10 +937,10 @@ class TheoriqDatabase {
                 
                 const query = `
                     SELECT COUNT(*) as count FROM weekly_snapshots 
-                    WHERE window_period = ?
+                    WHERE ticker = ? AND window_period = ? AND is_current = 1
                 `;
                 
-                this.db.get(query, [windowPeriod], (err, row) => {
+                this.db.get(query, [ticker, windowPeriod], (err, row) => {
                     if (err) {
                         reject(err);
                     } else {
@@ -392,101 +1002,874 @@ class TheoriqDatabase {
         });
     }
 
-    // Log Webflow sync attempt
-    async logWebflowSync(snapshotId, status, itemsSynced = 0, errorMessage = null) {
+    // Get a single yapper's entries across every stored snapshot of a ticker's window
+    // excludedUsernames (lowercase) are counted per snapshot in excluded_above when ranked higher,
+    // so the caller can turn rank into the public rank
+    async getYapperHistory(username, windowPeriod = '7d', fromDate = null, toDate = null, ticker = DEFAULT_TICKER, excludedUsernames = []) {
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare(`
-                INSERT INTO webflow_sync_log (snapshot_id, sync_status, items_synced, error_message)
-                VALUES (?, ?, ?, ?)
-            `);
+            const conditions = ['s.ticker = ?', 's.window_period = ?', 's.is_current = 1'];
+            const params = [...excludedUsernames, username, ticker, windowPeriod];
+            const excludedAbove = excludedUsernames.length > 0
+                ? `(SELECT COUNT(*) FROM yappers_history e
+                    WHERE e.snapshot_id = s.snapshot_id AND e.rank < y.rank
+                    AND LOWER(e.username) IN (${excludedUsernames.map(() => '?').join(', ')}))`
+                : '0';
+
+            if (fromDate) {
+                conditions.push('s.collection_date >= ?');
+                params.push(fromDate);
+            }
+
+            if (toDate) {
+                conditions.push('s.collection_date <= ?');
+                params.push(toDate);
+            }
 
-            stmt.run([snapshotId, status, itemsSynced, errorMessage], function(err) {
-                stmt.finalize();
+            // LEFT JOIN so snapshots where the account is missing are still returned
+            const query = `
+                SELECT s.snapshot_id, s.collection_date, s.window_period, s.created_at,
+                       y.rank, y.username, y.mindshare, y.tweets, y.impressions, y.likes,
+                       ${excludedAbove} AS excluded_above
+                FROM weekly_snapshots s
+                LEFT JOIN yappers_history y
+                    ON y.snapshot_id = s.snapshot_id AND LOWER(y.username) = LOWER(?)
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY s.collection_date ASC, s.created_at ASC
+            `;
+
+            this.db.all(query, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve({
-                        logId: this.lastID,
-                        snapshotId,
-                        status,
-                        itemsSynced,
-                        timestamp: moment().toISOString()
-                    });
+                    resolve(rows);
                 }
             });
         });
     }
 
-    // Clean old snapshots (keep only last N weeks)
-    async cleanOldSnapshots(weeksToKeep = 12) {
-        return new Promise((resolve, reject) => {
-            const cutoffDate = moment().subtract(weeksToKeep, 'weeks').format('YYYY-MM-DD');
-            
-            this.db.serialize(() => {
-                // Get snapshots to delete
-                this.db.all(
-                    'SELECT snapshot_id FROM weekly_snapshots WHERE collection_date < ?',
-                    [cutoffDate],
-                    (err, rows) => {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
+    // Current snapshots of a ticker's window in date order, for metric time series
+    async getSnapshotSeries(windowPeriod = '7d', fromDate = null, toDate = null, ticker = DEFAULT_TICKER) {
+        const conditions = ['ticker = ?', 'window_period = ?', 'is_current = 1'];
+        const params = [ticker, windowPeriod];
 
-                        if (rows.length === 0) {
-                            resolve({ deletedSnapshots: 0, deletedYappers: 0 });
-                            return;
-                        }
+        if (fromDate) {
+            conditions.push('collection_date >= ?');
+            params.push(fromDate);
+        }
 
-                        const snapshotIds = rows.map(row => row.snapshot_id);
-                        const placeholders = snapshotIds.map(() => '?').join(',');
-
-                        // Delete yappers first (foreign key constraint)
-                        this.db.run(
-                            `DELETE FROM yappers_history WHERE snapshot_id IN (${placeholders})`,
-                            snapshotIds,
-                            function(err) {
-                                if (err) {
-                                    reject(err);
-                                    return;
-                                }
-
-                                const deletedYappers = this.changes;
-                                console.log(`🗑️ Cleaned ${deletedYappers} old yapper records`);
-
-                                // Delete snapshots
-                                this.db.run(
-                                    `DELETE FROM weekly_snapshots WHERE collection_date < ?`,
-                                    [cutoffDate],
-                                    function(err) {
-                                        if (err) {
-                                            reject(err);
-                                        } else {
-                                            const deletedSnapshots = this.changes;
-                                            console.log(`🗑️ Cleaned ${deletedSnapshots} old snapshots`);
-                                            
-                                            resolve({
-                                                deletedSnapshots,
-                                                deletedYappers,
-                                                cutoffDate
-                                            });
-                                        }
-                                    }
-                                );
-                            }
-                        );
-                    }
+        if (toDate) {
+            conditions.push('collection_date <= ?');
+            params.push(toDate);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT snapshot_id, collection_date, total_yappers, total_tweets, top_impressions, top_likes,
+                       ${Object.values(CONCENTRATION_COLUMNS).join(', ')}
+                FROM weekly_snapshots
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY collection_date ASC, created_at ASC
+            `, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Log Webflow sync attempt
+    async logWebflowSync(snapshotId, status, itemsSynced = 0, errorMessage = null) {
+        const result = await this.run(`
+            INSERT INTO webflow_sync_log (snapshot_id, sync_status, items_synced, error_message)
+            VALUES (?, ?, ?, ?)
+        `, [snapshotId, status, itemsSynced, errorMessage]);
+
+        return {
+            logId: result.lastID,
+            snapshotId,
+            status,
+            itemsSynced,
+            timestamp: moment().toISOString()
+        };
+    }
+
+    // Record the start of a job execution (ticker is set for collections)
+    async createJobRun(runId, jobType, trigger, startedAt, ticker = null) {
+        await this.run(
+            `INSERT INTO job_runs (run_id, job_type, trigger, status, started_at, ticker) VALUES (?, ?, ?, 'running', ?, ?)`,
+            [runId, jobType, trigger, startedAt, ticker]
+        );
+        return { runId, jobType, trigger, status: 'running', startedAt, ticker };
+    }
+
+    // Record the outcome of a job execution
+    async completeJobRun(runId, outcome) {
+        await this.run(
+            `UPDATE job_runs
+             SET status = ?, finished_at = ?, duration_ms = ?, error_message = ?,
+                 snapshot_id = ?, collection_run_id = ?, details = ?
+             WHERE run_id = ?`,
+            [
+                outcome.status,
+                outcome.finishedAt,
+                outcome.durationMs,
+                outcome.errorMessage || null,
+                outcome.snapshotId || null,
+                outcome.collectionRunId || null,
+                outcome.details ? JSON.stringify(outcome.details) : null,
+                runId
+            ]
+        );
+    }
+
+    // Get job runs, newest first, with optional filters
+    async getJobRuns(filters = {}, limit = 50, offset = 0) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.jobType) {
+            conditions.push('job_type = ?');
+            params.push(filters.jobType);
+        }
+
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+
+        if (filters.trigger) {
+            conditions.push('trigger = ?');
+            params.push(filters.trigger);
+        }
+
+        if (filters.ticker) {
+            conditions.push('ticker = ?');
+            params.push(filters.ticker);
+        }
+
+        if (filters.from) {
+            conditions.push('started_at >= ?');
+            params.push(filters.from);
+        }
+
+        if (filters.to) {
+            // Inclusive end date: compare against the start of the following day
+            conditions.push('started_at < ?');
+            params.push(moment(filters.to).add(1, 'day').format('YYYY-MM-DD'));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM job_runs ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                this.db.all(
+                    `SELECT * FROM job_runs ${where} ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`,
+                    [...params, limit, offset],
+                    (err, rows) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({
+                                runs: rows.map(row => ({
+                                    ...row,
+                                    details: row.details ? JSON.parse(row.details) : null
+                                })),
+                                total: row.count
+                            });
+                        }
+                    }
                 );
             });
         });
     }
 
+    // Latest run and latest successful run of each job type (and ticker, for collections);
+    // simulations are left out
+    async getJobRunSummary() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT r.job_type, r.ticker, r.status, r.trigger, r.started_at, r.finished_at, r.error_message,
+                        (SELECT MAX(finished_at) FROM job_runs s
+                         WHERE s.job_type = r.job_type AND s.ticker IS r.ticker AND s.status = 'success') AS last_success_at
+                 FROM job_runs r
+                 WHERE r.job_type NOT LIKE 'simulation:%' AND r.id = (
+                     SELECT id FROM job_runs l WHERE l.job_type = r.job_type AND l.ticker IS r.ticker
+                     ORDER BY started_at DESC, id DESC LIMIT 1
+                 )`,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Cheap round trip used by the health checks
+    async ping() {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT 1 AS ok', (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    // Store a new admin API key (hash only)
+    async createAdminKey(name, keyHash, keyPrefix) {
+        const keyId = uuidv4();
+        await this.run(
+            'INSERT INTO admin_api_keys (key_id, name, key_hash, key_prefix) VALUES (?, ?, ?, ?)',
+            [keyId, name, keyHash, keyPrefix]
+        );
+        return { keyId, name, keyPrefix };
+    }
+
+    // Find an admin key by its hash (revoked keys included, so callers can tell why it failed)
+    async findAdminKeyByHash(keyHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM admin_api_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async touchAdminKey(keyId) {
+        await this.run('UPDATE admin_api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE key_id = ?', [keyId]);
+    }
+
+    async listAdminKeys() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT key_id, name, key_prefix, created_at, last_used_at, revoked_at FROM admin_api_keys ORDER BY created_at DESC, id DESC',
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    // Revoke a key; resolves false when no active key has that id
+    async revokeAdminKey(keyId) {
+        const result = await this.run(
+            'UPDATE admin_api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = ? AND revoked_at IS NULL',
+            [keyId]
+        );
+        return result.changes > 0;
+    }
+
+    async logAdminAuthFailure(ip, method, path, reason, keyPrefix = null) {
+        await this.run(
+            'INSERT INTO admin_auth_failures (ip, method, path, reason, key_prefix) VALUES (?, ?, ?, ?, ?)',
+            [ip, method, path, reason, keyPrefix]
+        );
+    }
+
+    async getAdminAuthFailures(limit = 50, offset = 0) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM admin_auth_failures ORDER BY id DESC LIMIT ? OFFSET ?',
+                [limit, offset],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    // Store a new client API key (hash only)
+    async createClientKey(name, keyHash, keyPrefix, quotaLimit, quotaWindowMinutes) {
+        const keyId = uuidv4();
+        await this.run(`
+            INSERT INTO client_api_keys (key_id, name, key_hash, key_prefix, quota_limit, quota_window_minutes)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [keyId, name, keyHash, keyPrefix, quotaLimit, quotaWindowMinutes]);
+        return { keyId, name, keyPrefix, quotaLimit, quotaWindowMinutes };
+    }
+
+    async findClientKeyByHash(keyHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM client_api_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async getClientKey(keyId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM client_api_keys WHERE key_id = ?', [keyId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async listClientKeys() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT key_id, name, key_prefix, quota_limit, quota_window_minutes, total_requests,
+                       created_at, last_used_at, revoked_at
+                FROM client_api_keys
+                ORDER BY created_at DESC, id DESC
+            `, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Update the quota of an active key; resolves false when no active key has that id
+    async updateClientKeyQuota(keyId, quotaLimit, quotaWindowMinutes) {
+        const result = await this.run(`
+            UPDATE client_api_keys SET quota_limit = ?, quota_window_minutes = ?
+            WHERE key_id = ? AND revoked_at IS NULL
+        `, [quotaLimit, quotaWindowMinutes, keyId]);
+        return result.changes > 0;
+    }
+
+    async revokeClientKey(keyId) {
+        const result = await this.run(
+            'UPDATE client_api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE key_id = ? AND revoked_at IS NULL',
+            [keyId]
+        );
+        return result.changes > 0;
+    }
+
+    // Count a request against a key's quota window, resolving with the window's request count
+    async incrementClientKeyUsage(keyId, windowStart) {
+        await this.run(`
+            INSERT INTO client_key_usage (key_id, window_start, request_count) VALUES (?, ?, 1)
+            ON CONFLICT (key_id, window_start) DO UPDATE SET request_count = request_count + 1
+        `, [keyId, windowStart]);
+        await this.run(
+            'UPDATE client_api_keys SET total_requests = total_requests + 1, last_used_at = CURRENT_TIMESTAMP WHERE key_id = ?',
+            [keyId]
+        );
+
+        return this.getClientKeyWindowCount(keyId, windowStart);
+    }
+
+    async getClientKeyWindowCount(keyId, windowStart) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT request_count FROM client_key_usage WHERE key_id = ? AND window_start = ?',
+                [keyId, windowStart],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.request_count : 0);
+                }
+            );
+        });
+    }
+
+    // Most recent quota windows of a key
+    async getClientKeyUsage(keyId, limit = 24) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT window_start, request_count FROM client_key_usage WHERE key_id = ? ORDER BY window_start DESC LIMIT ?',
+                [keyId, limit],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    async pruneClientKeyUsage(beforeDate) {
+        const result = await this.run('DELETE FROM client_key_usage WHERE window_start < ?', [beforeDate]);
+        return result.changes;
+    }
+
+    // Webflow sync attempts, newest first
+    async getWebflowSyncLogs(limit = 20, offset = 0) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM webflow_sync_log ORDER BY id DESC LIMIT ? OFFSET ?',
+                [limit, offset],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    // Store a webhook subscription; events is a list of event types ('*' for all)
+    async createWebhook(url, secret, events, description = null) {
+        const webhookId = uuidv4();
+        await this.run(
+            'INSERT INTO webhook_subscriptions (webhook_id, url, secret, events, description) VALUES (?, ?, ?, ?, ?)',
+            [webhookId, url, secret, JSON.stringify(events), description]
+        );
+        return { webhookId, url, events, description, active: true };
+    }
+
+    async getWebhook(webhookId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM webhook_subscriptions WHERE webhook_id = ?', [webhookId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? { ...row, events: JSON.parse(row.events), active: !!row.active } : null);
+            });
+        });
+    }
+
+    async listWebhooks(activeOnly = false) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM webhook_subscriptions ${activeOnly ? 'WHERE active = 1' : ''} ORDER BY created_at DESC, id DESC`,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => ({ ...row, events: JSON.parse(row.events), active: !!row.active })));
+                }
+            );
+        });
+    }
+
+    // Update url, events, description and/or active; resolves false when the webhook does not exist
+    async updateWebhook(webhookId, changes) {
+        const columns = [];
+        const params = [];
+
+        if (changes.url !== undefined) {
+            columns.push('url = ?');
+            params.push(changes.url);
+        }
+
+        if (changes.events !== undefined) {
+            columns.push('events = ?');
+            params.push(JSON.stringify(changes.events));
+        }
+
+        if (changes.description !== undefined) {
+            columns.push('description = ?');
+            params.push(changes.description);
+        }
+
+        if (changes.active !== undefined) {
+            columns.push('active = ?');
+            params.push(changes.active ? 1 : 0);
+        }
+
+        const result = await this.run(
+            `UPDATE webhook_subscriptions SET ${[...columns, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE webhook_id = ?`,
+            [...params, webhookId]
+        );
+        return result.changes > 0;
+    }
+
+    // Delete a subscription; its delivery history is kept
+    async deleteWebhook(webhookId) {
+        const result = await this.run('DELETE FROM webhook_subscriptions WHERE webhook_id = ?', [webhookId]);
+        return result.changes > 0;
+    }
+
+    async createWebhookDelivery(delivery) {
+        await this.run(`
+            INSERT INTO webhook_deliveries (delivery_id, webhook_id, event_id, event_type, payload, status, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?)
+        `, [delivery.deliveryId, delivery.webhookId, delivery.eventId, delivery.eventType, delivery.payload, delivery.nextAttemptAt]);
+        return { ...delivery, status: 'pending', attempts: 0 };
+    }
+
+    // Record the outcome of a delivery attempt
+    async updateWebhookDelivery(deliveryId, outcome) {
+        await this.run(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, response_status = ?, error_message = ?, next_attempt_at = ?, delivered_at = ?
+            WHERE delivery_id = ?
+        `, [
+            outcome.status,
+            outcome.attempts,
+            outcome.responseStatus || null,
+            outcome.errorMessage || null,
+            outcome.nextAttemptAt || null,
+            outcome.deliveredAt || null,
+            deliveryId
+        ]);
+    }
+
+    async getWebhookDelivery(deliveryId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Deliveries still waiting for an attempt, oldest first
+    async getPendingWebhookDeliveries() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at ASC, id ASC`,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    // Delivery history, newest first, with optional filters
+    async getWebhookDeliveries(filters = {}, limit = 50, offset = 0) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.webhookId) {
+            conditions.push('webhook_id = ?');
+            params.push(filters.webhookId);
+        }
+
+        if (filters.eventType) {
+            conditions.push('event_type = ?');
+            params.push(filters.eventType);
+        }
+
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM webhook_deliveries ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                this.db.all(
+                    `SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+                    [...params, limit, offset],
+                    (err, rows) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({
+                                deliveries: rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })),
+                                total: row.count
+                            });
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    async pruneWebhookDeliveries(beforeDate) {
+        const result = await this.run(
+            `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`,
+            [beforeDate]
+        );
+        return result.changes;
+    }
+
+    // Persist a reward calculation and its allocations in one transaction
+    async saveRewardCalculation(snapshot, pool, policy, result, note = null) {
+        const calculationId = uuidv4();
+
+        await this.withTransaction(async () => {
+            await this.run(`
+                INSERT INTO reward_calculations
+                (calculation_id, snapshot_id, window_period, collection_date, pool, policy, total_allocated, recipients, excluded, note)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                calculationId,
+                snapshot.snapshot_id,
+                snapshot.window_period,
+                snapshot.collection_date,
+                pool,
+                JSON.stringify(policy),
+                result.totals.allocated,
+                result.totals.recipients,
+                JSON.stringify(result.excluded),
+                note
+            ]);
+
+            for (const allocation of result.allocations) {
+                await this.run(`
+                    INSERT INTO reward_allocations
+                    (calculation_id, rank, username, mindshare, tweets, amount, amount_units, share, capped)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    calculationId,
+                    allocation.rank,
+                    allocation.username,
+                    allocation.mindshare,
+                    allocation.tweets,
+                    allocation.amount,
+                    allocation.amountUnits,
+                    allocation.share,
+                    allocation.capped ? 1 : 0
+                ]);
+            }
+        });
+
+        console.log(`💰 Reward calculation ${calculationId} saved: ${result.totals.recipients} recipients`);
+        return calculationId;
+    }
+
+    // A reward calculation with its allocations, highest amount first
+    async getRewardCalculation(calculationId) {
+        const calculation = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM reward_calculations WHERE calculation_id = ?', [calculationId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+
+        if (!calculation) return null;
+
+        const allocations = await new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM reward_allocations WHERE calculation_id = ? ORDER BY amount_units DESC, rank ASC',
+                [calculationId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+
+        return {
+            ...calculation,
+            policy: JSON.parse(calculation.policy),
+            excluded: calculation.excluded ? JSON.parse(calculation.excluded) : [],
+            allocations: allocations.map(row => ({ ...row, capped: !!row.capped }))
+        };
+    }
+
+    async getRewardCalculations(limit = 20, offset = 0) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM reward_calculations', (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                this.db.all(
+                    `SELECT calculation_id, snapshot_id, window_period, collection_date, pool, policy, total_allocated, recipients, note, created_at
+                     FROM reward_calculations ORDER BY id DESC LIMIT ? OFFSET ?`,
+                    [limit, offset],
+                    (err, rows) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({
+                                calculations: rows.map(calc => ({ ...calc, policy: JSON.parse(calc.policy) })),
+                                total: row.count
+                            });
+                        }
+                    }
+                );
+            });
+        });
+    }
+
+    // Add an account to the exclusion/flag list; usernames are matched case-insensitively
+    async createAccountFlag(username, flagType, action, reason = null, createdBy = null) {
+        const flagId = uuidv4();
+        await this.run(
+            'INSERT INTO account_flags (flag_id, username, flag_type, action, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [flagId, username, flagType, action, reason, createdBy]
+        );
+        return this.getAccountFlag(flagId);
+    }
+
+    async getAccountFlag(flagId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM account_flags WHERE flag_id = ?', [flagId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async findAccountFlagByUsername(username) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM account_flags WHERE username = ?', [username], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async listAccountFlags() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM account_flags ORDER BY username ASC', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Update type, action and/or reason; resolves false when the flag does not exist
+    async updateAccountFlag(flagId, changes) {
+        const columns = [];
+        const params = [];
+
+        if (changes.flagType !== undefined) {
+            columns.push('flag_type = ?');
+            params.push(changes.flagType);
+        }
+
+        if (changes.action !== undefined) {
+            columns.push('action = ?');
+            params.push(changes.action);
+        }
+
+        if (changes.reason !== undefined) {
+            columns.push('reason = ?');
+            params.push(changes.reason);
+        }
+
+        const result = await this.run(
+            `UPDATE account_flags SET ${[...columns, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE flag_id = ?`,
+            [...params, flagId]
+        );
+        return result.changes > 0;
+    }
+
+    async deleteAccountFlag(flagId) {
+        const result = await this.run('DELETE FROM account_flags WHERE flag_id = ?', [flagId]);
+        return result.changes > 0;
+    }
+
+    async createTicker(ticker, name = null, collectionCron = null, collectionWindows = null, active = true, createdBy = null) {
+        await this.run(
+            'INSERT INTO tickers (ticker, name, collection_cron, collection_windows, active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [ticker, name, collectionCron, collectionWindows, active ? 1 : 0, createdBy]
+        );
+        return this.getTicker(ticker);
+    }
+
+    async getTicker(ticker) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM tickers WHERE ticker = ?', [ticker], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async listTickers() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM tickers ORDER BY ticker ASC', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Update name, schedule and/or active flag; resolves false when the ticker does not exist
+    async updateTicker(ticker, changes) {
+        const columns = [];
+        const params = [];
+
+        if (changes.name !== undefined) {
+            columns.push('name = ?');
+            params.push(changes.name);
+        }
+
+        if (changes.collectionCron !== undefined) {
+            columns.push('collection_cron = ?');
+            params.push(changes.collectionCron);
+        }
+
+        if (changes.collectionWindows !== undefined) {
+            columns.push('collection_windows = ?');
+            params.push(changes.collectionWindows);
+        }
+
+        if (changes.active !== undefined) {
+            columns.push('active = ?');
+            params.push(changes.active ? 1 : 0);
+        }
+
+        const result = await this.run(
+            `UPDATE tickers SET ${[...columns, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE ticker = ?`,
+            [...params, ticker]
+        );
+        return result.changes > 0;
+    }
+
+    // Stored snapshots are kept; they are served again if the ticker is added back
+    async deleteTicker(ticker) {
+        const result = await this.run('DELETE FROM tickers WHERE ticker = ?', [ticker]);
+        return result.changes > 0;
+    }
+
+    // Clean old snapshots (keep only last N weeks)
+    async cleanOldSnapshots(weeksToKeep = 12) {
+        const cutoffDate = moment().subtract(weeksToKeep, 'weeks').format('YYYY-MM-DD');
+
+        return this.withTransaction(async () => {
+            // Get snapshots to delete
+            const rows = await new Promise((resolve, reject) => {
+                this.db.all(
+                    'SELECT snapshot_id FROM weekly_snapshots WHERE collection_date < ?',
+                    [cutoffDate],
+                    (err, result) => (err ? reject(err) : resolve(result))
+                );
+            });
+
+            if (rows.length === 0) {
+                return { deletedSnapshots: 0, deletedYappers: 0, deletedPayloads: 0 };
+            }
+
+            const snapshotIds = rows.map(row => row.snapshot_id);
+            const placeholders = snapshotIds.map(() => '?').join(',');
+
+            // Delete yappers and archived payloads first (foreign key constraint)
+            const yappers = await this.run(
+                `DELETE FROM yappers_history WHERE snapshot_id IN (${placeholders})`,
+                snapshotIds
+            );
+            console.log(`🗑️ Cleaned ${yappers.changes} old yapper records`);
+
+            const payloads = await this.run(
+                `DELETE FROM snapshot_payloads WHERE snapshot_id IN (${placeholders})`,
+                snapshotIds
+            );
+
+            // Delete snapshots
+            const snapshots = await this.run(
+                'DELETE FROM weekly_snapshots WHERE collection_date < ?',
+                [cutoffDate]
+            );
+            console.log(`🗑️ Cleaned ${snapshots.changes} old snapshots`);
+
+            return {
+                deletedSnapshots: snapshots.changes,
+                deletedYappers: yappers.changes,
+                deletedPayloads: payloads.changes,
+                cutoffDate
+            };
+        });
+    }
+
     // Get database statistics 
     async getStats() {
         return new Promise((resolve, reject) => {
             const stats = {
                 totalSnapshots: 0,
                 totalYappers: 0,
+                quarantinedSnapshots: 0,
                 latestSnapshot: null,
                 syncLogs: 0
             };
@@ -506,7 +1889,7 @@ class TheoriqDatabase {
 
                 // Tables exist, proceed with stats collection
                 let completedQueries = 0;
-                const totalQueries = 4;
+                const totalQueries = 5;
 
                 const checkComplete = () => {
                     completedQueries++;
@@ -540,8 +1923,19 @@ class TheoriqDatabase {
                     checkComplete();
                 });
 
-                // Get latest snapshot date
-                this.db.get('SELECT collection_date FROM weekly_snapshots ORDER BY created_at DESC LIMIT 1', (err, row) => {
+                // Count snapshots waiting for review
+                this.db.get(`SELECT COUNT(*) as count FROM weekly_snapshots WHERE status = 'quarantined'`, (err, row) => {
+                    if (err) {
+                        console.error('Error counting quarantined snapshots:', err);
+                        stats.quarantinedSnapshots = 0;
+                    } else {
+                        stats.quarantinedSnapshots = row && row.count !== undefined ? row.count : 0;
+                    }
+                    checkComplete();
+                });
+
+                // Get latest published snapshot date
+                this.db.get(`SELECT collection_date FROM weekly_snapshots WHERE status = 'published' ORDER BY created_at DESC LIMIT 1`, (err, row) => {
                     if (err) {
                         console.error('Error getting latest snapshot:', err);
                         stats.latestSnapshot = null;
@@ -565,17 +1959,23 @@ class TheoriqDatabase {
         });
     }
 
-    // Close database connection
+    // Close database connection, resolving once the file is released
     close() {
-        if (this.db) {
+        return new Promise((resolve) => {
+            if (!this.db) {
+                resolve();
+                return;
+            }
+
             this.db.close((err) => {
                 if (err) {
                     console.error('❌ Error closing database:', err.message);
                 } else {
                     console.log('📊 Database connection closed');
                 }
+                resolve();
             });
-        }
+        });
     }
 }
 
@@ -0,0 +1,27 @@
+// Create an admin API key from the command line: npm run create-admin-key -- "key name"
+const TheoriqDatabase = require('../database/database');
+const { generateApiKey } = require('../services/api-keys');
+
+const name = process.argv.slice(2).join(' ').trim() || 'cli';
+
+const createKey = async () => {
+    const db = new TheoriqDatabase();
+
+    try {
+        await db.initTables();
+
+        const { key, keyHash, keyPrefix } = generateApiKey('thq_admin');
+        const created = await db.createAdminKey(name, keyHash, keyPrefix);
+
+        console.log(`✅ Admin key "${created.name}" created (id: ${created.keyId})`);
+        console.log(`🔑 ${key}`);
+        console.log('⚠️ Store this key now, it cannot be retrieved again');
+    } catch (error) {
+        console.error('❌ Error creating admin key:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+};
+
+createKey();
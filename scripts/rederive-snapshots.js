@@ -0,0 +1,74 @@
+// Rebuild yappers_history from the archived upstream payloads with the current extraction logic:
+// npm run rederive -- [--dry-run] [--snapshot <id>] [--ticker <ticker>] [--window <window>]
+const TheoriqDatabase = require('../database/database');
+const PayloadArchive = require('../services/payload-archive');
+const SchedulerService = require('../services/scheduler');
+
+const parseArgs = (argv) => {
+    const options = { dryRun: false, filters: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            const next = argv[++i];
+            if (!next || next.startsWith('--')) throw new Error(`Missing value for ${arg}`);
+            return next;
+        };
+
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--snapshot') options.filters.snapshotId = value();
+        else if (arg === '--ticker') options.filters.ticker = value().toUpperCase();
+        else if (arg === '--window') options.filters.window = value();
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (options.filters.window && !SchedulerService.SUPPORTED_WINDOWS.includes(options.filters.window)) {
+        throw new Error(`Unsupported window: ${options.filters.window}`);
+    }
+
+    return options;
+};
+
+const rederive = async () => {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const db = new TheoriqDatabase();
+
+    try {
+        await db.initTables();
+
+        const report = await new PayloadArchive(db).rederive(options.filters, { dryRun: options.dryRun });
+
+        for (const snapshot of report.snapshots) {
+            const label = `${snapshot.ticker} ${snapshot.window} ${snapshot.snapshotId}`;
+            if (!snapshot.success) {
+                console.error(`❌ ${label}: ${snapshot.error}`);
+            } else if (snapshot.action === 'unchanged') {
+                console.log(`✔️ ${label}: unchanged`);
+            } else {
+                console.log(`♻️ ${label}: ${snapshot.changedRows} rows differ (${snapshot.previousYappers} → ${snapshot.yappers} yappers)${options.dryRun ? ', not written' : ''}`);
+            }
+        }
+
+        const icon = report.failed > 0 ? '⚠️ ' : '✅ ';
+        console.log(`${options.dryRun ? '🔍 Dry run: ' : icon}${report.processed} archived snapshots, ${report.updated} ${options.dryRun ? 'to update' : 'updated'}, ${report.unchanged} unchanged, ${report.failed} failed`);
+
+        if (!report.success) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Error re-deriving snapshots:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+};
+
+rederive();
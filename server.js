@@ -1,6 +1,7 @@
 // Load environment variables
 require('dotenv').config();
 
+const EventEmitter = require('events');
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
@@ -9,9 +10,29 @@ const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const helmet = require('helmet');
 const compression = require('compression');
+const moment = require('moment');
 
 const TheoriqDatabase = require('./database/database');
 const SchedulerService = require('./services/scheduler');
+const WebflowSyncService = require('./services/webflow-sync');
+const WebhookService = require('./services/webhooks');
+const AccountFlagService = require('./services/account-flags');
+const LiveStreamService = require('./services/live-stream');
+const HealthService = require('./services/health');
+const TickerService = require('./services/tickers');
+const { UPSTREAM_MODES, parseUpstreamMode, UpstreamFixtures, MockUpstream } = require('./services/upstream-modes');
+const { diffMetrics, diffLeaderboards } = require('./services/snapshot-diff');
+const { hashApiKey, generateApiKey, extractApiKey, safeEqual } = require('./services/api-keys');
+const { YAPPER_COLUMNS, SNAPSHOT_COLUMNS, REWARD_COLUMNS, wantsCsv, streamCsv, csvFilename } = require('./services/csv-export');
+const { parseRewardPolicy, parseRewardPool, calculateAllocations } = require('./services/rewards');
+const { parseTrendMetrics, parseTrendBucket, parseMovingAverageWindow, buildTrendSeries } = require('./services/trends');
+const { formatConcentration } = require('./services/concentration');
+const { extractMetrics, parseYappers } = require('./services/extraction');
+const PayloadArchive = require('./services/payload-archive');
+const { structureProblem } = require('./services/payload-validation');
+const { routes: apiRoutes, schemas: apiSchemas } = require('./services/api-schema');
+const { validateParameters, validateBody } = require('./services/schema-validation');
+const { buildOpenApiSpec, findUndocumentedRoutes } = require('./services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,10 +58,84 @@ app.use(express.static('public'));
 app.use(helmet());
 app.use(compression());
 
+const CLIENT_KEY_DEFAULTS = {
+    quotaLimit: parseInt(process.env.CLIENT_KEY_DEFAULT_QUOTA) || 1000,
+    quotaWindowMinutes: parseInt(process.env.CLIENT_KEY_DEFAULT_WINDOW_MINUTES) || 15
+};
+
+// Cota por chave de API de cliente ("x-api-key" ou "Authorization: Bearer thq_live_...").
+// Requisições sem chave seguem para o limitador por IP.
+const clientKeyLimiter = async (req, res, next) => {
+    const key = extractApiKey(req, 'x-api-key', 'thq_live_');
+
+    if (!key) {
+        return next();
+    }
+
+    try {
+        const record = await db.findClientKeyByHash(hashApiKey(key));
+
+        if (!record || record.revoked_at) {
+            return res.status(401).json({
+                success: false,
+                error: 'Chave de API inválida ou revogada',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Fixed quota windows aligned to the epoch, so every process counts the same window
+        const windowMs = record.quota_window_minutes * 60 * 1000;
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetTime = new Date(windowStart + windowMs);
+        // Checking the usage itself does not consume quota
+        const used = req.path === '/usage'
+            ? await db.getClientKeyWindowCount(record.key_id, new Date(windowStart).toISOString())
+            : await db.incrementClientKeyUsage(record.key_id, new Date(windowStart).toISOString());
+        const remaining = Math.max(0, record.quota_limit - used);
+        const resetSeconds = Math.ceil((resetTime.getTime() - Date.now()) / 1000);
+
+        res.set({
+            'RateLimit-Policy': `${record.quota_limit};w=${windowMs / 1000}`,
+            'RateLimit-Limit': String(record.quota_limit),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        req.clientKey = {
+            keyId: record.key_id,
+            name: record.name,
+            limit: record.quota_limit,
+            used,
+            remaining,
+            resetTime
+        };
+
+        if (used > record.quota_limit && req.path !== '/usage') {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                error: `Cota da chave de API excedida, tente novamente após ${resetSeconds} segundos`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 100,
     standardHeaders: true,
+    // Requisições com chave de cliente já foram contadas na cota da chave;
+    // health checks de orquestradores e balanceadores não entram no limite
+    skip: (req) => !!req.clientKey || req.path.startsWith('/health'),
     message: {
         success: false,
         error: 'Muitas requisições deste IP, tente novamente após 15 minutos',
@@ -48,51 +143,91 @@ const apiLimiter = rateLimit({
     }
 });
 
-app.use('/api/', apiLimiter);
+app.use('/api/', clientKeyLimiter, apiLimiter);
+
+// Contratos das rotas (params, query e respostas), indexados por "método caminho"
+const routeContracts = new Map(apiRoutes.map(route => [`${route.method} ${route.path}`, route]));
 
-const validateParams = (req, res, next) => {
-    if (req.params.window && !['7d', '30d', '3m', '6m', '12m'].includes(req.params.window)) {
+// Valida path, query e corpo JSON pelo contrato da rota (services/api-schema.js).
+// Valores válidos são convertidos (ex. limit vira número) e os padrões preenchidos.
+const validateRequest = (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+    const contract = routeContracts.get(`${method} ${req.route.path}`);
+    const parameters = (contract && contract.parameters) || [];
+
+    // limit=all exporta todos os registros, apenas em CSV
+    const limitParameter = parameters.find(parameter => parameter.name === 'limit');
+    if (req.query.limit === 'all' && limitParameter && limitParameter['x-allow-all'] && wantsCsv(req)) {
+        req.fullExport = true;
+        delete req.query.limit;
+    }
+
+    const details = validateParameters(parameters, req);
+    if (contract && contract.requestBody) {
+        details.push(...validateBody(contract.requestBody, req));
+    }
+
+    if (details.length > 0) {
         return res.status(400).json({
             success: false,
-            error: 'Período inválido',
-            validValues: ['7d', '30d', '3m', '6m', '12m'],
+            error: details[0].message,
+            details,
             timestamp: new Date().toISOString()
         });
     }
 
-    if (req.query.limit) {
-        const limit = parseInt(req.query.limit);
-        if (isNaN(limit) || limit <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Valor de limite inválido, deve ser um número positivo',
-                timestamp: new Date().toISOString()
-            });
-        }
+    next();
+};
 
-        req.query.limit = Math.min(limit, 250);
+// ?unfiltered=true mostra contas excluídas com os ranks originais (exige chave admin)
+const allowUnfiltered = (req, res, next) => {
+    if (req.query.unfiltered !== true) {
+        return next();
     }
 
-    if (req.query.offset) {
-        const offset = parseInt(req.query.offset);
-        if (isNaN(offset) || offset < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Valor de offset inválido, deve ser um número não-negativo',
-                timestamp: new Date().toISOString()
-            });
-        }
-        req.query.offset = offset;
-    } else {
-        req.query.offset = 0; // Default offset
+    requireAdminAuth(req, res, () => {
+        req.unfiltered = true;
+        next();
+    });
+};
+
+const isTrackedTicker = (ticker) => ticker === TickerService.DEFAULT_TICKER || !!tickers.get(ticker);
+
+const untrackedTicker = (res, location, ticker) => {
+    const message = `Ticker não monitorado: ${ticker}`;
+    return res.status(400).json({
+        success: false,
+        error: message,
+        details: [{ location, name: 'ticker', message, validValues: tickers.list().map(row => row.ticker) }],
+        timestamp: new Date().toISOString()
+    });
+};
+
+// ?ticker= escolhe o projeto (padrão THEORIQ); precisa estar na lista de tickers monitorados
+const resolveTicker = (req, res, next) => {
+    const ticker = TickerService.normalizeTicker(req.query.ticker || TickerService.DEFAULT_TICKER);
+
+    if (!isTrackedTicker(ticker)) {
+        return untrackedTicker(res, 'query', ticker);
     }
 
+    req.ticker = ticker;
     next();
 };
 
 // Middleware de cache para APIs
 const cacheMiddleware = (duration) => {
     return (req, res, next) => {
+        // Respostas sem filtro são exclusivas de admins e nunca entram no cache
+        if (req.unfiltered) {
+            return next();
+        }
+
+        // Exportações CSV não passam pelo cache (a mesma URL pode pedir JSON pelo Accept)
+        if (wantsCsv(req)) {
+            return next();
+        }
+
         const key = req.originalUrl;
         const cachedResponse = apiCache.get(key);
 
@@ -114,76 +249,336 @@ const cacheMiddleware = (duration) => {
     };
 };
 
+// Settings where 0 is meaningful: anything but a non-negative integer (e.g. '' or 'abc', which parseInt
+// turns into NaN) falls back to the default
+const envCount = (name, fallback) => {
+    const raw = process.env[name];
+    if (raw === undefined) return fallback;
+
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isInteger(value) || value < 0) {
+        console.warn(`⚠️ Ignoring ${name}=${JSON.stringify(raw)}: expected a non-negative integer, using ${fallback}`);
+        return fallback;
+    }
+    return value;
+};
+
 const API_CONFIG = {
-    proxyUrls: [
-        'https://theoriq-proxy.vercel.app/api/theoriq',
-        'https://api.allorigins.win/get?url=',
-        'https://corsproxy.io/?'
-    ],
+    proxyUrls: process.env.UPSTREAM_PROXY_URLS !== undefined
+        ? process.env.UPSTREAM_PROXY_URLS.split(',').map(url => url.trim()).filter(Boolean)
+        : [
+            'https://theoriq-proxy.vercel.app/api/theoriq',
+            'https://api.allorigins.win/get?url=',
+            'https://corsproxy.io/?'
+        ],
     directUrl: 'https://api.kaito.ai/api/v1/community_mindshare',
-    ticker: 'THEORIQ'
+    mode: process.env.UPSTREAM_MODE || 'live',
+    requestTimeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 5000,
+    maxRetries: envCount('UPSTREAM_MAX_RETRIES', 2),
+    retryBaseDelayMs: parseInt(process.env.UPSTREAM_RETRY_DELAY_MS) || 500,
+    // Upper bound for all attempts of one getData call, so an unresponsive upstream cannot
+    // hold a request for rounds × endpoints × timeout
+    maxTotalMs: parseInt(process.env.UPSTREAM_MAX_TOTAL_MS) || 15000,
+    // How long a stored fallback is reused before upstream is tried again
+    fallbackCacheMs: envCount('UPSTREAM_FALLBACK_CACHE_MS', 60000)
 };
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // API Class
-class TheoriqAPI {
-    constructor() {
+// Emits 'data' ({ ticker, window, result }) whenever fresh upstream data is fetched
+class TheoriqAPI extends EventEmitter {
+    constructor(database = null, accountFlags = null) {
+        super();
+        this.db = database;
+        this.accountFlags = accountFlags;
+        // Where upstream data comes from (UPSTREAM_MODES); replay and mock work without network access
+        try {
+            this.mode = parseUpstreamMode(API_CONFIG.mode);
+        } catch (error) {
+            console.error(`❌ ${error.message}, using 'live'`);
+            this.mode = 'live';
+        }
+        this.fixtures = new UpstreamFixtures();
+        this.mock = new MockUpstream();
         this.currentProxyIndex = 0;
         this.cache = {};
         this.cacheTTL = 5 * 60 * 1000;
+        // Outcome of recent upstream fetches (cache hits are not counted), reported by /api/health
+        this.upstreamStatus = {
+            lastAttemptAt: null,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastSource: null,
+            lastError: null,
+            consecutiveFailures: 0
+        };
+    }
+
+    setMode(mode) {
+        this.mode = parseUpstreamMode(mode);
+        this.clearCache();
+        console.log(`🔌 Upstream mode: ${this.mode}`);
+    }
+
+    recordUpstreamResult(source, failures) {
+        const now = new Date().toISOString();
+        this.upstreamStatus.lastAttemptAt = now;
+
+        if (source) {
+            this.upstreamStatus.lastSuccessAt = now;
+            this.upstreamStatus.lastSource = source;
+            this.upstreamStatus.consecutiveFailures = 0;
+        } else {
+            const last = failures[failures.length - 1];
+            this.upstreamStatus.lastFailureAt = now;
+            this.upstreamStatus.lastError = last ? `${last.endpoint}: ${last.error}` : 'No endpoints available';
+            this.upstreamStatus.consecutiveFailures++;
+        }
     }
 
-    async getData(window = '7d') {
-        const cacheKey = `data_${window}`;
+    // Fetch upstream data for options.ticker (default THEORIQ): direct API first, then the proxies,
+    // retried with exponential backoff within API_CONFIG.maxTotalMs. When every attempt fails the latest
+    // stored snapshot is served instead (isLive: false) and reused for API_CONFIG.fallbackCacheMs, unless
+    // options.allowStale is false (e.g. when collecting a new snapshot).
+    async getData(window = '7d', options = {}) {
+        const { allowStale = true, ticker = TickerService.DEFAULT_TICKER } = options;
+        const cacheKey = `data_${ticker}_${window}`;
         const cachedData = this.checkCache(cacheKey);
-        if (cachedData) return cachedData;
+        if (cachedData && (cachedData.isLive || allowStale)) return cachedData;
 
-        try {
-            const directUrl = `${API_CONFIG.directUrl}?ticker=${API_CONFIG.ticker}&window=${window}`;
+        const failures = [];
+        const deadline = Date.now() + API_CONFIG.maxTotalMs;
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
+        for (let attempt = 0; attempt <= API_CONFIG.maxRetries; attempt++) {
+            if (attempt > 0) {
+                const delay = API_CONFIG.retryBaseDelayMs * Math.pow(2, attempt - 1);
+                if (Date.now() + delay >= deadline) {
+                    console.log(`⏱️ Upstream retry budget of ${API_CONFIG.maxTotalMs}ms used up, giving up`);
+                    break;
+                }
+                console.log(`⏳ Retrying upstream in ${delay}ms (attempt ${attempt + 1}/${API_CONFIG.maxRetries + 1})`);
+                await sleep(delay);
+            }
 
-            const response = await fetch(directUrl, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json',
-                    'x-api-key': process.env.KAITO_API_KEY
-                },
-                signal: controller.signal
-            });
+            for (const endpoint of this.getEndpoints(window, ticker)) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) break;
+
+                const timeoutMs = Math.min(API_CONFIG.requestTimeoutMs, remaining);
+                const started = Date.now();
+                try {
+                    const { data, httpStatus } = await this.fetchEndpoint(endpoint, timeoutMs);
+                    const result = {
+                        data,
+                        isLive: true,
+                        source: endpoint.name,
+                        // Stored with collected snapshots: only 'live' data is published
+                        upstreamMode: this.mode,
+                        // Archived with the snapshot's raw payload (httpStatus is null for replay and mock)
+                        fetch: {
+                            ticker,
+                            window,
+                            source: endpoint.name,
+                            httpStatus,
+                            latencyMs: Date.now() - started,
+                            fetchedAt: new Date().toISOString()
+                        }
+                    };
+                    this.recordUpstreamResult(endpoint.name, failures);
+                    if (this.mode === 'record') {
+                        await this.recordFixture(ticker, window, data, endpoint.name);
+                    }
+                    this.setCache(cacheKey, result);
+                    this.emit('data', { ticker, window, result });
+                    return result;
+                } catch (error) {
+                    const reason = error.name === 'AbortError'
+                        ? `timeout after ${timeoutMs}ms`
+                        : error.message;
+                    console.log(`${endpoint.name} failed:`, reason);
+                    failures.push({ attempt: attempt + 1, endpoint: endpoint.name, error: reason });
+
+                    // Rotate so the next round starts with a different proxy
+                    if (endpoint.proxyIndex !== undefined) {
+                        this.currentProxyIndex = (endpoint.proxyIndex + 1) % API_CONFIG.proxyUrls.length;
+                    }
+                }
+            }
+        }
 
-            clearTimeout(timeoutId);
+        this.recordUpstreamResult(null, failures);
 
-            if (response.ok) {
-                const data = await response.json();
-                const result = { data, isLive: true };
-                this.setCache(cacheKey, result);
-                return result;
-            } else {
-                console.log('Direct API failed', response.status, await response.text());
+        if (allowStale) {
+            const fallback = await this.getStoredFallback(window, failures, ticker);
+            if (fallback) {
+                // Requests arriving during an outage get the fallback at once instead of waiting
+                // through another full round of timeouts
+                if (API_CONFIG.fallbackCacheMs > 0) {
+                    this.setCache(cacheKey, fallback, API_CONFIG.fallbackCacheMs);
+                }
+                return fallback;
             }
+        }
+
+        const error = new Error('All API endpoints failed');
+        error.failures = failures;
+        throw error;
+    }
+
+    // A failed recording never fails the fetch itself
+    async recordFixture(ticker, window, data, source) {
+        try {
+            const file = await this.fixtures.save(ticker, window, data, source);
+            console.log(`📼 Recorded ${ticker} ${window} upstream response to ${file}`);
         } catch (error) {
-            if (error.name === 'AbortError') {
-                console.log('Direct API timeout after 5 seconds');
+            console.error(`❌ Could not record ${ticker} ${window} upstream response:`, error.message);
+        }
+    }
+
+    // Direct endpoint followed by the proxies, starting at the current proxy index.
+    // The API key is only sent to Kaito itself; proxies are expected to add their own credentials.
+    // Replay and mock modes have a single local endpoint and never go to the network.
+    getEndpoints(window, ticker = TickerService.DEFAULT_TICKER) {
+        if (this.mode === 'replay' || this.mode === 'mock') {
+            return [{ name: this.mode, ticker, window }];
+        }
+
+        const query = `ticker=${encodeURIComponent(ticker)}&window=${window}`;
+        const directUrl = `${API_CONFIG.directUrl}?${query}`;
+        const endpoints = [{
+            name: 'direct',
+            url: directUrl,
+            headers: { 'x-api-key': process.env.KAITO_API_KEY }
+        }];
+
+        const proxyCount = API_CONFIG.proxyUrls.length;
+        for (let i = 0; i < proxyCount; i++) {
+            const proxyIndex = (this.currentProxyIndex + i) % proxyCount;
+            const proxyUrl = API_CONFIG.proxyUrls[proxyIndex];
+
+            // Generic CORS proxies take the target URL as a suffix; our own proxy takes the query params
+            const url = /[?=]$/.test(proxyUrl)
+                ? `${proxyUrl}${encodeURIComponent(directUrl)}`
+                : `${proxyUrl}?${query}`;
+
+            const host = proxyUrl.replace(/^https?:\/\//, '').split('/')[0];
+            endpoints.push({ name: `proxy:${host}`, url, proxyIndex, headers: {} });
+        }
+
+        return endpoints;
+    }
+
+    async fetchEndpoint(endpoint, timeoutMs = API_CONFIG.requestTimeoutMs) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            let data;
+            let httpStatus = null;
+            if (endpoint.name === 'replay') {
+                data = await this.fixtures.load(endpoint.ticker, endpoint.window);
+            } else if (endpoint.name === 'mock') {
+                data = await this.mock.fetch(endpoint.ticker, endpoint.window, controller.signal);
             } else {
-                console.log('Direct API failed:', error.message);
+                ({ data, httpStatus } = await this.fetchRemote(endpoint, controller.signal));
             }
+
+            const invalid = structureProblem(data);
+            if (invalid) {
+                throw new Error(`Unexpected response format: ${invalid}`);
+            }
+
+            return { data, httpStatus };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async fetchRemote(endpoint, signal) {
+        const response = await fetch(endpoint.url, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                ...endpoint.headers
+            },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${await response.text()}`.trim());
+        }
+
+        const data = await response.json();
+
+        // allorigins wraps the upstream body as a string in `contents`
+        if (data && typeof data.contents === 'string') {
+            return { data: JSON.parse(data.contents), httpStatus: response.status };
+        }
+
+        return { data, httpStatus: response.status };
+    }
+
+    // Rebuild an upstream-shaped response from the latest stored snapshot
+    async getStoredFallback(window, failures, ticker = TickerService.DEFAULT_TICKER) {
+        if (!this.db) return null;
+
+        try {
+            const snapshot = await this.db.getLatestSnapshot(window, ticker);
+            if (!snapshot) return null;
+
+            const yappers = await this.db.getYappersForSnapshot(snapshot.snapshot_id, 250, 0);
+            const collectedAt = moment.utc(snapshot.created_at, 'YYYY-MM-DD HH:mm:ss');
+
+            console.log(`⚠️ Serving stored snapshot ${snapshot.snapshot_id} for ${ticker} ${window} (upstream unavailable)`);
+
+            return {
+                isLive: false,
+                data: {
+                    community_mindshare: {
+                        total_unique_yappers: snapshot.total_yappers,
+                        total_unique_tweets: snapshot.total_tweets,
+                        top_250_yapper_impressions: snapshot.top_impressions,
+                        top_250_yapper_likes: snapshot.top_likes,
+                        top_250_yappers: yappers.map(y => ({
+                            rank: y.rank,
+                            username: y.username,
+                            mindshare: y.mindshare,
+                            tweet_counts: y.tweets,
+                            total_impressions: y.impressions,
+                            total_likes: y.likes
+                        }))
+                    }
+                },
+                fallback: {
+                    reason: 'All API endpoints failed',
+                    snapshotId: snapshot.snapshot_id,
+                    collectionDate: snapshot.collection_date,
+                    collectedAt: collectedAt.toISOString(),
+                    ageSeconds: moment().diff(collectedAt, 'seconds'),
+                    age: collectedAt.fromNow(true),
+                    failedAttempts: failures.length
+                }
+            };
+        } catch (error) {
+            console.error('❌ Could not load stored fallback:', error.message);
+            return null;
         }
-        throw new Error('All API endpoints failed');
     }
 
     checkCache(key) {
         const cachedItem = this.cache[key];
-        if (cachedItem && (Date.now() - cachedItem.timestamp) < this.cacheTTL) {
+        if (cachedItem && (Date.now() - cachedItem.timestamp) < cachedItem.ttl) {
             return cachedItem.data;
         }
         return null;
     }
 
-    setCache(key, data) {
+    setCache(key, data, ttl = this.cacheTTL) {
         this.cache[key] = {
             data,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ttl
         };
     }
 
@@ -192,33 +587,100 @@ class TheoriqAPI {
     }
 
     extractMetrics(apiResponse) {
-        const data = apiResponse.community_mindshare;
-        return {
-            totalYappers: data.total_unique_yappers,
-            totalTweets: data.total_unique_tweets,
-            topImpressions: data.top_250_yapper_impressions,
-            topLikes: data.top_250_yapper_likes
-        };
+        return extractMetrics(apiResponse);
     }
 
-    extractYappers(apiResponse, limit = 250, offset = 0) {
-        const yappers = apiResponse.community_mindshare.top_250_yappers || [];
-        return yappers.slice(offset, offset + limit).map(yapper => ({
-            rank: parseInt(yapper.rank),
-            username: yapper.username,
-            mindshare: parseFloat(yapper.mindshare),
-            tweets: parseInt(yapper.tweet_counts),
-            impressions: parseInt(yapper.total_impressions),
-            likes: parseInt(yapper.total_likes),
-            twitterUrl: `https://twitter.com/${yapper.username}`
-        }));
+    // Excluded accounts are dropped and ranks renumbered before paginating;
+    // options.unfiltered keeps every account with its original rank
+    extractYappers(apiResponse, limit = 250, offset = 0, options = {}) {
+        const yappers = parseYappers(apiResponse);
+        const visible = this.accountFlags ? this.accountFlags.filter(yappers, options.unfiltered) : yappers;
+        return visible.slice(offset, offset + limit);
     }
 }
 
 // Initialize services
-const api = new TheoriqAPI();
 const db = new TheoriqDatabase();
+const accountFlags = new AccountFlagService(db);
+const tickers = new TickerService(db);
+const api = new TheoriqAPI(db, accountFlags);
 const scheduler = new SchedulerService(api);
+const webflowSync = new WebflowSyncService(db, { accountFlags });
+const webhooks = new WebhookService(db, { accountFlags });
+const payloadArchive = new PayloadArchive(db);
+// Stream listeners keep their window fresh; getData only goes upstream once its cache expires.
+// The stream follows the default ticker only.
+const liveStream = new LiveStreamService({ refresh: (window) => api.getData(window) });
+const health = new HealthService(db, scheduler, api);
+
+// Push every fresh upstream fetch to the live stream
+api.on('data', ({ ticker, window, result }) => {
+    if (ticker !== TickerService.DEFAULT_TICKER) return;
+
+    try {
+        liveStream.publish(window, {
+            source: 'fetch',
+            metrics: api.extractMetrics(result.data),
+            yappers: api.extractYappers(result.data, Infinity, 0)
+        });
+    } catch (error) {
+        console.error('❌ Live stream publish error:', error.message);
+    }
+});
+
+// ...and every snapshot saved by a collection or approved from quarantine
+const publishSnapshot = async (window, snapshotId) => {
+    const snapshot = await db.getCompleteSnapshot(snapshotId, await db.getYapperCountForSnapshot(snapshotId), 0);
+    if (!snapshot) return;
+
+    liveStream.publish(window, {
+        source: 'snapshot',
+        isLive: !!snapshot.is_live,
+        snapshot: {
+            id: snapshot.snapshot_id,
+            collectionDate: snapshot.collection_date,
+            revision: snapshot.revision
+        },
+        metrics: {
+            totalYappers: snapshot.total_yappers,
+            totalTweets: snapshot.total_tweets,
+            topImpressions: snapshot.top_impressions,
+            topLikes: snapshot.top_likes
+        },
+        yappers: accountFlags.apply(snapshot.yappers)
+    });
+};
+
+scheduler.on('job:completed', async ({ jobType, ticker, result }) => {
+    if (jobType !== 'weekly-collection' || ticker !== TickerService.DEFAULT_TICKER || !result.windows) return;
+
+    for (const collected of result.windows) {
+        if (!collected.success || collected.action === 'skipped') continue;
+
+        try {
+            await publishSnapshot(collected.window, collected.snapshot.snapshotId);
+        } catch (error) {
+            console.error('❌ Live stream publish error:', error.message);
+        }
+    }
+});
+
+// Notify webhook subscribers about collections, cleanups and leaderboard changes
+scheduler.on('job:completed', (event) => {
+    webhooks.handleJobCompleted(event)
+        .catch(error => console.error('❌ Webhook event error:', error.message));
+});
+
+// Push fresh leaderboard data to the Webflow CMS after each collection of the default ticker
+scheduler.on('job:completed', ({ jobType, ticker, result }) => {
+    if (jobType !== 'weekly-collection' || ticker !== TickerService.DEFAULT_TICKER || !webflowSync.isConfigured() || !result.windows) return;
+
+    const collected = result.windows.find(w => w.window === webflowSync.window && w.success);
+    if (!collected || collected.action === 'skipped') return;
+
+    webflowSync.syncSnapshot(collected.snapshot.snapshotId)
+        .catch(error => console.error('❌ Webflow sync error:', error.message));
+});
 
 // Initialize database tables
 const initDatabase = async () => {
@@ -226,9 +688,18 @@ const initDatabase = async () => {
         console.log('🗄️ Initializing database tables...');
         await db.initTables();
         console.log('✅ Database tables initialized successfully');
+
+        const flagCount = await accountFlags.load();
+        console.log(`🚩 Loaded ${flagCount} account flags`);
+
+        const tickerCount = await tickers.load();
+        console.log(`🏷️ Loaded ${tickerCount} tickers`);
+        scheduler.setTickers(tickers.getCollectionTargets());
+        health.setReady(true);
     } catch (error) {
         console.error('❌ Error initializing database tables:', error);
         console.log('⚠️ Continuing server startup despite database error');
+        health.setReady(false, `Database initialization failed: ${error.message}`);
     }
 };
 
@@ -245,13 +716,15 @@ function formatNumber(num) {
 // ============= ORIGINAL API ROUTES =============
 
 // Get raw API data
-app.get('/api/data/:window?', validateParams, cacheMiddleware(300), async (req, res) => {
+app.get('/api/data/:window?', validateRequest, resolveTicker, cacheMiddleware(300), async (req, res) => {
     try {
         const window = req.params.window || '7d';
-        const result = await api.getData(window);
+        const result = await api.getData(window, { ticker: req.ticker });
         res.json({
             success: true,
+            ticker: req.ticker,
             isLive: result.isLive,
+            fallback: result.fallback,
             data: result.data,
             timestamp: new Date().toISOString()
         });
@@ -266,16 +739,18 @@ app.get('/api/data/:window?', validateParams, cacheMiddleware(300), async (req,
 });
 
 // Get processed metrics
-app.get('/api/metrics/:window?', validateParams, cacheMiddleware(300), async (req, res) => {
+app.get('/api/metrics/:window?', validateRequest, resolveTicker, cacheMiddleware(300), async (req, res) => {
     try {
         const window = req.params.window || '7d';
-        const result = await api.getData(window);
+        const result = await api.getData(window, { ticker: req.ticker });
         console.log("result", result);
         const metrics = api.extractMetrics(result.data);
 
         res.json({
             success: true,
+            ticker: req.ticker,
             isLive: result.isLive,
+            fallback: result.fallback,
             metrics: {
                 ...metrics,
                 formattedMetrics: {
@@ -298,19 +773,32 @@ app.get('/api/metrics/:window?', validateParams, cacheMiddleware(300), async (re
 });
 
 // Get yappers leaderboard
-app.get('/api/yappers/:window?', validateParams, cacheMiddleware(300), async (req, res) => {
+app.get('/api/yappers/:window?', validateRequest, resolveTicker, allowUnfiltered, cacheMiddleware(300), async (req, res) => {
     try {
         const window = req.params.window || '7d';
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
 
-        const result = await api.getData(window);
-        const allYappers = result.data.community_mindshare.top_250_yappers || [];
-        const yappers = api.extractYappers(result.data, limit, offset);
+        const result = await api.getData(window, { ticker: req.ticker });
+        const allYappers = api.extractYappers(result.data, Infinity, 0, { unfiltered: req.unfiltered });
+
+        if (wantsCsv(req)) {
+            const collectionDate = result.fallback ? result.fallback.collectionDate : moment().format('YYYY-MM-DD');
+            return streamCsv(
+                res,
+                csvFilename(window, collectionDate, 'leaderboard', req.ticker),
+                YAPPER_COLUMNS,
+                req.fullExport ? allYappers : allYappers.slice(offset, offset + limit)
+            );
+        }
+
+        const yappers = allYappers.slice(offset, offset + limit);
 
         res.json({
             success: true,
+            ticker: req.ticker,
             isLive: result.isLive,
+            fallback: result.fallback,
             yappers: yappers,
             pagination: {
                 total: allYappers.length,
@@ -331,20 +819,22 @@ app.get('/api/yappers/:window?', validateParams, cacheMiddleware(300), async (re
 });
 
 // Get complete dashboard data
-app.get('/api/dashboard/:window?', validateParams, cacheMiddleware(300), async (req, res) => {
+app.get('/api/dashboard/:window?', validateRequest, resolveTicker, allowUnfiltered, cacheMiddleware(300), async (req, res) => {
     try {
         const window = req.params.window || '7d';
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
 
-        const result = await api.getData(window);
+        const result = await api.getData(window, { ticker: req.ticker });
         const metrics = api.extractMetrics(result.data);
-        const allYappers = result.data.community_mindshare.top_250_yappers || [];
-        const yappers = api.extractYappers(result.data, limit, offset);
+        const allYappers = api.extractYappers(result.data, Infinity, 0, { unfiltered: req.unfiltered });
+        const yappers = allYappers.slice(offset, offset + limit);
 
         res.json({
             success: true,
             isLive: result.isLive,
+            fallback: result.fallback,
+            ticker: req.ticker,
             window: window,
             metrics: {
                 ...metrics,
@@ -374,16 +864,61 @@ app.get('/api/dashboard/:window?', validateParams, cacheMiddleware(300), async (
     }
 });
 
+// Live leaderboard updates as Server-Sent Events (replaces polling /api/dashboard)
+app.get('/api/stream', validateRequest, (req, res) => {
+    const window = req.query.window || '7d';
+
+    if (!liveStream.subscribe(req, res, window)) {
+        return res.status(503).json({
+            success: false,
+            error: 'Limite de conexões de stream atingido, tente novamente mais tarde',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // First listener of a window: load the current data so it gets an initial update
+    if (!liveStream.getWindowState(window).state) {
+        api.getData(window).catch(error => console.error(`❌ Stream initial fetch for ${window} failed:`, error.message));
+    }
+});
+
 // ============= DATABASE & HISTORICAL ROUTES =============
 
+// yappers_history row (after account flags were applied) as returned by the API
+const formatStoredYapper = (y) => ({
+    rank: y.rank,
+    originalRank: y.originalRank,
+    username: y.username,
+    mindshare: y.mindshare,
+    tweets: y.tweets,
+    impressions: y.impressions,
+    likes: y.likes,
+    twitterUrl: y.twitter_url,
+    ...(y.flag ? { flag: y.flag } : {})
+});
+
+// Tracked tickers, usable as ?ticker= on the data and history routes
+app.get('/api/tickers', (req, res) => {
+    res.json({
+        success: true,
+        defaultTicker: TickerService.DEFAULT_TICKER,
+        tickers: tickers.list().map(row => ({
+            ticker: row.ticker,
+            name: row.name,
+            active: !!row.active
+        })),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Get latest snapshot from database (for "Last 7 Days Swarms")
-app.get('/api/latest', validateParams, cacheMiddleware(600), async (req, res) => {
+app.get('/api/latest', validateRequest, resolveTicker, allowUnfiltered, cacheMiddleware(600), async (req, res) => {
     try {
         const window = req.query.window || '7d';
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
 
-        const snapshot = await db.getLatestSnapshot(window);
+        const snapshot = await db.getLatestSnapshot(window, req.ticker);
 
         if (!snapshot) {
             return res.json({
@@ -394,14 +929,31 @@ app.get('/api/latest', validateParams, cacheMiddleware(600), async (req, res) =>
             });
         }
 
-        // Obter contagem total de yappers no snapshot
-        const totalYappers = await db.getYapperCountForSnapshot(snapshot.snapshot_id);
-        const yappers = await db.getYappersForSnapshot(snapshot.snapshot_id, limit, offset);
+        // Exclusões mudam os ranks, então a paginação é feita sobre a lista filtrada
+        const storedYappers = await db.getYappersForSnapshot(
+            snapshot.snapshot_id,
+            await db.getYapperCountForSnapshot(snapshot.snapshot_id),
+            0
+        );
+        const allYappers = accountFlags.filter(storedYappers, req.unfiltered);
+        const totalYappers = allYappers.length;
+
+        if (wantsCsv(req)) {
+            return streamCsv(
+                res,
+                csvFilename(window, snapshot.collection_date, 'leaderboard', snapshot.ticker),
+                YAPPER_COLUMNS,
+                req.fullExport ? allYappers : allYappers.slice(offset, offset + limit)
+            );
+        }
+
+        const yappers = allYappers.slice(offset, offset + limit);
 
         res.json({
             success: true,
             snapshot: {
                 id: snapshot.snapshot_id,
+                ticker: snapshot.ticker,
                 collectionDate: snapshot.collection_date,
                 isLive: !!snapshot.is_live,
                 metrics: {
@@ -416,15 +968,8 @@ app.get('/api/latest', validateParams, cacheMiddleware(600), async (req, res) =>
                         topLikes: formatNumber(snapshot.top_likes)
                     }
                 },
-                yappers: yappers.map(y => ({
-                    rank: y.rank,
-                    username: y.username,
-                    mindshare: y.mindshare,
-                    tweets: y.tweets,
-                    impressions: y.impressions,
-                    likes: y.likes,
-                    twitterUrl: y.twitter_url
-                }))
+                concentration: formatConcentration(snapshot),
+                yappers: yappers.map(formatStoredYapper)
             },
             pagination: {
                 total: totalYappers,
@@ -445,17 +990,30 @@ app.get('/api/latest', validateParams, cacheMiddleware(600), async (req, res) =>
 });
 
 // Get historical snapshots
-app.get('/api/history', validateParams, cacheMiddleware(600), async (req, res) => {
+app.get('/api/history', validateRequest, resolveTicker, cacheMiddleware(600), async (req, res) => {
     try {
         const window = req.query.window || '7d';
         const limit = parseInt(req.query.limit) || 10;
         const offset = parseInt(req.query.offset) || 0;
 
-        const totalCount = await db.getSnapshotCount(window);
-        const result = await db.getHistoricalSnapshots(window, limit, offset);
+        const totalCount = await db.getSnapshotCount(window, req.ticker);
+
+        if (wantsCsv(req)) {
+            const exported = await db.getHistoricalSnapshots(window, req.fullExport ? totalCount : limit, req.fullExport ? 0 : offset, req.ticker);
+            const snapshots = exported.snapshots || [];
+            return streamCsv(
+                res,
+                csvFilename(window, snapshots.length > 0 ? snapshots[0].collection_date : moment().format('YYYY-MM-DD'), 'history', req.ticker),
+                SNAPSHOT_COLUMNS,
+                snapshots
+            );
+        }
+
+        const result = await db.getHistoricalSnapshots(window, limit, offset, req.ticker);
 
         res.json({
             success: true,
+            ticker: req.ticker,
             snapshots: result.snapshots || [],
             pagination: {
                 total: totalCount,
@@ -476,15 +1034,19 @@ app.get('/api/history', validateParams, cacheMiddleware(600), async (req, res) =
 });
 
 // Get specific snapshot with yappers
-app.get('/api/snapshot/:snapshotId', validateParams, cacheMiddleware(600), async (req, res) => {
+app.get('/api/snapshot/:snapshotId', validateRequest, allowUnfiltered, cacheMiddleware(600), async (req, res) => {
     try {
         const snapshotId = req.params.snapshotId;
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
 
-        const snapshot = await db.getCompleteSnapshot(snapshotId, limit, offset);
+        // Exclusões mudam os ranks, então a paginação é feita sobre a lista filtrada
+        const snapshot = await db.getCompleteSnapshot(snapshotId, await db.getYapperCountForSnapshot(snapshotId), 0);
 
-        if (!snapshot) {
+        // ?ticker is optional here (snapshot ids are unique) and only checked when given.
+        // Quarantined snapshots are not public.
+        if (!snapshot || snapshot.status === 'quarantined' ||
+            (req.query.ticker && snapshot.ticker !== TickerService.normalizeTicker(req.query.ticker))) {
             return res.status(404).json({
                 success: false,
                 error: 'Snapshot not found',
@@ -492,31 +1054,43 @@ app.get('/api/snapshot/:snapshotId', validateParams, cacheMiddleware(600), async
             });
         }
 
-        // Obter contagem total de yappers no snapshot
-        const totalYappers = await db.getYapperCountForSnapshot(snapshotId);
+        const allYappers = accountFlags.filter(snapshot.yappers, req.unfiltered);
+        const totalYappers = allYappers.length;
+
+        if (wantsCsv(req)) {
+            return streamCsv(
+                res,
+                csvFilename(
+                    snapshot.window_period,
+                    snapshot.collection_date,
+                    snapshot.revision > 1 ? `leaderboard-r${snapshot.revision}` : 'leaderboard',
+                    snapshot.ticker
+                ),
+                YAPPER_COLUMNS,
+                req.fullExport ? allYappers : allYappers.slice(offset, offset + limit)
+            );
+        }
 
         res.json({
             success: true,
             snapshot: {
                 id: snapshot.snapshot_id,
+                ticker: snapshot.ticker,
                 collectionDate: snapshot.collection_date,
                 windowPeriod: snapshot.window_period,
+                collectionRunId: snapshot.collection_run_id,
+                revision: snapshot.revision,
+                isCurrent: !!snapshot.is_current,
                 isLive: !!snapshot.is_live,
+                upstreamMode: snapshot.upstream_mode,
                 metrics: {
                     totalYappers: snapshot.total_yappers,
                     totalTweets: snapshot.total_tweets,
                     topImpressions: snapshot.top_impressions,
                     topLikes: snapshot.top_likes
                 },
-                yappers: snapshot.yappers.map(y => ({
-                    rank: y.rank,
-                    username: y.username,
-                    mindshare: y.mindshare,
-                    tweets: y.tweets,
-                    impressions: y.impressions,
-                    likes: y.likes,
-                    twitterUrl: y.twitter_url
-                })),
+                concentration: formatConcentration(snapshot),
+                yappers: allYappers.slice(offset, offset + limit).map(formatStoredYapper),
                 createdAt: snapshot.created_at
             },
             pagination: {
@@ -537,38 +1111,65 @@ app.get('/api/snapshot/:snapshotId', validateParams, cacheMiddleware(600), async
     }
 });
 
-// ============= SCHEDULER & ADMIN ROUTES =============
-
-// Rate limiter mais restritivo para rotas admin
-const adminLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutos
-    max: 20, // Limite de 20 requisições por IP
-    standardHeaders: true,
-    message: {
-        success: false,
-        error: 'Muitas requisições admin deste IP, tente novamente após 15 minutos',
-        timestamp: new Date().toISOString()
-    }
-});
+// Get a single yapper's history across stored snapshots
+app.get('/api/yappers/:username/history', validateRequest, resolveTicker, allowUnfiltered, cacheMiddleware(600), async (req, res) => {
+    try {
+        const username = req.params.username;
+        const window = req.query.window || '7d';
+        const from = req.query.from || null;
+        const to = req.query.to || null;
+        const hidden = !req.unfiltered && accountFlags.isExcluded(username);
 
-// Aplicar limitador nas rotas admin
-app.use('/api/admin/', adminLimiter);
+        // Public ranks skip the excluded accounts above; unfiltered keeps the original ones
+        const rows = hidden ? [] : (await db.getYapperHistory(
+            username, window, from, to, req.ticker, req.unfiltered ? [] : accountFlags.excludedUsernames()
+        )).map(row => ({ ...row, originalRank: row.rank, rank: row.rank === null ? null : row.rank - row.excluded_above }));
+        const present = rows.filter(row => row.rank !== null);
 
-// Cache control - limpar cache
-app.post('/api/admin/clear-cache', async (req, res) => {
-    try {
-        // Limpar cache do Node-Cache
-        apiCache.flushAll();
+        if (present.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Yapper not found in any snapshot',
+                username,
+                ticker: req.ticker,
+                window,
+                snapshotsChecked: rows.length,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        // Limpar cache interno da API
-        api.clearCache();
+        const ranks = present.map(row => row.rank);
 
         res.json({
             success: true,
-            message: 'Cache limpo com sucesso',
+            username: present[present.length - 1].username,
+            ticker: req.ticker,
+            window,
+            range: { from, to },
+            summary: {
+                totalSnapshots: rows.length,
+                weeksPresent: present.length,
+                weeksAbsent: rows.length - present.length,
+                bestRank: Math.min(...ranks),
+                worstRank: Math.max(...ranks),
+                firstSeen: present[0].collection_date,
+                lastSeen: present[present.length - 1].collection_date
+            },
+            history: rows.map(row => ({
+                snapshotId: row.snapshot_id,
+                collectionDate: row.collection_date,
+                present: row.rank !== null,
+                rank: row.rank,
+                originalRank: row.originalRank,
+                mindshare: row.mindshare,
+                tweets: row.tweets,
+                impressions: row.impressions,
+                likes: row.likes
+            })),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        console.error('Error fetching yapper history:', error);
         res.status(500).json({
             success: false,
             error: error.message,
@@ -577,56 +1178,1733 @@ app.post('/api/admin/clear-cache', async (req, res) => {
     }
 });
 
-// Manual trigger for data collection
-app.post('/api/admin/collect', async (req, res) => {
+// Compare two snapshots (defaults to the two latest for a ticker's window)
+app.get('/api/diff', validateRequest, resolveTicker, allowUnfiltered, cacheMiddleware(600), async (req, res) => {
     try {
-        const result = await scheduler.runWeeklyCollection();
+        const window = req.query.window || '7d';
+        let fromId = req.query.from;
+        let toId = req.query.to;
 
-        // Limpar cache após coleta de dados
-        apiCache.flushAll();
-        api.clearCache();
+        if ((fromId && !toId) || (!fromId && toId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both from and to snapshot IDs are required when either is given',
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+        if (!fromId) {
+            const latest = await db.getHistoricalSnapshots(window, 2, 0, req.ticker);
 
-// Test run (doesn't save to database)
-app.get('/api/admin/test', async (req, res) => {
-    try {
-        const result = await scheduler.testRun();
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+            if (latest.snapshots.length < 2) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not enough snapshots to compare',
+                    message: `At least two ${req.ticker} ${window} snapshots are required`,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-// Get scheduler info
-app.get('/api/admin/schedule', (req, res) => {
-    const scheduleInfo = scheduler.getScheduleInfo();
-    res.json({
-        success: true,
-        schedule: scheduleInfo,
+            toId = latest.snapshots[0].snapshot_id;
+            fromId = latest.snapshots[1].snapshot_id;
+        }
+
+        const [fromSnapshot, toSnapshot] = await Promise.all([
+            db.getCompleteSnapshot(fromId, 250, 0),
+            db.getCompleteSnapshot(toId, 250, 0)
+        ]);
+
+        const isPublic = (snapshot) => snapshot && snapshot.status !== 'quarantined';
+
+        if (!isPublic(fromSnapshot) || !isPublic(toSnapshot)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Snapshot not found',
+                missing: [!isPublic(fromSnapshot) && fromId, !isPublic(toSnapshot) && toId].filter(Boolean),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (fromSnapshot.ticker !== toSnapshot.ticker) {
+            return res.status(400).json({
+                success: false,
+                error: 'Snapshots belong to different tickers',
+                tickers: { from: fromSnapshot.ticker, to: toSnapshot.ticker },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (fromSnapshot.window_period !== toSnapshot.window_period) {
+            return res.status(400).json({
+                success: false,
+                error: 'Snapshots belong to different windows',
+                windows: { from: fromSnapshot.window_period, to: toSnapshot.window_period },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Public ranks on both sides, so excluded accounts never show up as movers
+        const leaderboard = diffLeaderboards(
+            accountFlags.filter(fromSnapshot.yappers, req.unfiltered),
+            accountFlags.filter(toSnapshot.yappers, req.unfiltered)
+        );
+
+        res.json({
+            success: true,
+            ticker: toSnapshot.ticker,
+            window: toSnapshot.window_period,
+            from: {
+                id: fromSnapshot.snapshot_id,
+                collectionDate: fromSnapshot.collection_date
+            },
+            to: {
+                id: toSnapshot.snapshot_id,
+                collectionDate: toSnapshot.collection_date
+            },
+            metrics: diffMetrics(fromSnapshot, toSnapshot),
+            summary: {
+                retained: leaderboard.risers.length + leaderboard.fallers.length + leaderboard.unchanged.length,
+                risers: leaderboard.risers.length,
+                fallers: leaderboard.fallers.length,
+                unchanged: leaderboard.unchanged.length,
+                newEntrants: leaderboard.newEntrants.length,
+                dropouts: leaderboard.dropouts.length
+            },
+            risers: leaderboard.risers,
+            fallers: leaderboard.fallers,
+            newEntrants: leaderboard.newEntrants,
+            dropouts: leaderboard.dropouts,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error comparing snapshots:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Time series of the aggregate metrics (total_yappers, total_tweets, top_impressions, top_likes)
+app.get('/api/trends', validateRequest, resolveTicker, cacheMiddleware(600), async (req, res) => {
+    try {
+        const window = req.query.window || '7d';
+        let metrics;
+        let bucket;
+        let maWindow;
+
+        try {
+            metrics = parseTrendMetrics(req.query.metric);
+            bucket = parseTrendBucket(req.query.bucket);
+            maWindow = parseMovingAverageWindow(req.query.ma);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const snapshots = await db.getSnapshotSeries(window, req.query.from, req.query.to, req.ticker);
+
+        res.json({
+            success: true,
+            ticker: req.ticker,
+            window,
+            bucket,
+            // change compares each point with the previous one: week over week for weekly snapshots
+            comparison: bucket === 'month' ? 'previous month' : 'previous snapshot',
+            movingAverageWindow: maWindow,
+            range: {
+                from: snapshots.length > 0 ? snapshots[0].collection_date : null,
+                to: snapshots.length > 0 ? snapshots[snapshots.length - 1].collection_date : null
+            },
+            snapshotCount: snapshots.length,
+            series: buildTrendSeries(snapshots, metrics, bucket, maWindow),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error building trends:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============= SCHEDULER & ADMIN ROUTES =============
+
+// Rate limiter mais restritivo para rotas admin
+const adminLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    max: 20, // Limite de 20 requisições por IP
+    standardHeaders: true,
+    message: {
+        success: false,
+        error: 'Muitas requisições admin deste IP, tente novamente após 15 minutos',
         timestamp: new Date().toISOString()
-    });
+    }
+});
+
+// Autenticação das rotas admin: chave enviada em "Authorization: Bearer <key>" ou "x-admin-key".
+// ADMIN_BOOTSTRAP_TOKEN (opcional) permite criar a primeira chave pela API.
+const requireAdminAuth = async (req, res, next) => {
+    const rejectRequest = async (reason, keyPrefix = null) => {
+        console.warn(`🔒 Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+
+        try {
+            await db.logAdminAuthFailure(req.ip, req.method, req.originalUrl, reason, keyPrefix);
+        } catch (error) {
+            console.error('❌ Could not log admin auth failure:', error.message);
+        }
+
+        res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: 'A valid admin API key is required',
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    try {
+        const key = extractApiKey(req, 'x-admin-key');
+
+        if (!key) {
+            return rejectRequest('missing key');
+        }
+
+        if (process.env.ADMIN_BOOTSTRAP_TOKEN && safeEqual(key, process.env.ADMIN_BOOTSTRAP_TOKEN)) {
+            req.adminKey = { keyId: 'bootstrap', name: 'bootstrap token' };
+            return next();
+        }
+
+        const record = await db.findAdminKeyByHash(hashApiKey(key));
+
+        if (!record) {
+            return rejectRequest('invalid key', key.slice(0, 18));
+        }
+
+        if (record.revoked_at) {
+            return rejectRequest('revoked key', record.key_prefix);
+        }
+
+        req.adminKey = { keyId: record.key_id, name: record.name };
+        db.touchAdminKey(record.key_id).catch(error => console.error('❌ Could not update key usage:', error.message));
+
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Aplicar limitador e autenticação nas rotas admin
+app.use('/api/admin/', adminLimiter, requireAdminAuth);
+
+// Create an admin API key (the plain key is only returned here)
+app.post('/api/admin/keys', validateRequest, async (req, res) => {
+    try {
+        const name = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: 'A key name is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { key, keyHash, keyPrefix } = generateApiKey('thq_admin');
+        const created = await db.createAdminKey(name, keyHash, keyPrefix);
+        console.log(`🔑 Admin key "${name}" (${keyPrefix}) created by ${req.adminKey.name}`);
+
+        res.status(201).json({
+            success: true,
+            key,
+            ...created,
+            warning: 'Store this key now, it cannot be retrieved again',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// List admin API keys (without secrets)
+app.get('/api/admin/keys', async (req, res) => {
+    try {
+        const keys = await db.listAdminKeys();
+
+        res.json({
+            success: true,
+            keys: keys.map(key => ({
+                keyId: key.key_id,
+                name: key.name,
+                keyPrefix: key.key_prefix,
+                createdAt: key.created_at,
+                lastUsedAt: key.last_used_at,
+                revokedAt: key.revoked_at,
+                active: !key.revoked_at
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Revoke an admin API key
+app.delete('/api/admin/keys/:keyId', validateRequest, async (req, res) => {
+    try {
+        const revoked = await db.revokeAdminKey(req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active key not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`🔑 Admin key ${req.params.keyId} revoked by ${req.adminKey.name}`);
+
+        res.json({
+            success: true,
+            keyId: req.params.keyId,
+            revoked: true,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Validate quota settings of a client key request body, falling back to the given defaults
+const parseClientKeyQuota = (body, defaults) => {
+    const quotaLimit = body.quota !== undefined ? Number(body.quota) : defaults.quotaLimit;
+    const quotaWindowMinutes = body.windowMinutes !== undefined ? Number(body.windowMinutes) : defaults.quotaWindowMinutes;
+
+    if (!Number.isInteger(quotaLimit) || quotaLimit < 1) {
+        return { error: 'quota must be a positive integer' };
+    }
+
+    if (!Number.isInteger(quotaWindowMinutes) || quotaWindowMinutes < 1) {
+        return { error: 'windowMinutes must be a positive integer' };
+    }
+
+    return { quotaLimit, quotaWindowMinutes };
+};
+
+// Create a client API key for the public routes (the plain key is only returned here)
+app.post('/api/admin/client-keys', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: 'A key name is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const quota = parseClientKeyQuota(body, CLIENT_KEY_DEFAULTS);
+        if (quota.error) {
+            return res.status(400).json({
+                success: false,
+                error: quota.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { key, keyHash, keyPrefix } = generateApiKey('thq_live');
+        const created = await db.createClientKey(name, keyHash, keyPrefix, quota.quotaLimit, quota.quotaWindowMinutes);
+
+        res.status(201).json({
+            success: true,
+            key,
+            ...created,
+            warning: 'Store this key now, it cannot be retrieved again',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// List client API keys with their quotas and usage totals
+app.get('/api/admin/client-keys', async (req, res) => {
+    try {
+        const keys = await db.listClientKeys();
+
+        res.json({
+            success: true,
+            keys: keys.map(key => ({
+                keyId: key.key_id,
+                name: key.name,
+                keyPrefix: key.key_prefix,
+                quotaLimit: key.quota_limit,
+                quotaWindowMinutes: key.quota_window_minutes,
+                totalRequests: key.total_requests,
+                createdAt: key.created_at,
+                lastUsedAt: key.last_used_at,
+                revokedAt: key.revoked_at,
+                active: !key.revoked_at
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change a client key's quota
+app.patch('/api/admin/client-keys/:keyId', validateRequest, async (req, res) => {
+    try {
+        const existing = await db.getClientKey(req.params.keyId);
+
+        if (!existing || existing.revoked_at) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active key not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const quota = parseClientKeyQuota(req.body || {}, {
+            quotaLimit: existing.quota_limit,
+            quotaWindowMinutes: existing.quota_window_minutes
+        });
+        if (quota.error) {
+            return res.status(400).json({
+                success: false,
+                error: quota.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await db.updateClientKeyQuota(req.params.keyId, quota.quotaLimit, quota.quotaWindowMinutes);
+
+        res.json({
+            success: true,
+            keyId: req.params.keyId,
+            ...quota,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Revoke a client API key
+app.delete('/api/admin/client-keys/:keyId', validateRequest, async (req, res) => {
+    try {
+        const revoked = await db.revokeClientKey(req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active key not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            keyId: req.params.keyId,
+            revoked: true,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Rejected admin authentication attempts
+app.get('/api/admin/auth-failures', validateRequest, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const failures = await db.getAdminAuthFailures(limit, offset);
+
+        res.json({
+            success: true,
+            failures: failures.map(failure => ({
+                ip: failure.ip,
+                method: failure.method,
+                path: failure.path,
+                reason: failure.reason,
+                keyPrefix: failure.key_prefix,
+                createdAt: failure.created_at
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Cache control - limpar cache
+app.post('/api/admin/clear-cache', async (req, res) => {
+    try {
+        // Limpar cache do Node-Cache
+        apiCache.flushAll();
+
+        // Limpar cache interno da API
+        api.clearCache();
+
+        res.json({
+            success: true,
+            message: 'Cache limpo com sucesso',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Manual trigger for data collection
+// Optional windows via body ({ "windows": ["7d", "30d"] }) or query (?windows=7d,30d),
+// ticker the same way (default THEORIQ, windows default to the ticker's own windows)
+app.post('/api/admin/collect', validateRequest, async (req, res) => {
+    try {
+        const requestedWindows = (req.body && req.body.windows) || req.query.windows;
+        const requestedMode = (req.body && req.body.mode) || req.query.mode;
+        const ticker = TickerService.normalizeTicker((req.body && req.body.ticker) || req.query.ticker || TickerService.DEFAULT_TICKER);
+        let windows;
+        let duplicateMode;
+
+        if (ticker !== TickerService.DEFAULT_TICKER && !tickers.get(ticker)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown ticker: ${ticker}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            windows = requestedWindows ? SchedulerService.parseWindows(requestedWindows) : undefined;
+            duplicateMode = requestedMode ? SchedulerService.parseDuplicateMode(requestedMode) : undefined;
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await scheduler.runWeeklyCollection(windows, {
+            trigger: '/api/admin/collect',
+            duplicateMode,
+            ticker
+        });
+
+        // Limpar cache após coleta de dados
+        apiCache.flushAll();
+        api.clearCache();
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Test run (doesn't save to database)
+app.get('/api/admin/test', async (req, res) => {
+    try {
+        const result = await scheduler.testRun();
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Get scheduler info
+app.get('/api/admin/schedule', (req, res) => {
+    const scheduleInfo = scheduler.getScheduleInfo();
+    res.json({
+        success: true,
+        schedule: scheduleInfo,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Update cron schedules, timezone and retention (applied live, until the next restart)
+app.put('/api/admin/schedule', validateRequest, (req, res) => {
+    try {
+        const body = req.body || {};
+        const result = scheduler.updateSchedule({
+            weeklyCron: body.weeklyCollection,
+            cleanupCron: body.cleanup,
+            timezone: body.timezone,
+            retentionWeeks: body.retentionWeeks,
+            catchUpGraceHours: body.catchUpGraceHours
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid schedule configuration',
+                details: result.errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const upstreamInfo = async () => ({
+    mode: api.mode,
+    modes: UPSTREAM_MODES,
+    fixturesDir: api.fixtures.dir,
+    fixtures: await api.fixtures.list(),
+    mock: { ...api.mock.config, calls: api.mock.calls },
+    status: api.upstreamStatus
+});
+
+// Upstream mode, recorded fixtures and mock configuration
+app.get('/api/admin/upstream', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            upstream: await upstreamInfo(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Switch upstream mode or mock scenario without restarting (until the next restart)
+app.put('/api/admin/upstream', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+
+        const invalid = (details) => res.status(400).json({
+            success: false,
+            error: 'Invalid upstream configuration',
+            details,
+            timestamp: new Date().toISOString()
+        });
+
+        let mode = null;
+        if (body.mode !== undefined) {
+            try {
+                mode = parseUpstreamMode(body.mode);
+            } catch (error) {
+                return invalid([error.message]);
+            }
+        }
+
+        // configure() leaves the mock untouched when it returns errors
+        const mockErrors = api.mock.configure(body.mock || {});
+        if (mockErrors.length > 0) {
+            return invalid(mockErrors);
+        }
+
+        if (mode) {
+            api.setMode(mode);
+        } else {
+            api.clearCache();
+        }
+        // Responses cached from the previous source would hide the change
+        apiCache.flushAll();
+
+        res.json({
+            success: true,
+            upstream: await upstreamInfo(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Database statistics
+app.get('/api/admin/stats', async (req, res) => {
+    try {
+        const stats = await db.getStats();
+        res.json({
+            success: true,
+            database: stats,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Manual cleanup
+app.post('/api/admin/cleanup', async (req, res) => {
+    try {
+        const result = await scheduler.runCleanup({ trigger: '/api/admin/cleanup' });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Raw upstream response archived with a snapshot, as JSON or as the stored gzip
+app.get('/api/admin/snapshots/:snapshotId/payload', validateRequest, async (req, res) => {
+    try {
+        const archived = await payloadArchive.load(req.params.snapshotId);
+
+        if (!archived) {
+            return res.status(404).json({
+                success: false,
+                error: 'No archived payload for this snapshot',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { meta } = archived;
+        const gzip = req.query.format === 'gzip';
+        const filename = `${meta.ticker.toLowerCase()}-${meta.window}-${meta.collectionDate}-payload.json${gzip ? '.gz' : ''}`;
+
+        res.set({
+            'Content-Type': gzip ? 'application/gzip' : 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store',
+            'X-Payload-Sha256': meta.hash,
+            'X-Payload-Source': meta.source || '',
+            'X-Payload-Fetched-At': meta.fetchedAt || ''
+        });
+        res.send(gzip ? archived.compressed : archived.json);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const formatQuarantinedSnapshot = (row) => ({
+    snapshotId: row.snapshot_id,
+    ticker: row.ticker,
+    window: row.window_period,
+    collectionDate: row.collection_date,
+    collectionRunId: row.collection_run_id,
+    revision: row.revision,
+    reason: row.quarantine_reason,
+    yappers: row.yapper_count,
+    metrics: {
+        totalYappers: row.total_yappers,
+        totalTweets: row.total_tweets,
+        topImpressions: row.top_impressions,
+        topLikes: row.top_likes
+    },
+    createdAt: row.created_at
+});
+
+// Snapshots that failed payload validation, waiting for an admin decision
+app.get('/api/admin/quarantine', validateRequest, async (req, res) => {
+    try {
+        const rows = await db.getQuarantinedSnapshots({
+            ticker: req.query.ticker ? TickerService.normalizeTicker(req.query.ticker) : null,
+            window: req.query.window || null
+        });
+
+        res.json({
+            success: true,
+            snapshots: rows.map(formatQuarantinedSnapshot),
+            count: rows.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Publish a quarantined snapshot as the current one of its ticker, window and date
+app.post('/api/admin/quarantine/:snapshotId/approve', validateRequest, async (req, res) => {
+    try {
+        const snapshot = await db.approveSnapshot(req.params.snapshotId);
+
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Quarantined snapshot not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        apiCache.flushAll();
+        console.log(`✅ Quarantined snapshot ${snapshot.snapshot_id} (${snapshot.ticker} ${snapshot.window_period}) approved by ${req.adminKey.name}`);
+
+        // Leaderboard events go out as for a collection, but only when the approved snapshot is now
+        // the latest of its ticker and window and holds live data; the collection event itself is not sent again
+        const latest = await db.getLatestSnapshot(snapshot.window_period, snapshot.ticker);
+        const announced = !!latest && latest.snapshot_id === snapshot.snapshot_id && snapshot.upstream_mode === 'live';
+        if (announced) {
+            webhooks.emitLeaderboardEvents(snapshot.window_period, snapshot.snapshot_id, snapshot.ticker)
+                .catch(error => console.error('❌ Webhook event error:', error.message));
+
+            if (snapshot.ticker === TickerService.DEFAULT_TICKER) {
+                publishSnapshot(snapshot.window_period, snapshot.snapshot_id)
+                    .catch(error => console.error('❌ Live stream publish error:', error.message));
+            }
+        }
+
+        res.json({
+            success: true,
+            snapshotId: snapshot.snapshot_id,
+            ticker: snapshot.ticker,
+            window: snapshot.window_period,
+            collectionDate: snapshot.collection_date,
+            supersededCurrent: snapshot.supersededCurrent,
+            announced,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Delete a quarantined snapshot with its yappers and archived payload
+app.post('/api/admin/quarantine/:snapshotId/discard', validateRequest, async (req, res) => {
+    try {
+        const discarded = await db.discardSnapshot(req.params.snapshotId);
+
+        if (!discarded) {
+            return res.status(404).json({
+                success: false,
+                error: 'Quarantined snapshot not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`🗑️ Quarantined snapshot ${req.params.snapshotId} discarded by ${req.adminKey.name}`);
+
+        res.json({
+            success: true,
+            snapshotId: req.params.snapshotId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Job run log (collections, cleanups, forced runs and simulations)
+app.get('/api/admin/jobs', validateRequest, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await db.getJobRuns({
+            jobType: req.query.type,
+            status: req.query.status,
+            trigger: req.query.trigger,
+            ticker: req.query.ticker ? TickerService.normalizeTicker(req.query.ticker) : undefined,
+            from: req.query.from,
+            to: req.query.to
+        }, limit, offset);
+
+        res.json({
+            success: true,
+            jobs: result.runs.map(run => ({
+                runId: run.run_id,
+                jobType: run.job_type,
+                ticker: run.ticker,
+                trigger: run.trigger,
+                status: run.status,
+                startedAt: run.started_at,
+                finishedAt: run.finished_at,
+                durationMs: run.duration_ms,
+                error: run.error_message,
+                snapshotId: run.snapshot_id,
+                collectionRunId: run.collection_run_id,
+                details: run.details
+            })),
+            pagination: {
+                total: result.total,
+                limit,
+                offset,
+                hasMore: offset + limit < result.total
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Validate account flag fields from a request body; returns an error message or null
+const validateAccountFlagBody = (body, partial = false) => {
+    if (!partial && (typeof body.username !== 'string' || !body.username.trim().replace(/^@/, ''))) {
+        return 'username is required';
+    }
+
+    if ((!partial || body.type !== undefined) && !AccountFlagService.FLAG_TYPES.includes(body.type)) {
+        return `type must be one of: ${AccountFlagService.FLAG_TYPES.join(', ')}`;
+    }
+
+    if (body.action !== undefined && !AccountFlagService.FLAG_ACTIONS.includes(body.action)) {
+        return `action must be one of: ${AccountFlagService.FLAG_ACTIONS.join(', ')}`;
+    }
+
+    return null;
+};
+
+const formatAccountFlag = (flag) => ({
+    flagId: flag.flag_id,
+    username: flag.username,
+    type: flag.flag_type,
+    action: flag.action,
+    reason: flag.reason,
+    createdBy: flag.created_by,
+    createdAt: flag.created_at,
+    updatedAt: flag.updated_at
+});
+
+// Flags change every leaderboard output, so cached responses are dropped
+const reloadAccountFlags = async () => {
+    await accountFlags.load();
+    apiCache.flushAll();
+};
+
+app.get('/api/admin/account-flags', async (req, res) => {
+    try {
+        const flags = await db.listAccountFlags();
+
+        res.json({
+            success: true,
+            flags: flags.map(formatAccountFlag),
+            types: AccountFlagService.FLAG_TYPES,
+            actions: AccountFlagService.FLAG_ACTIONS,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Hide an account from the leaderboard (action "exclude", default) or only mark it (action "flag")
+app.post('/api/admin/account-flags', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateAccountFlagBody(body);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const username = body.username.trim().replace(/^@/, '');
+        const existing = await db.findAccountFlagByUsername(username);
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account is already on the list',
+                flag: formatAccountFlag(existing),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const flag = await db.createAccountFlag(username, body.type, body.action || 'exclude', body.reason || null, req.adminKey.name);
+        await reloadAccountFlags();
+
+        console.log(`🚩 ${flag.username} added to account flags (${flag.flag_type}, ${flag.action}) by ${req.adminKey.name}`);
+
+        res.status(201).json({
+            success: true,
+            flag: formatAccountFlag(flag),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.patch('/api/admin/account-flags/:flagId', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateAccountFlagBody(body, true);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const updated = await db.updateAccountFlag(req.params.flagId, {
+            flagType: body.type,
+            action: body.action,
+            reason: body.reason
+        });
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account flag not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await reloadAccountFlags();
+
+        res.json({
+            success: true,
+            flag: formatAccountFlag(await db.getAccountFlag(req.params.flagId)),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/admin/account-flags/:flagId', validateRequest, async (req, res) => {
+    try {
+        const flag = await db.getAccountFlag(req.params.flagId);
+
+        if (!flag) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account flag not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await db.deleteAccountFlag(req.params.flagId);
+        await reloadAccountFlags();
+
+        console.log(`🚩 ${flag.username} removed from account flags by ${req.adminKey.name}`);
+
+        res.json({
+            success: true,
+            flagId: req.params.flagId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Validate ticker fields from a request body; returns an error message or null
+const validateTickerBody = (body, partial = false) => {
+    if (!partial && (typeof body.ticker !== 'string' || !TickerService.TICKER_PATTERN.test(TickerService.normalizeTicker(body.ticker)))) {
+        return 'ticker is required (letters, digits and _, up to 20 characters)';
+    }
+
+    if (body.name !== undefined && body.name !== null && typeof body.name !== 'string') {
+        return 'name must be a string';
+    }
+
+    if (body.collectionCron !== undefined && body.collectionCron !== null
+        && (typeof body.collectionCron !== 'string' || !SchedulerService.isValidCron(body.collectionCron.trim()))) {
+        return `Invalid collection cron expression: ${body.collectionCron}`;
+    }
+
+    if (body.windows !== undefined && body.windows !== null) {
+        try {
+            SchedulerService.parseWindows(body.windows);
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        return 'active must be a boolean';
+    }
+
+    return null;
+};
+
+// null clears the ticker's own schedule (the scheduler defaults apply again)
+const tickerChanges = (body) => ({
+    name: body.name,
+    collectionCron: body.collectionCron === undefined || body.collectionCron === null ? body.collectionCron : body.collectionCron.trim(),
+    collectionWindows: body.windows === undefined || body.windows === null ? body.windows : SchedulerService.parseWindows(body.windows).join(','),
+    active: body.active
+});
+
+const formatTicker = (row) => {
+    const target = scheduler.getCollectionTargets().find(entry => entry.ticker === row.ticker);
+
+    return {
+        ticker: row.ticker,
+        name: row.name,
+        active: !!row.active,
+        isDefault: row.ticker === TickerService.DEFAULT_TICKER,
+        collectionCron: row.collection_cron,
+        collectionWindows: row.collection_windows ? row.collection_windows.split(',') : null,
+        // Effective schedule, with the scheduler defaults filled in (null while inactive)
+        collection: target ? {
+            cron: target.cron,
+            windows: target.windows,
+            nextCollection: scheduler.getRunTime(target.cron)
+        } : null,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+};
+
+// The scheduler follows the ticker list: collection jobs are added, rescheduled or removed right away
+const reloadTickers = async () => {
+    await tickers.load();
+    scheduler.setTickers(tickers.getCollectionTargets());
+    apiCache.flushAll();
+};
+
+app.get('/api/admin/tickers', async (req, res) => {
+    try {
+        const rows = await db.listTickers();
+
+        res.json({
+            success: true,
+            tickers: rows.map(formatTicker),
+            defaultTicker: TickerService.DEFAULT_TICKER,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Track a new ticker; without collectionCron/windows it follows the weekly schedule and COLLECTION_WINDOWS
+app.post('/api/admin/tickers', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateTickerBody(body);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const ticker = TickerService.normalizeTicker(body.ticker);
+        const existing = await db.getTicker(ticker);
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                error: 'Ticker is already tracked',
+                ticker: formatTicker(existing),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const changes = tickerChanges(body);
+        const row = await db.createTicker(
+            ticker,
+            changes.name || null,
+            changes.collectionCron || null,
+            changes.collectionWindows || null,
+            body.active !== false,
+            req.adminKey.name
+        );
+        await reloadTickers();
+
+        console.log(`🏷️ Ticker ${ticker} added by ${req.adminKey.name}`);
+
+        res.status(201).json({
+            success: true,
+            ticker: formatTicker(row),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.patch('/api/admin/tickers/:ticker', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateTickerBody(body, true);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const ticker = TickerService.normalizeTicker(req.params.ticker);
+        const updated = await db.updateTicker(ticker, tickerChanges(body));
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ticker not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await reloadTickers();
+
+        res.json({
+            success: true,
+            ticker: formatTicker(await db.getTicker(ticker)),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Stops collecting and serving the ticker; its stored snapshots are kept
+app.delete('/api/admin/tickers/:ticker', validateRequest, async (req, res) => {
+    try {
+        const ticker = TickerService.normalizeTicker(req.params.ticker);
+
+        if (ticker === TickerService.DEFAULT_TICKER) {
+            return res.status(400).json({
+                success: false,
+                error: 'The default ticker cannot be removed, set active to false instead',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!(await db.deleteTicker(ticker))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ticker not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await reloadTickers();
+
+        console.log(`🏷️ Ticker ${ticker} removed by ${req.adminKey.name}`);
+
+        res.json({
+            success: true,
+            ticker,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Validate webhook fields from a request body; returns an error message or null
+const validateWebhookBody = (body, partial = false) => {
+    if (!partial || body.url !== undefined) {
+        let url;
+        try {
+            url = new URL(body.url);
+        } catch (error) {
+            return 'url must be a valid http(s) URL';
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return 'url must be a valid http(s) URL';
+        }
+    }
+
+    if (!partial || body.events !== undefined) {
+        const events = body.events;
+        if (!Array.isArray(events) || events.length === 0 ||
+            !events.every(event => event === '*' || WebhookService.EVENTS.includes(event))) {
+            return `events must be a non-empty list of: *, ${WebhookService.EVENTS.join(', ')}`;
+        }
+    }
+
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        return 'active must be a boolean';
+    }
+
+    return null;
+};
+
+const formatWebhook = (webhook) => ({
+    webhookId: webhook.webhook_id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    secretPrefix: webhook.secret.slice(0, 12),
+    createdAt: webhook.created_at,
+    updatedAt: webhook.updated_at
+});
+
+const formatWebhookDelivery = (delivery) => ({
+    deliveryId: delivery.delivery_id,
+    webhookId: delivery.webhook_id,
+    eventId: delivery.event_id,
+    event: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.response_status,
+    error: delivery.error_message,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    payload: delivery.payload
+});
+
+// Create a webhook subscription; the signing secret is only returned here
+app.post('/api/admin/webhooks', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateWebhookBody(body);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const secret = body.secret ? String(body.secret) : WebhookService.generateSecret();
+        const created = await db.createWebhook(body.url, secret, body.events, body.description || null);
+
+        console.log(`📨 Webhook created for ${created.url} (${created.events.join(', ')})`);
+
+        res.status(201).json({
+            success: true,
+            webhook: created,
+            secret,
+            message: 'Store this secret now to verify the X-Theoriq-Signature header, it cannot be retrieved again',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/admin/webhooks', async (req, res) => {
+    try {
+        const list = await db.listWebhooks();
+
+        res.json({
+            success: true,
+            webhooks: list.map(formatWebhook),
+            events: WebhookService.EVENTS,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Delivery history, newest first
+app.get('/api/admin/webhooks/deliveries', validateRequest, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const result = await db.getWebhookDeliveries({
+            webhookId: req.query.webhookId,
+            eventType: req.query.event,
+            status: req.query.status
+        }, limit, offset);
+
+        res.json({
+            success: true,
+            deliveries: result.deliveries.map(formatWebhookDelivery),
+            pagination: {
+                total: result.total,
+                limit,
+                offset,
+                hasMore: offset + limit < result.total
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Send a stored delivery again
+app.post('/api/admin/webhooks/deliveries/:deliveryId/redeliver', validateRequest, async (req, res) => {
+    try {
+        const delivery = await webhooks.redeliver(req.params.deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(delivery.status === 'success' ? 200 : 502).json({
+            success: delivery.status === 'success',
+            delivery: formatWebhookDelivery({ ...delivery, payload: JSON.parse(delivery.payload) }),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.patch('/api/admin/webhooks/:webhookId', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const validationError = validateWebhookBody(body, true);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const updated = await db.updateWebhook(req.params.webhookId, {
+            url: body.url,
+            events: body.events,
+            description: body.description,
+            active: body.active
+        });
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            webhook: formatWebhook(await db.getWebhook(req.params.webhookId)),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/admin/webhooks/:webhookId', validateRequest, async (req, res) => {
+    try {
+        const deleted = await db.deleteWebhook(req.params.webhookId);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(`🗑️ Webhook ${req.params.webhookId} deleted`);
+
+        res.json({
+            success: true,
+            webhookId: req.params.webhookId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
 });
 
-// Database statistics
-app.get('/api/admin/stats', async (req, res) => {
+// Send a ping event to one subscription
+app.post('/api/admin/webhooks/:webhookId/ping', validateRequest, async (req, res) => {
     try {
-        const stats = await db.getStats();
+        const webhook = await db.getWebhook(req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!webhook.active) {
+            return res.status(409).json({
+                success: false,
+                error: 'Webhook is disabled',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const queued = await webhooks.emit('ping', { webhookId: webhook.webhook_id }, [webhook.webhook_id]);
+        const delivery = await webhooks.deliverNow(queued.deliveries[0]);
+
+        res.status(delivery.status === 'success' ? 200 : 502).json({
+            success: delivery.status === 'success',
+            delivery: formatWebhookDelivery({ ...delivery, payload: JSON.parse(delivery.payload) }),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const formatRewardCalculation = (calculation) => ({
+    calculationId: calculation.calculation_id,
+    snapshotId: calculation.snapshot_id,
+    window: calculation.window_period,
+    collectionDate: calculation.collection_date,
+    pool: calculation.pool,
+    policy: calculation.policy,
+    totalAllocated: calculation.total_allocated,
+    recipients: calculation.recipients,
+    note: calculation.note,
+    createdAt: calculation.created_at
+});
+
+// Split a reward pool over a snapshot's leaderboard and store the result
+app.post('/api/admin/rewards/calculate', validateRequest, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const window = body.window || '7d';
+        const ticker = TickerService.normalizeTicker(body.ticker || TickerService.DEFAULT_TICKER);
+
+        if (!isTrackedTicker(ticker)) {
+            return untrackedTicker(res, 'body', ticker);
+        }
+
+        let pool;
+        let policy;
+
+        try {
+            pool = parseRewardPool(body.pool);
+            policy = parseRewardPolicy(body.policy);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const snapshotId = body.snapshotId || (await db.getLatestSnapshot(window, ticker) || {}).snapshot_id;
+        const snapshot = snapshotId
+            ? await db.getCompleteSnapshot(snapshotId, await db.getYapperCountForSnapshot(snapshotId), 0)
+            : null;
+
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: body.snapshotId ? 'Snapshot not found' : `No ${ticker} ${window} snapshots found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // An explicit snapshotId must belong to the ticker asked for
+        if (body.ticker && snapshot.ticker !== ticker) {
+            return res.status(400).json({
+                success: false,
+                error: `Snapshot ${snapshot.snapshot_id} belongs to ${snapshot.ticker}, not ${ticker}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (snapshot.status === 'quarantined') {
+            return res.status(409).json({
+                success: false,
+                error: 'Snapshot is quarantined, approve it before calculating rewards',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let result;
+
+        try {
+            // Accounts excluded from the public leaderboard are never paid; ranks are the public ones
+            const visible = accountFlags.apply(snapshot.yappers);
+            const kept = new Set(visible.map(yapper => yapper.username));
+            const removed = snapshot.yappers.filter(yapper => !kept.has(yapper.username));
+            result = calculateAllocations(visible, pool, policy, removed);
+        } catch (error) {
+            return res.status(422).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const calculationId = await db.saveRewardCalculation(snapshot, pool, policy, result, body.note || null);
+        const calculation = await db.getRewardCalculation(calculationId);
+
+        res.status(201).json({
+            success: true,
+            calculation: formatRewardCalculation(calculation),
+            allocations: result.allocations.map(({ amountUnits, ...allocation }) => allocation),
+            excluded: result.excluded,
+            totals: result.totals,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/admin/rewards', validateRequest, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = parseInt(req.query.offset) || 0;
+        const result = await db.getRewardCalculations(limit, offset);
+
         res.json({
             success: true,
-            database: stats,
+            calculations: result.calculations.map(formatRewardCalculation),
+            pagination: {
+                total: result.total,
+                limit,
+                offset,
+                hasMore: offset + limit < result.total
+            },
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -638,11 +2916,119 @@ app.get('/api/admin/stats', async (req, res) => {
     }
 });
 
-// Manual cleanup
-app.post('/api/admin/cleanup', async (req, res) => {
+// A stored calculation as JSON or CSV (?format=csv)
+app.get('/api/admin/rewards/:calculationId', validateRequest, async (req, res) => {
     try {
-        const result = await scheduler.runCleanup();
-        res.json(result);
+        const calculation = await db.getRewardCalculation(req.params.calculationId);
+
+        if (!calculation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reward calculation not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (wantsCsv(req)) {
+            return streamCsv(
+                res,
+                csvFilename(calculation.window_period, calculation.collection_date, `rewards-${calculation.calculation_id.slice(0, 8)}`),
+                REWARD_COLUMNS,
+                calculation.allocations
+            );
+        }
+
+        res.json({
+            success: true,
+            calculation: formatRewardCalculation(calculation),
+            allocations: calculation.allocations.map(allocation => ({
+                rank: allocation.rank,
+                username: allocation.username,
+                mindshare: allocation.mindshare,
+                tweets: allocation.tweets,
+                amount: allocation.amount,
+                share: allocation.share,
+                capped: allocation.capped
+            })),
+            excluded: calculation.excluded,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// HTTP status for a Webflow sync result
+const webflowStatusCode = (result) => {
+    if (result.success) return 200;
+    if (result.skipped) return 503;
+    if (result.busy) return 409;
+    if (!result.status) return 404; // nothing to sync or retry
+    return 502;
+};
+
+// Sync a snapshot (default: latest) to the Webflow CMS collection
+app.post('/api/admin/webflow/sync', validateRequest, async (req, res) => {
+    try {
+        const snapshotId = (req.body && req.body.snapshotId) || req.query.snapshotId || null;
+        const result = await webflowSync.syncSnapshot(snapshotId);
+
+        res.status(webflowStatusCode(result)).json({
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Retry the last Webflow sync if it failed or only partially succeeded
+app.post('/api/admin/webflow/retry', async (req, res) => {
+    try {
+        const result = await webflowSync.retryLastFailed();
+
+        res.status(webflowStatusCode(result)).json({
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Webflow sync history
+app.get('/api/admin/webflow/logs', validateRequest, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = parseInt(req.query.offset) || 0;
+        const logs = await db.getWebflowSyncLogs(limit, offset);
+
+        res.json({
+            success: true,
+            configured: webflowSync.isConfigured(),
+            window: webflowSync.window,
+            logs: logs.map(log => ({
+                id: log.id,
+                snapshotId: log.snapshot_id,
+                status: log.sync_status,
+                itemsSynced: log.items_synced,
+                error: log.error_message,
+                syncedAt: log.sync_date
+            })),
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -655,6 +3041,23 @@ app.post('/api/admin/cleanup', async (req, res) => {
 // Test API connection endpoint
 app.get('/api/admin/test-connection', async (req, res) => {
     try {
+        // Replay and mock modes are tested through their local endpoint, no key or network needed
+        if (api.mode === 'replay' || api.mode === 'mock') {
+            const [endpoint] = api.getEndpoints('7d', TickerService.DEFAULT_TICKER);
+            const started = Date.now();
+            const { data: responseData } = await api.fetchEndpoint(endpoint);
+
+            return res.json({
+                success: true,
+                mode: api.mode,
+                source: endpoint.name,
+                ticker: TickerService.DEFAULT_TICKER,
+                durationMs: Date.now() - started,
+                response: responseData,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         // Check if API key is configured
         if (!process.env.KAITO_API_KEY) {
             return res.status(500).json({
@@ -665,7 +3068,7 @@ app.get('/api/admin/test-connection', async (req, res) => {
         }
 
         // Test API call with minimal window
-        const testUrl = `${API_CONFIG.directUrl}?ticker=${API_CONFIG.ticker}&window=7d`;
+        const testUrl = `${API_CONFIG.directUrl}?ticker=${TickerService.DEFAULT_TICKER}&window=7d`;
         console.log('Testing API connection to:', testUrl);
 
         const controller = new AbortController();
@@ -693,11 +3096,12 @@ app.get('/api/admin/test-connection', async (req, res) => {
 
         res.json({
             success: response.ok,
+            mode: api.mode,
             status: response.status,
             statusText: response.statusText,
             hasApiKey: !!process.env.KAITO_API_KEY,
             apiKeyLength: process.env.KAITO_API_KEY ? process.env.KAITO_API_KEY.length : 0,
-            ticker: API_CONFIG.ticker,
+            ticker: TickerService.DEFAULT_TICKER,
             url: testUrl,
             response: responseData,
             timestamp: new Date().toISOString()
@@ -706,6 +3110,7 @@ app.get('/api/admin/test-connection', async (req, res) => {
         res.status(500).json({
             success: false,
             error: error.name === 'AbortError' ? 'Connection timeout' : error.message,
+            mode: api.mode,
             hasApiKey: !!process.env.KAITO_API_KEY,
             timestamp: new Date().toISOString()
         });
@@ -718,7 +3123,7 @@ app.get('/api/admin/test-connection', async (req, res) => {
 app.get('/api/admin/test-scheduler', async (req, res) => {
     try {
         const SchedulerTester = require('./test-scheduler');
-        const tester = new SchedulerTester();
+        const tester = new SchedulerTester({ api });
 
         const results = await tester.runFullTest();
 
@@ -737,10 +3142,10 @@ app.get('/api/admin/test-scheduler', async (req, res) => {
 });
 
 // Test specific scheduler component
-app.get('/api/admin/test-scheduler/:component', async (req, res) => {
+app.get('/api/admin/test-scheduler/:component', validateRequest, async (req, res) => {
     try {
         const SchedulerTester = require('./test-scheduler');
-        const tester = new SchedulerTester();
+        const tester = new SchedulerTester({ api });
         const component = req.params.component;
 
         let result;
@@ -764,13 +3169,9 @@ app.get('/api/admin/test-scheduler/:component', async (req, res) => {
             case 'history':
                 result = await tester.testSnapshotHistory();
                 break;
-            default:
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid component',
-                    validComponents: ['instances', 'weekly', 'cleanup', 'api', 'schedule', 'history'],
-                    timestamp: new Date().toISOString()
-                });
+            case 'webflow':
+                result = await tester.testWebflowSync();
+                break;
         }
 
         res.json({
@@ -789,26 +3190,23 @@ app.get('/api/admin/test-scheduler/:component', async (req, res) => {
 });
 
 // Simulate scheduled run
-app.post('/api/admin/simulate/:type', async (req, res) => {
+app.post('/api/admin/simulate/:type', validateRequest, async (req, res) => {
     try {
         const type = req.params.type;
 
-        if (type !== 'weekly' && type !== 'cleanup') {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid simulation type',
-                validTypes: ['weekly', 'cleanup'],
-                timestamp: new Date().toISOString()
-            });
-        }
-
-        const SchedulerTester = require('./test-scheduler');
-        const tester = new SchedulerTester();
-
-        const result = await tester.simulateScheduledRun(type);
+        // Recorded under its own job type so a simulation never counts as the last real run
+        const result = await scheduler.trackJob(
+            `simulation:${type}`,
+            `/api/admin/simulate/${type}`,
+            async () => {
+                const SchedulerTester = require('./test-scheduler');
+                const tester = new SchedulerTester({ api });
+                return tester.simulateScheduledRun(type);
+            }
+        );
 
-        res.json({
-            success: true,
+        res.status(result.success ? 200 : 500).json({
+            success: result.success,
             simulation: type,
             result: result,
             timestamp: new Date().toISOString()
@@ -868,8 +3266,9 @@ app.get('/api/admin/schedule-countdown', (req, res) => {
                 },
                 activeJobs: scheduleInfo.activeJobs,
                 timezone: scheduleInfo.timezone,
-                isWeeklyCollectionDay: now.day() === 3 && now.hour() >= 10 && now.hour() < 11,
-                isCleanupTime: now.hour() >= 2 && now.hour() < 3
+                // True during the hour following the most recent scheduled run
+                isWeeklyCollectionDay: now.diff(moment(scheduleInfo.previousWeeklyCollection), 'hours', true) < 1,
+                isCleanupTime: now.diff(moment(scheduleInfo.previousCleanup), 'hours', true) < 1
             },
             timestamp: new Date().toISOString()
         });
@@ -883,10 +3282,21 @@ app.get('/api/admin/schedule-countdown', (req, res) => {
 });
 
 // Force trigger schedule (with override)
-app.post('/api/admin/force-schedule/:type', async (req, res) => {
+app.post('/api/admin/force-schedule/:type', validateRequest, async (req, res) => {
     try {
         const type = req.params.type;
-        const override = req.query.override === 'true';
+        const override = req.query.override === true;
+        let duplicateMode;
+
+        try {
+            duplicateMode = req.query.mode ? SchedulerService.parseDuplicateMode(req.query.mode) : undefined;
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
 
         if (!override) {
             return res.status(400).json({
@@ -899,22 +3309,15 @@ app.post('/api/admin/force-schedule/:type', async (req, res) => {
 
         let result;
 
-        switch (type) {
-            case 'weekly':
-                console.log('🚨 FORCED WEEKLY COLLECTION TRIGGERED');
-                result = await scheduler.runWeeklyCollection();
-                break;
-            case 'cleanup':
-                console.log('🚨 FORCED CLEANUP TRIGGERED');
-                result = await scheduler.runCleanup();
-                break;
-            default:
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid schedule type',
-                    validTypes: ['weekly', 'cleanup'],
-                    timestamp: new Date().toISOString()
-                });
+        if (type === 'weekly') {
+            console.log('🚨 FORCED WEEKLY COLLECTION TRIGGERED');
+            result = await scheduler.runWeeklyCollection(undefined, {
+                trigger: '/api/admin/force-schedule/weekly',
+                duplicateMode
+            });
+        } else {
+            console.log('🚨 FORCED CLEANUP TRIGGERED');
+            result = await scheduler.runCleanup({ trigger: '/api/admin/force-schedule/cleanup' });
         }
 
         res.json({
@@ -933,17 +3336,117 @@ app.post('/api/admin/force-schedule/:type', async (req, res) => {
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// Quota consumption of the calling client key (or of the caller's IP when anonymous)
+app.get('/api/usage', async (req, res) => {
+    try {
+        if (!req.clientKey) {
+            const ipLimit = req.rateLimit || {};
+            return res.json({
+                success: true,
+                anonymous: true,
+                message: 'Send an API key in the x-api-key header to get a dedicated quota',
+                usage: {
+                    limit: ipLimit.limit,
+                    used: ipLimit.used,
+                    remaining: ipLimit.remaining,
+                    resetTime: ipLimit.resetTime
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [record, history] = await Promise.all([
+            db.getClientKey(req.clientKey.keyId),
+            db.getClientKeyUsage(req.clientKey.keyId, 24)
+        ]);
+
+        res.json({
+            success: true,
+            anonymous: false,
+            key: {
+                keyId: record.key_id,
+                name: record.name,
+                keyPrefix: record.key_prefix,
+                createdAt: record.created_at,
+                lastUsedAt: record.last_used_at
+            },
+            quota: {
+                limit: record.quota_limit,
+                windowMinutes: record.quota_window_minutes
+            },
+            usage: {
+                used: req.clientKey.used,
+                remaining: req.clientKey.remaining,
+                resetTime: req.clientKey.resetTime,
+                totalRequests: record.total_requests
+            },
+            history: history.map(entry => ({
+                windowStart: entry.window_start,
+                requests: entry.request_count
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// OpenAPI document built from the same contracts used to validate requests
+const openApiSpec = buildOpenApiSpec(apiRoutes, apiSchemas, {
+    title: 'Theoriq API Server',
+    version: '2.0.0',
+    description: 'Leaderboard de mindshare da Theoriq: dados ao vivo, snapshots históricos e administração'
+});
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+// Health check: real probes of the database, scheduler jobs, snapshot freshness and upstream.
+// 200 when healthy or degraded (still serving), 503 when unhealthy
+app.get('/api/health', async (req, res) => {
+    try {
+        const { status, services } = await health.check();
+        res.status(status === 'unhealthy' ? 503 : 200).json({
+            success: status !== 'unhealthy',
+            status,
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            services
+        });
+    } catch (error) {
+        res.status(503).json({
+            success: false,
+            status: 'unhealthy',
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Liveness: the process is up and answering, no dependency is checked
+app.get('/api/health/live', (req, res) => {
     res.json({
         success: true,
-        status: 'healthy',
+        status: 'alive',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        services: {
-            database: 'connected',
-            scheduler: 'active'
-        }
+        uptime: process.uptime()
+    });
+});
+
+// Readiness: database initialized and reachable
+app.get('/api/health/ready', async (req, res) => {
+    const readiness = await health.checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json({
+        success: readiness.ready,
+        status: readiness.ready ? 'ready' : 'not_ready',
+        ...(readiness.reason ? { reason: readiness.reason } : {}),
+        ...(readiness.database ? { database: readiness.database } : {}),
+        timestamp: new Date().toISOString()
     });
 });
 
@@ -954,28 +3457,8 @@ app.get('/', (req, res) => {
             res.json({
                 message: 'Theoriq API Server with Database Integration',
                 version: '2.0.0',
-                endpoints: {
-                    // Original endpoints
-                    dashboard: '/api/dashboard/:window (7d, 30d, 90d)',
-                    metrics: '/api/metrics/:window',
-                    yappers: '/api/yappers/:window?limit=250',
-                    data: '/api/data/:window',
-
-                    // Database endpoints
-                    latest: '/api/latest?window=7d&limit=50',
-                    history: '/api/history?window=7d&limit=10',
-                    snapshot: '/api/snapshot/:snapshotId?limit=250',
-
-                    // Admin endpoints
-                    collect: 'POST /api/admin/collect',
-                    test: '/api/admin/test',
-                    schedule: '/api/admin/schedule',
-                    stats: '/api/admin/stats',
-                    cleanup: 'POST /api/admin/cleanup',
-                    testConnection: '/api/admin/test-connection', // Added new endpoint
-
-                    health: '/api/health'
-                },
+                documentation: '/api/openapi.json',
+                endpoints: apiRoutes.map(route => `${route.method.toUpperCase()} ${route.path}`),
                 features: [
                     'Live API data collection',
                     'Historical data storage',
@@ -988,6 +3471,12 @@ app.get('/', (req, res) => {
     });
 });
 
+// Every /api route needs a contract in services/api-schema.js
+const undocumentedRoutes = findUndocumentedRoutes(app, apiRoutes);
+if (undocumentedRoutes.length > 0) {
+    console.warn(`⚠️ Routes without a contract in services/api-schema.js: ${undocumentedRoutes.join(', ')}`);
+}
+
 // Start scheduler
 scheduler.scheduleWeeklyCollection();
 scheduler.scheduleDailyCleanup();
@@ -1004,14 +3493,32 @@ app.listen(PORT, async () => {
     console.log(`   • GET /api/history - Historical snapshots`);
     console.log(`   • POST /api/admin/collect - Manual data collection`);
     console.log(`   • GET /api/admin/stats - Database statistics`);
-    console.log(`📅 Automated collection: Every Wednesday at 10:00 AM`);
+    console.log(`📅 Automated collection: ${scheduler.config.weeklyCron} (${scheduler.config.timezone})`);
+    if (api.mode !== 'live') {
+        console.log(`🔌 Upstream mode: ${api.mode}${api.mode === 'mock' ? ` (scenario: ${api.mock.config.scenario})` : ` (fixtures: ${api.fixtures.dir})`}`);
+    }
     console.log(`🗄️ Database: SQLite with historical storage`);
+
+    try {
+        await webhooks.resumePending();
+    } catch (error) {
+        console.error('❌ Could not resume webhook deliveries:', error.message);
+    }
+
+    // Recover a weekly collection missed while the server was down
+    try {
+        await scheduler.catchUpMissedCollection();
+    } catch (error) {
+        console.error('❌ Missed collection check failed:', error.message);
+    }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🛑 Received SIGTERM, shutting down gracefully...');
     scheduler.stopAll();
+    webhooks.stop();
+    liveStream.stop();
     db.close();
     process.exit(0);
 });
@@ -1019,6 +3526,8 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
     console.log('🛑 Received SIGINT, shutting down gracefully...');
     scheduler.stopAll();
+    webhooks.stop();
+    liveStream.stop();
     db.close();
     process.exit(0);
 });
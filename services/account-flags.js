@@ -0,0 +1,78 @@
+// Managed list of accounts hidden from (or marked on) the public leaderboard
+
+const FLAG_TYPES = ['team', 'bot', 'banned', 'other'];
+const FLAG_ACTIONS = ['exclude', 'flag'];
+
+class AccountFlagService {
+    constructor(database) {
+        this.db = database;
+        // Kept in memory so leaderboard outputs can be filtered synchronously
+        this.flags = new Map();
+    }
+
+    async load() {
+        const rows = await this.db.listAccountFlags();
+        this.flags = new Map(rows.map(row => [row.username.toLowerCase(), row]));
+        return this.flags.size;
+    }
+
+    getFlag(username) {
+        return this.flags.get(String(username).toLowerCase()) || null;
+    }
+
+    isExcluded(username) {
+        const flag = this.getFlag(username);
+        return !!flag && flag.action === 'exclude';
+    }
+
+    // Lowercased usernames with action exclude, for filtering in SQL
+    excludedUsernames() {
+        return [...this.flags.values()]
+            .filter(flag => flag.action === 'exclude')
+            .map(flag => flag.username.toLowerCase());
+    }
+
+    // Drop excluded accounts, mark flagged ones and renumber ranks.
+    // Works on API yappers and yappers_history rows alike (anything with rank and username).
+    apply(yappers) {
+        const visible = [];
+
+        [...yappers]
+            .sort((a, b) => a.rank - b.rank)
+            .forEach((yapper) => {
+                if (this.isExcluded(yapper.username)) return;
+                const flag = this.getFlag(yapper.username);
+
+                visible.push({
+                    ...yapper,
+                    rank: visible.length + 1,
+                    originalRank: yapper.rank,
+                    ...(flag ? { flag: { type: flag.flag_type, reason: flag.reason } } : {})
+                });
+            });
+
+        return visible;
+    }
+
+    // Unfiltered view for admins: original ranks, every flag shown
+    annotate(yappers) {
+        return yappers.map((yapper) => {
+            const flag = this.getFlag(yapper.username);
+            return {
+                ...yapper,
+                originalRank: yapper.rank,
+                ...(flag ? { flag: { type: flag.flag_type, reason: flag.reason, excluded: flag.action === 'exclude' } } : {})
+            };
+        });
+    }
+
+    // apply() for public requests, annotate() when an admin asked for unfiltered data
+    filter(yappers, unfiltered = false) {
+        return unfiltered ? this.annotate(yappers) : this.apply(yappers);
+    }
+}
+
+AccountFlagService.FLAG_TYPES = FLAG_TYPES;
+AccountFlagService.FLAG_ACTIONS = FLAG_ACTIONS;
+
+module.exports = AccountFlagService;
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Keys are random 32 byte tokens, so a plain SHA-256 is enough to store them safely
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Generate a new key such as "thq_admin_3f9c..." - only its hash is ever stored
+function generateApiKey(prefix) {
+    const key = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        // Shown in listings and logs so a key can be recognised without revealing it
+        keyPrefix: key.slice(0, prefix.length + 9)
+    };
+}
+
+// Read a key from "Authorization: Bearer <key>" or a custom header.
+// With bearerPrefix, bearer tokens of other key types are ignored.
+function extractApiKey(req, headerName, bearerPrefix = null) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        const token = authorization.slice(7).trim();
+        if (!bearerPrefix || token.startsWith(bearerPrefix)) {
+            return token;
+        }
+    }
+    return req.get(headerName) || null;
+}
+
+// Constant-time comparison for secrets configured through the environment
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(hashApiKey(a));
+    const bufferB = Buffer.from(hashApiKey(b));
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+    hashApiKey,
+    generateApiKey,
+    extractApiKey,
+    safeEqual
+};
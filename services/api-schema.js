@@ -0,0 +1,1591 @@
+// Route contracts: path/query parameters, request bodies and responses of every /api route.
+// Request validation (validateRequest in server.js) and /api/openapi.json are both built from this list,
+// so a new route or parameter only has to be described here.
+
+const SchedulerService = require('./scheduler');
+const WebhookService = require('./webhooks');
+const AccountFlagService = require('./account-flags');
+const TickerService = require('./tickers');
+const { UPSTREAM_MODES, MOCK_SCENARIOS } = require('./upstream-modes');
+const { POLICY_TYPES } = require('./rewards');
+const { METRIC_COLUMNS: TREND_METRICS, BUCKETS, MAX_MOVING_AVERAGE } = require('./trends');
+
+const WINDOWS = SchedulerService.SUPPORTED_WINDOWS;
+const MAX_LIMIT = 250;
+const JOB_TYPES = ['weekly-collection', 'cleanup', 'simulation:weekly', 'simulation:cleanup'];
+
+// /api/trends?metric=: API names or weekly_snapshots columns, separated by commas
+const trendMetricName = `(${[...new Set([...Object.keys(TREND_METRICS), ...Object.values(TREND_METRICS)])].join('|')})`;
+const trendMetricPattern = `^\\s*${trendMetricName}\\s*(,\\s*${trendMetricName}\\s*)*$`;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (items) => ({ type: 'array', items });
+
+// ============= SHARED PARAMETERS =============
+
+const windowSchema = { type: 'string', enum: WINDOWS, default: '7d' };
+// Managed at runtime (/api/admin/tickers), so only the format is part of the contract
+const tickerSchema = { type: 'string', pattern: '^[A-Za-z0-9_]{1,20}$' };
+
+const params = {
+    windowPath: {
+        name: 'window',
+        in: 'path',
+        description: 'Janela de dados (opcional, padrão 7d)',
+        schema: windowSchema,
+        message: 'Período inválido'
+    },
+    window: {
+        name: 'window',
+        in: 'query',
+        description: 'Janela de dados',
+        schema: windowSchema,
+        message: 'Período inválido'
+    },
+    ticker: {
+        name: 'ticker',
+        in: 'query',
+        description: `Ticker do projeto (padrão ${TickerService.DEFAULT_TICKER}), um dos listados em /api/tickers`,
+        schema: { ...tickerSchema, default: TickerService.DEFAULT_TICKER },
+        message: 'Ticker inválido'
+    },
+    limit: (defaultValue) => ({
+        name: 'limit',
+        in: 'query',
+        description: `Itens por página (valores acima de ${MAX_LIMIT} são reduzidos a ${MAX_LIMIT})`,
+        schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: defaultValue, 'x-clamp': true },
+        message: 'Valor de limite inválido, deve ser um número positivo'
+    }),
+    // Same as limit, plus limit=all for complete CSV exports
+    exportLimit: (defaultValue) => ({
+        ...params.limit(defaultValue),
+        description: `Itens por página (máximo ${MAX_LIMIT}); "all" exporta todos os registros em CSV`,
+        'x-allow-all': true
+    }),
+    offset: {
+        name: 'offset',
+        in: 'query',
+        description: 'Itens a pular',
+        schema: { type: 'integer', minimum: 0, default: 0 },
+        message: 'Valor de offset inválido, deve ser um número não-negativo'
+    },
+    format: {
+        name: 'format',
+        in: 'query',
+        description: 'Formato da resposta (ou Accept: text/csv)',
+        schema: { type: 'string', enum: ['json', 'csv'] },
+        message: 'Formato inválido'
+    },
+    unfiltered: {
+        name: 'unfiltered',
+        in: 'query',
+        description: 'Inclui contas excluídas com os ranks originais (exige chave admin)',
+        schema: { type: 'boolean' }
+    },
+    date: (name, description) => ({
+        name,
+        in: 'query',
+        description,
+        schema: { type: 'string', format: 'date' },
+        message: `Data inválida em '${name}', use o formato YYYY-MM-DD`
+    }),
+    path: (name, description, schema = { type: 'string' }) => ({
+        name,
+        in: 'path',
+        required: true,
+        description,
+        schema
+    }),
+    query: (name, description, schema = { type: 'string' }) => ({
+        name,
+        in: 'query',
+        description,
+        schema
+    })
+};
+
+// ============= SHARED SCHEMAS =============
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['success', 'error', 'details', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', description: 'Mensagem do primeiro problema encontrado' },
+            details: arrayOf({
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['path', 'query'] },
+                    name: { type: 'string' },
+                    message: { type: 'string' },
+                    validValues: arrayOf({ type: 'string' })
+                }
+            }),
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+        }
+    },
+    Metrics: {
+        type: 'object',
+        properties: {
+            totalYappers: { type: 'integer' },
+            totalTweets: { type: 'integer' },
+            topImpressions: { type: 'integer' },
+            topLikes: { type: 'integer' },
+            formattedMetrics: {
+                type: 'object',
+                description: 'Valores abreviados (ex. 1.2K)',
+                additionalProperties: { type: 'string' }
+            }
+        }
+    },
+    AccountFlagMark: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: AccountFlagService.FLAG_TYPES },
+            reason: nullable({ type: 'string' }),
+            excluded: { type: 'boolean', description: 'Apenas com unfiltered=true' }
+        }
+    },
+    Yapper: {
+        type: 'object',
+        properties: {
+            rank: { type: 'integer' },
+            originalRank: { type: 'integer', description: 'Rank antes de remover contas excluídas' },
+            username: { type: 'string' },
+            mindshare: { type: 'number' },
+            tweets: { type: 'integer' },
+            impressions: { type: 'integer' },
+            likes: { type: 'integer' },
+            twitterUrl: { type: 'string' },
+            flag: ref('AccountFlagMark')
+        }
+    },
+    Fallback: {
+        type: 'object',
+        description: 'Presente quando a API upstream falhou e o último snapshot salvo foi servido',
+        properties: {
+            reason: { type: 'string' },
+            snapshotId: { type: 'string' },
+            collectionDate: { type: 'string', format: 'date' },
+            collectedAt: { type: 'string', format: 'date-time' },
+            ageSeconds: { type: 'integer' },
+            age: { type: 'string' },
+            failedAttempts: { type: 'integer' }
+        }
+    },
+    Ticker: {
+        type: 'object',
+        properties: {
+            ticker: { type: 'string' },
+            name: nullable({ type: 'string' }),
+            active: { type: 'boolean', description: 'Inativos não são coletados, mas continuam consultáveis' },
+            isDefault: { type: 'boolean' },
+            collectionCron: nullable({ type: 'string', description: 'null = agendamento semanal padrão' }),
+            collectionWindows: nullable(arrayOf({ type: 'string', enum: WINDOWS })),
+            collection: nullable({
+                type: 'object',
+                description: 'Agendamento efetivo (null quando inativo)',
+                properties: {
+                    cron: { type: 'string' },
+                    windows: arrayOf({ type: 'string', enum: WINDOWS }),
+                    nextCollection: nullable({ type: 'string', format: 'date-time' })
+                }
+            }),
+            createdBy: nullable({ type: 'string' }),
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    },
+    SchedulerTestReport: {
+        type: 'object',
+        description: 'Resultado de um componente, executado num banco temporário com upstream simulado',
+        properties: {
+            component: { type: 'string' },
+            name: { type: 'string' },
+            success: { type: 'boolean' },
+            passed: { type: 'integer' },
+            failed: { type: 'integer' },
+            durationMs: { type: 'integer' },
+            checks: arrayOf({
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    passed: { type: 'boolean' },
+                    durationMs: { type: 'integer' },
+                    details: { type: 'object' },
+                    error: { type: 'string' }
+                }
+            }),
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    UpstreamConfig: {
+        type: 'object',
+        properties: {
+            mode: { type: 'string', enum: UPSTREAM_MODES },
+            modes: arrayOf({ type: 'string' }),
+            fixturesDir: { type: 'string' },
+            fixtures: arrayOf({
+                type: 'object',
+                properties: {
+                    file: { type: 'string' },
+                    ticker: { type: 'string' },
+                    window: { type: 'string' },
+                    source: { type: 'string', description: 'Endpoint que respondeu na gravação' },
+                    recordedAt: { type: 'string', format: 'date-time' },
+                    error: { type: 'string', description: 'Arquivo ilegível' }
+                }
+            }),
+            mock: {
+                type: 'object',
+                properties: {
+                    scenario: { type: 'string', enum: MOCK_SCENARIOS },
+                    yappers: { type: 'integer' },
+                    latencyMs: { type: 'integer' },
+                    calls: { type: 'integer' }
+                }
+            },
+            status: { type: 'object', description: 'Resultado das últimas buscas (o mesmo do /api/health)' }
+        }
+    },
+    HealthStatus: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] },
+    HealthChecks: {
+        type: 'object',
+        description: 'Resultado de cada verificação de dependência',
+        properties: {
+            database: {
+                type: 'object',
+                properties: {
+                    status: ref('HealthStatus'),
+                    latencyMs: { type: 'integer' },
+                    message: { type: 'string' },
+                    error: { type: 'string' }
+                }
+            },
+            scheduler: {
+                type: 'object',
+                properties: {
+                    status: ref('HealthStatus'),
+                    running: { type: 'boolean' },
+                    problems: arrayOf({ type: 'string' }),
+                    jobs: arrayOf({
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            jobType: { type: 'string' },
+                            ticker: nullable({ type: 'string' }),
+                            expression: { type: 'string' },
+                            scheduled: { type: 'boolean' },
+                            executing: { type: 'boolean' },
+                            executingSince: nullable({ type: 'string', format: 'date-time' }),
+                            nextRun: nullable({ type: 'string', format: 'date-time' }),
+                            previousRun: nullable({ type: 'string', format: 'date-time' }),
+                            lastRun: nullable({ type: 'object' }),
+                            lastSuccessAt: nullable({ type: 'string', format: 'date-time' })
+                        }
+                    })
+                }
+            },
+            snapshots: {
+                type: 'object',
+                properties: {
+                    status: ref('HealthStatus'),
+                    graceHours: { type: 'number' },
+                    windows: arrayOf({
+                        type: 'object',
+                        properties: {
+                            ticker: { type: 'string' },
+                            window: { type: 'string' },
+                            status: ref('HealthStatus'),
+                            maxAgeHours: nullable({ type: 'number' }),
+                            nextCollection: nullable({ type: 'string', format: 'date-time' }),
+                            snapshotId: nullable({ type: 'string' }),
+                            collectionDate: { type: 'string', format: 'date' },
+                            createdAt: { type: 'string', format: 'date-time' },
+                            ageHours: { type: 'number' },
+                            message: { type: 'string' }
+                        }
+                    })
+                }
+            },
+            upstream: {
+                type: 'object',
+                description: 'Resultado das últimas buscas na API upstream (respostas em cache não contam)',
+                properties: {
+                    status: ref('HealthStatus'),
+                    reachable: nullable({ type: 'boolean' }),
+                    mode: { type: 'string', enum: UPSTREAM_MODES },
+                    lastAttemptAt: nullable({ type: 'string', format: 'date-time' }),
+                    lastSuccessAt: nullable({ type: 'string', format: 'date-time' }),
+                    lastFailureAt: nullable({ type: 'string', format: 'date-time' }),
+                    lastSource: nullable({ type: 'string' }),
+                    lastError: nullable({ type: 'string' }),
+                    consecutiveFailures: { type: 'integer' }
+                }
+            }
+        }
+    },
+    Concentration: nullable({
+        type: 'object',
+        description: 'Concentração do mindshare no leaderboard salvo',
+        properties: {
+            gini: { type: 'number' },
+            hhi: { type: 'number' },
+            top10Share: { type: 'number' },
+            top50Share: { type: 'number' },
+            medianImpressionsPerTweet: nullable({ type: 'number' }),
+            medianLikesPerImpression: nullable({ type: 'number' })
+        }
+    }),
+    SnapshotRow: {
+        type: 'object',
+        description: 'Linha de weekly_snapshots',
+        properties: {
+            snapshot_id: { type: 'string' },
+            ticker: { type: 'string' },
+            collection_date: { type: 'string', format: 'date' },
+            window_period: { type: 'string', enum: WINDOWS },
+            is_live: { type: 'integer' },
+            upstream_mode: { type: 'string', enum: UPSTREAM_MODES },
+            total_yappers: { type: 'integer' },
+            total_tweets: { type: 'integer' },
+            top_impressions: { type: 'integer' },
+            top_likes: { type: 'integer' },
+            collection_run_id: nullable({ type: 'string' }),
+            revision: { type: 'integer' },
+            is_current: { type: 'integer' },
+            gini: nullable({ type: 'number' }),
+            hhi: nullable({ type: 'number' }),
+            top10_share: nullable({ type: 'number' }),
+            top50_share: nullable({ type: 'number' }),
+            status: { type: 'string', enum: ['published'], description: 'Snapshots em quarentena não aparecem nas rotas públicas' },
+            quarantine_reason: nullable({ type: 'string', description: 'Motivo da quarentena, se o snapshot foi aprovado depois dela' }),
+            reviewed_at: nullable({ type: 'string' }),
+            created_at: { type: 'string' }
+        }
+    },
+    QuarantinedSnapshot: {
+        type: 'object',
+        properties: {
+            snapshotId: { type: 'string' },
+            ticker: { type: 'string' },
+            window: { type: 'string', enum: WINDOWS },
+            collectionDate: { type: 'string', format: 'date' },
+            collectionRunId: nullable({ type: 'string' }),
+            revision: { type: 'integer' },
+            reason: { type: 'string', description: 'Problemas encontrados, separados por "; "' },
+            yappers: { type: 'integer' },
+            metrics: ref('Metrics'),
+            createdAt: { type: 'string' }
+        }
+    },
+    StoredSnapshot: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            ticker: { type: 'string' },
+            collectionDate: { type: 'string', format: 'date' },
+            windowPeriod: { type: 'string', enum: WINDOWS },
+            collectionRunId: nullable({ type: 'string' }),
+            revision: { type: 'integer' },
+            isCurrent: { type: 'boolean' },
+            isLive: { type: 'boolean' },
+            upstreamMode: { type: 'string', enum: UPSTREAM_MODES, description: 'Origem dos dados na coleta; só snapshots live são publicados' },
+            metrics: ref('Metrics'),
+            concentration: ref('Concentration'),
+            yappers: arrayOf(ref('Yapper')),
+            createdAt: { type: 'string' }
+        }
+    },
+    RankChange: {
+        type: 'object',
+        properties: {
+            username: { type: 'string' },
+            previousRank: { type: 'integer' },
+            rank: { type: 'integer' },
+            rankDelta: { type: 'integer', description: 'Positivo quando a conta subiu' },
+            previousMindshare: { type: 'number' },
+            mindshare: { type: 'number' },
+            mindshareDelta: { type: 'number' }
+        }
+    },
+    MetricChange: {
+        type: 'object',
+        properties: {
+            from: nullable({ type: 'number' }),
+            to: nullable({ type: 'number' }),
+            change: nullable({ type: 'number' }),
+            changePercent: nullable({ type: 'number' })
+        }
+    },
+    TrendPoint: {
+        type: 'object',
+        properties: {
+            date: { type: 'string', description: 'YYYY-MM-DD (snapshot) ou YYYY-MM (month)' },
+            snapshotId: { type: 'string' },
+            samples: { type: 'integer' },
+            value: nullable({ type: 'number' }),
+            change: nullable({ type: 'number' }),
+            changePercent: nullable({ type: 'number' }),
+            movingAverage: nullable({ type: 'number' })
+        }
+    },
+    JobRun: {
+        type: 'object',
+        properties: {
+            runId: { type: 'string' },
+            jobType: { type: 'string', enum: JOB_TYPES },
+            ticker: nullable({ type: 'string', description: 'Ticker coletado (apenas coletas)' }),
+            trigger: { type: 'string' },
+            status: { type: 'string', enum: ['running', 'success', 'partial', 'failed'] },
+            startedAt: { type: 'string' },
+            finishedAt: nullable({ type: 'string' }),
+            durationMs: nullable({ type: 'integer' }),
+            error: nullable({ type: 'string' }),
+            snapshotId: nullable({ type: 'string' }),
+            collectionRunId: nullable({ type: 'string' }),
+            details: nullable({ type: 'object' })
+        }
+    },
+    AdminKey: {
+        type: 'object',
+        properties: {
+            keyId: { type: 'string' },
+            name: { type: 'string' },
+            keyPrefix: { type: 'string' },
+            createdAt: { type: 'string' },
+            lastUsedAt: nullable({ type: 'string' }),
+            revokedAt: nullable({ type: 'string' }),
+            active: { type: 'boolean' }
+        }
+    },
+    ClientKey: {
+        type: 'object',
+        properties: {
+            keyId: { type: 'string' },
+            name: { type: 'string' },
+            keyPrefix: { type: 'string' },
+            quotaLimit: { type: 'integer' },
+            quotaWindowMinutes: { type: 'integer' },
+            totalRequests: { type: 'integer' },
+            createdAt: { type: 'string' },
+            lastUsedAt: nullable({ type: 'string' }),
+            revokedAt: nullable({ type: 'string' }),
+            active: { type: 'boolean' }
+        }
+    },
+    AccountFlag: {
+        type: 'object',
+        properties: {
+            flagId: { type: 'string' },
+            username: { type: 'string' },
+            type: { type: 'string', enum: AccountFlagService.FLAG_TYPES },
+            action: { type: 'string', enum: AccountFlagService.FLAG_ACTIONS },
+            reason: nullable({ type: 'string' }),
+            createdBy: nullable({ type: 'string' }),
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    },
+    Webhook: {
+        type: 'object',
+        properties: {
+            webhookId: { type: 'string' },
+            url: { type: 'string', format: 'uri' },
+            events: arrayOf({ type: 'string', enum: ['*', ...WebhookService.EVENTS] }),
+            description: nullable({ type: 'string' }),
+            active: { type: 'boolean' },
+            secretPrefix: { type: 'string' },
+            createdAt: { type: 'string' },
+            updatedAt: { type: 'string' }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            deliveryId: { type: 'string' },
+            webhookId: { type: 'string' },
+            eventId: { type: 'string' },
+            event: { type: 'string', enum: WebhookService.EVENTS },
+            status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+            attempts: { type: 'integer' },
+            responseStatus: nullable({ type: 'integer' }),
+            error: nullable({ type: 'string' }),
+            nextAttemptAt: nullable({ type: 'string' }),
+            deliveredAt: nullable({ type: 'string' }),
+            createdAt: { type: 'string' },
+            payload: {}
+        }
+    },
+    RewardCalculation: {
+        type: 'object',
+        properties: {
+            calculationId: { type: 'string' },
+            snapshotId: { type: 'string' },
+            window: { type: 'string', enum: WINDOWS },
+            collectionDate: { type: 'string', format: 'date' },
+            pool: { type: 'number' },
+            policy: { type: 'object' },
+            totalAllocated: { type: 'number' },
+            recipients: { type: 'integer' },
+            note: nullable({ type: 'string' }),
+            createdAt: { type: 'string' }
+        }
+    },
+    RewardAllocation: {
+        type: 'object',
+        properties: {
+            rank: { type: 'integer' },
+            username: { type: 'string' },
+            mindshare: { type: 'number' },
+            tweets: { type: 'integer' },
+            amount: { type: 'number' },
+            share: { type: 'number' },
+            capped: { type: 'boolean' }
+        }
+    },
+    WebflowSyncResult: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            skipped: { type: 'boolean' },
+            busy: { type: 'boolean' },
+            status: { type: 'string' },
+            snapshotId: { type: 'string' },
+            itemsSynced: { type: 'integer' },
+            error: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+// ============= RESPONSE HELPERS =============
+
+// { success: true, ...properties, timestamp } response body
+const ok = (description, properties = {}) => ({
+    description,
+    schema: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            ...properties,
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    }
+});
+
+// Responses whose body is whatever the scheduler or service returned
+const result = (description) => ({
+    description,
+    schema: { type: 'object', properties: { success: { type: 'boolean' } }, additionalProperties: true }
+});
+
+const error = (description) => ({ description, schema: ref('Error') });
+
+const paginated = (description, key, items) => ok(description, {
+    [key]: arrayOf(items),
+    pagination: ref('Pagination')
+});
+
+const liveSource = {
+    ticker: { type: 'string' },
+    isLive: { type: 'boolean', description: 'false quando servido do último snapshot salvo' },
+    fallback: ref('Fallback')
+};
+
+// ============= ROUTES =============
+
+const routes = [
+    // Live data
+    {
+        method: 'get',
+        path: '/api/data/:window?',
+        tags: ['Live data'],
+        summary: 'Resposta bruta da API upstream',
+        parameters: [params.windowPath, params.ticker],
+        responses: { 200: ok('Dados brutos', { ...liveSource, data: { type: 'object' } }) }
+    },
+    {
+        method: 'get',
+        path: '/api/metrics/:window?',
+        tags: ['Live data'],
+        summary: 'Métricas agregadas ao vivo',
+        parameters: [params.windowPath, params.ticker],
+        responses: { 200: ok('Métricas', { ...liveSource, metrics: ref('Metrics') }) }
+    },
+    {
+        method: 'get',
+        path: '/api/yappers/:window?',
+        tags: ['Live data'],
+        summary: 'Leaderboard ao vivo',
+        csv: true,
+        parameters: [params.windowPath, params.ticker, params.exportLimit(50), params.offset, params.format, params.unfiltered],
+        responses: {
+            200: ok('Leaderboard', { ...liveSource, yappers: arrayOf(ref('Yapper')), pagination: ref('Pagination') })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/dashboard/:window?',
+        tags: ['Live data'],
+        summary: 'Métricas e leaderboard ao vivo',
+        parameters: [params.windowPath, params.ticker, params.limit(50), params.offset, params.unfiltered],
+        responses: {
+            200: ok('Dashboard', {
+                ...liveSource,
+                window: { type: 'string', enum: WINDOWS },
+                metrics: ref('Metrics'),
+                yappers: arrayOf(ref('Yapper')),
+                pagination: ref('Pagination')
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/stream',
+        tags: ['Live data'],
+        summary: `Atualizações do leaderboard de ${TickerService.DEFAULT_TICKER} (Server-Sent Events: sync, update)`,
+        stream: true,
+        parameters: [
+            params.window,
+            params.query('lastEventId', 'Alternativa ao cabeçalho Last-Event-ID para retomar o stream')
+        ],
+        responses: {
+            200: { description: 'Stream text/event-stream com eventos sync e update' },
+            503: error('Limite de conexões atingido')
+        }
+    },
+
+    // Stored snapshots
+    {
+        method: 'get',
+        path: '/api/tickers',
+        tags: ['History'],
+        summary: 'Tickers monitorados (valores aceitos em ?ticker=)',
+        responses: {
+            200: ok('Tickers', {
+                defaultTicker: { type: 'string' },
+                tickers: arrayOf({
+                    type: 'object',
+                    properties: { ticker: { type: 'string' }, name: nullable({ type: 'string' }), active: { type: 'boolean' } }
+                })
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/latest',
+        tags: ['History'],
+        summary: 'Último snapshot salvo',
+        csv: true,
+        parameters: [params.window, params.ticker, params.exportLimit(50), params.offset, params.format, params.unfiltered],
+        responses: {
+            200: ok('Snapshot (success false quando não há snapshots)', {
+                snapshot: ref('StoredSnapshot'),
+                pagination: ref('Pagination')
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/history',
+        tags: ['History'],
+        summary: 'Snapshots salvos, do mais recente ao mais antigo',
+        csv: true,
+        parameters: [params.window, params.ticker, params.exportLimit(10), params.offset, params.format],
+        responses: {
+            200: ok('Snapshots', {
+                ticker: { type: 'string' },
+                snapshots: arrayOf(ref('SnapshotRow')),
+                pagination: ref('Pagination')
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/snapshot/:snapshotId',
+        tags: ['History'],
+        summary: 'Snapshot específico com o leaderboard',
+        csv: true,
+        parameters: [
+            params.path('snapshotId', 'ID do snapshot'),
+            {
+                ...params.ticker,
+                description: 'Opcional: responde 404 se o snapshot for de outro ticker',
+                schema: tickerSchema
+            },
+            params.exportLimit(50),
+            params.offset,
+            params.format,
+            params.unfiltered
+        ],
+        responses: {
+            200: ok('Snapshot', { snapshot: ref('StoredSnapshot'), pagination: ref('Pagination') }),
+            404: error('Snapshot não encontrado')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/yappers/:username/history',
+        tags: ['History'],
+        summary: 'Histórico de um yapper nos snapshots salvos',
+        parameters: [
+            params.path('username', 'Usuário do Twitter'),
+            params.window,
+            params.ticker,
+            params.date('from', 'Data inicial (inclusiva)'),
+            params.date('to', 'Data final (inclusiva)'),
+            params.unfiltered
+        ],
+        responses: {
+            200: ok('Histórico', {
+                username: { type: 'string' },
+                ticker: { type: 'string' },
+                window: { type: 'string', enum: WINDOWS },
+                range: { type: 'object' },
+                summary: { type: 'object' },
+                history: arrayOf({ type: 'object' })
+            }),
+            404: error('Yapper não encontrado em nenhum snapshot')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/diff',
+        tags: ['History'],
+        summary: 'Comparação entre dois snapshots (padrão: os dois últimos)',
+        parameters: [
+            params.window,
+            params.ticker,
+            params.query('from', 'ID do snapshot inicial (exige to)'),
+            params.query('to', 'ID do snapshot final (exige from)'),
+            params.unfiltered
+        ],
+        responses: {
+            200: ok('Diferenças', {
+                ticker: { type: 'string' },
+                window: { type: 'string', enum: WINDOWS },
+                from: { type: 'object' },
+                to: { type: 'object' },
+                metrics: { type: 'object', additionalProperties: ref('MetricChange') },
+                summary: { type: 'object' },
+                risers: arrayOf(ref('RankChange')),
+                fallers: arrayOf(ref('RankChange')),
+                newEntrants: arrayOf({ type: 'object' }),
+                dropouts: arrayOf({ type: 'object' })
+            }),
+            400: error('Snapshots de tickers ou janelas diferentes'),
+            404: error('Snapshots insuficientes ou não encontrados')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/trends',
+        tags: ['History'],
+        summary: 'Séries temporais das métricas dos snapshots',
+        parameters: [
+            params.window,
+            params.ticker,
+            {
+                ...params.query('metric', 'Métricas separadas por vírgula (ex. totalTweets,gini); aceita também o nome da coluna', {
+                    type: 'string',
+                    pattern: trendMetricPattern
+                }),
+                message: `metric must be a comma-separated list of: ${Object.keys(TREND_METRICS).join(', ')}`
+            },
+            {
+                ...params.query('bucket', 'Agrupamento dos pontos', { type: 'string', enum: BUCKETS, default: 'snapshot' }),
+                message: `bucket must be one of: ${BUCKETS.join(', ')}`
+            },
+            {
+                ...params.query('ma', 'Janela da média móvel', { type: 'integer', minimum: 1, maximum: MAX_MOVING_AVERAGE, default: 4 }),
+                message: `ma must be an integer between 1 and ${MAX_MOVING_AVERAGE}`
+            },
+            params.date('from', 'Data inicial (inclusiva)'),
+            params.date('to', 'Data final (inclusiva)')
+        ],
+        responses: {
+            200: ok('Séries', {
+                ticker: { type: 'string' },
+                window: { type: 'string', enum: WINDOWS },
+                bucket: { type: 'string', enum: BUCKETS },
+                comparison: { type: 'string' },
+                movingAverageWindow: { type: 'integer' },
+                range: { type: 'object' },
+                snapshotCount: { type: 'integer' },
+                series: { type: 'object', additionalProperties: arrayOf(ref('TrendPoint')) }
+            })
+        }
+    },
+
+    // Service
+    {
+        method: 'get',
+        path: '/api/usage',
+        tags: ['Service'],
+        summary: 'Consumo da cota da chave de cliente (ou do IP)',
+        responses: {
+            200: ok('Consumo', {
+                anonymous: { type: 'boolean' },
+                key: { type: 'object' },
+                quota: { type: 'object' },
+                usage: { type: 'object' },
+                history: arrayOf({ type: 'object' })
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/health',
+        tags: ['Service'],
+        summary: 'Health check com verificação real do banco, agendador, snapshots e upstream',
+        responses: {
+            200: ok('Saudável ou degradado', {
+                status: ref('HealthStatus'),
+                uptime: { type: 'number' },
+                services: ref('HealthChecks')
+            }),
+            503: ok('Indisponível (banco de dados inacessível)', {
+                status: ref('HealthStatus'),
+                uptime: { type: 'number' },
+                services: ref('HealthChecks')
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/health/live',
+        tags: ['Service'],
+        summary: 'Liveness: o processo está respondendo',
+        responses: {
+            200: ok('Ativo', { status: { type: 'string', enum: ['alive'] }, uptime: { type: 'number' } })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/health/ready',
+        tags: ['Service'],
+        summary: 'Readiness: banco inicializado e acessível',
+        responses: {
+            200: ok('Pronto', { status: { type: 'string', enum: ['ready'] }, database: { type: 'object' } }),
+            503: ok('Não pronto', {
+                status: { type: 'string', enum: ['not_ready'] },
+                reason: { type: 'string' },
+                database: { type: 'object' }
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/openapi.json',
+        tags: ['Service'],
+        summary: 'Esta especificação OpenAPI',
+        responses: { 200: { description: 'Documento OpenAPI 3.0', schema: { type: 'object' } } }
+    },
+
+    // Admin keys
+    {
+        method: 'post',
+        path: '/api/admin/keys',
+        tags: ['Admin keys'],
+        summary: 'Cria uma chave admin (a chave só é retornada aqui)',
+        requestBody: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } },
+        responses: {
+            201: ok('Chave criada', { key: { type: 'string' }, keyId: { type: 'string' }, keyPrefix: { type: 'string' } }),
+            400: error('Nome ausente')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/keys',
+        tags: ['Admin keys'],
+        summary: 'Lista as chaves admin',
+        responses: { 200: ok('Chaves', { keys: arrayOf(ref('AdminKey')) }) }
+    },
+    {
+        method: 'delete',
+        path: '/api/admin/keys/:keyId',
+        tags: ['Admin keys'],
+        summary: 'Revoga uma chave admin',
+        parameters: [params.path('keyId', 'ID da chave')],
+        responses: {
+            200: ok('Chave revogada', { keyId: { type: 'string' }, revoked: { type: 'boolean' } }),
+            404: error('Chave ativa não encontrada')
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/client-keys',
+        tags: ['Client keys'],
+        summary: 'Cria uma chave de cliente com cota',
+        requestBody: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                quota: { type: 'integer', minimum: 1 },
+                windowMinutes: { type: 'integer', minimum: 1 }
+            }
+        },
+        responses: { 201: ok('Chave criada', { key: { type: 'string' }, keyId: { type: 'string' } }), 400: error('Dados inválidos') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/client-keys',
+        tags: ['Client keys'],
+        summary: 'Lista as chaves de cliente',
+        responses: { 200: ok('Chaves', { keys: arrayOf(ref('ClientKey')) }) }
+    },
+    {
+        method: 'patch',
+        path: '/api/admin/client-keys/:keyId',
+        tags: ['Client keys'],
+        summary: 'Altera a cota de uma chave de cliente',
+        parameters: [params.path('keyId', 'ID da chave')],
+        requestBody: {
+            type: 'object',
+            properties: {
+                quota: { type: 'integer', minimum: 1 },
+                windowMinutes: { type: 'integer', minimum: 1 }
+            }
+        },
+        responses: {
+            200: ok('Cota alterada', { keyId: { type: 'string' }, quotaLimit: { type: 'integer' }, quotaWindowMinutes: { type: 'integer' } }),
+            404: error('Chave ativa não encontrada')
+        }
+    },
+    {
+        method: 'delete',
+        path: '/api/admin/client-keys/:keyId',
+        tags: ['Client keys'],
+        summary: 'Revoga uma chave de cliente',
+        parameters: [params.path('keyId', 'ID da chave')],
+        responses: { 200: ok('Chave revogada', { keyId: { type: 'string' } }), 404: error('Chave ativa não encontrada') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/auth-failures',
+        tags: ['Admin keys'],
+        summary: 'Tentativas de acesso admin rejeitadas',
+        parameters: [params.limit(50), params.offset],
+        responses: { 200: ok('Falhas', { failures: arrayOf({ type: 'object' }) }) }
+    },
+
+    // Scheduler
+    {
+        method: 'post',
+        path: '/api/admin/clear-cache',
+        tags: ['Scheduler'],
+        summary: 'Limpa os caches da API',
+        responses: { 200: ok('Cache limpo', { message: { type: 'string' } }) }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/collect',
+        tags: ['Scheduler'],
+        summary: 'Executa a coleta manualmente',
+        parameters: [
+            params.query('windows', 'Janelas separadas por vírgula (alternativa ao corpo)'),
+            params.query('mode', 'Modo para snapshots duplicados', { type: 'string', enum: SchedulerService.DUPLICATE_MODES }),
+            params.query('ticker', `Ticker a coletar (padrão ${TickerService.DEFAULT_TICKER}, alternativa ao corpo)`, tickerSchema)
+        ],
+        requestBody: {
+            type: 'object',
+            properties: {
+                windows: arrayOf({ type: 'string', enum: WINDOWS }),
+                mode: { type: 'string', enum: SchedulerService.DUPLICATE_MODES },
+                ticker: tickerSchema
+            }
+        },
+        responses: { 200: result('Resultado da coleta por janela'), 400: error('Janelas, modo ou ticker inválidos') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/test',
+        tags: ['Scheduler'],
+        summary: 'Coleta de teste (não salva no banco)',
+        responses: { 200: result('Resultado do teste') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/schedule',
+        tags: ['Scheduler'],
+        summary: 'Agendamentos configurados',
+        responses: { 200: ok('Agendamentos', { schedule: { type: 'object' } }) }
+    },
+    {
+        method: 'put',
+        path: '/api/admin/schedule',
+        tags: ['Scheduler'],
+        summary: 'Altera cron, fuso horário e retenção (até o próximo restart)',
+        requestBody: {
+            type: 'object',
+            properties: {
+                weeklyCollection: { type: 'string', description: 'Expressão cron' },
+                cleanup: { type: 'string', description: 'Expressão cron' },
+                timezone: { type: 'string' },
+                retentionWeeks: { type: 'integer', minimum: 1 },
+                catchUpGraceHours: { type: 'number', minimum: 0 }
+            }
+        },
+        responses: { 200: result('Agendamento atualizado'), 400: error('Configuração inválida') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/stats',
+        tags: ['Scheduler'],
+        summary: 'Estatísticas do banco',
+        responses: { 200: ok('Estatísticas', { database: { type: 'object' } }) }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/cleanup',
+        tags: ['Scheduler'],
+        summary: 'Executa a limpeza manualmente',
+        responses: { 200: result('Resultado da limpeza') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/snapshots/:snapshotId/payload',
+        tags: ['Upstream'],
+        summary: 'Download da resposta original do upstream arquivada com o snapshot',
+        download: true,
+        parameters: [
+            params.path('snapshotId', 'ID do snapshot'),
+            params.query('format', 'json (padrão) ou gzip, o arquivo comprimido como está guardado', {
+                type: 'string',
+                enum: ['json', 'gzip']
+            })
+        ],
+        responses: {
+            200: {
+                description: 'Resposta original (cabeçalhos X-Payload-Sha256, X-Payload-Source e X-Payload-Fetched-At)',
+                schema: { type: 'object', additionalProperties: true }
+            },
+            404: error('Snapshot sem resposta arquivada'),
+            500: error('Falha ao ler a resposta arquivada (ex. hash divergente)')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/quarantine',
+        tags: ['History'],
+        summary: 'Snapshots em quarentena (falharam na validação da resposta upstream)',
+        parameters: [
+            params.query('ticker', 'Ticker', tickerSchema),
+            params.query('window', 'Período', { type: 'string', enum: WINDOWS })
+        ],
+        responses: {
+            200: ok('Snapshots em quarentena', {
+                snapshots: arrayOf(ref('QuarantinedSnapshot')),
+                count: { type: 'integer' }
+            })
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/quarantine/:snapshotId/approve',
+        tags: ['History'],
+        summary: 'Aprova um snapshot em quarentena, que passa a ser o atual do período e data',
+        parameters: [params.path('snapshotId', 'ID do snapshot')],
+        responses: {
+            200: ok('Snapshot publicado', {
+                snapshotId: { type: 'string' },
+                ticker: { type: 'string' },
+                window: { type: 'string', enum: WINDOWS },
+                collectionDate: { type: 'string', format: 'date' },
+                supersededCurrent: { type: 'boolean', description: 'true quando outro snapshot da mesma data virou revisão' },
+                announced: { type: 'boolean', description: 'true quando o snapshot é o mais recente do ticker e período e os eventos de leaderboard foram enviados' }
+            }),
+            404: error('Snapshot em quarentena não encontrado')
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/quarantine/:snapshotId/discard',
+        tags: ['History'],
+        summary: 'Descarta um snapshot em quarentena (apaga yappers e resposta arquivada)',
+        parameters: [params.path('snapshotId', 'ID do snapshot')],
+        responses: {
+            200: ok('Snapshot descartado', { snapshotId: { type: 'string' } }),
+            404: error('Snapshot em quarentena não encontrado')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/jobs',
+        tags: ['Scheduler'],
+        summary: 'Registro de execuções de jobs',
+        parameters: [
+            params.limit(50),
+            params.offset,
+            params.query('type', 'Tipo do job', { type: 'string', enum: JOB_TYPES }),
+            params.query('status', 'Status', { type: 'string', enum: ['running', 'success', 'partial', 'failed'] }),
+            params.query('trigger', 'Origem (ex. cron, /api/admin/collect)'),
+            params.query('ticker', 'Ticker coletado', tickerSchema),
+            params.date('from', 'Início a partir de'),
+            params.date('to', 'Início até (inclusivo)')
+        ],
+        responses: { 200: paginated('Execuções', 'jobs', ref('JobRun')) }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/schedule-countdown',
+        tags: ['Scheduler'],
+        summary: 'Próximas execuções com contagem regressiva',
+        responses: { 200: ok('Próximas execuções', { schedule: { type: 'object' } }) }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/force-schedule/:type',
+        tags: ['Scheduler'],
+        summary: 'Força a execução de um job agendado',
+        parameters: [
+            params.path('type', 'Job', { type: 'string', enum: ['weekly', 'cleanup'] }),
+            params.query('override', 'Deve ser true para confirmar', { type: 'boolean' }),
+            params.query('mode', 'Modo para snapshots duplicados', { type: 'string', enum: SchedulerService.DUPLICATE_MODES })
+        ],
+        responses: { 200: ok('Resultado', { forcedExecution: { type: 'string' }, result: { type: 'object' } }), 400: error('override ausente') }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/simulate/:type',
+        tags: ['Scheduler'],
+        summary: 'Simula uma execução agendada',
+        parameters: [params.path('type', 'Job', { type: 'string', enum: ['weekly', 'cleanup'] })],
+        responses: {
+            200: ok('Resultado', {
+                simulation: { type: 'string' },
+                result: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        simulated: { type: 'boolean' },
+                        error: { type: 'string' },
+                        report: ref('SchedulerTestReport'),
+                        jobRunId: { type: 'string' }
+                    }
+                }
+            }),
+            500: error('Simulação falhou')
+        }
+    },
+
+    // Upstream
+    {
+        method: 'get',
+        path: '/api/admin/upstream',
+        tags: ['Upstream'],
+        summary: 'Modo da API upstream (live, record, replay, mock), gravações e configuração do mock',
+        responses: { 200: ok('Configuração', { upstream: ref('UpstreamConfig') }) }
+    },
+    {
+        method: 'put',
+        path: '/api/admin/upstream',
+        tags: ['Upstream'],
+        summary: 'Troca o modo da API upstream ou o cenário do mock (até o próximo reinício)',
+        requestBody: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: UPSTREAM_MODES },
+                mock: {
+                    type: 'object',
+                    properties: {
+                        scenario: { type: 'string', enum: MOCK_SCENARIOS },
+                        yappers: { type: 'integer', minimum: 1, maximum: 250 },
+                        latencyMs: { type: 'integer', minimum: 0 }
+                    }
+                }
+            }
+        },
+        responses: { 200: ok('Configuração aplicada', { upstream: ref('UpstreamConfig') }), 400: error('Modo ou mock inválido') }
+    },
+
+    // Tickers
+    {
+        method: 'get',
+        path: '/api/admin/tickers',
+        tags: ['Tickers'],
+        summary: 'Tickers monitorados com o agendamento de coleta',
+        responses: { 200: ok('Lista', { tickers: arrayOf(ref('Ticker')), defaultTicker: { type: 'string' } }) }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/tickers',
+        tags: ['Tickers'],
+        summary: 'Passa a monitorar um ticker',
+        requestBody: {
+            type: 'object',
+            required: ['ticker'],
+            properties: {
+                ticker: tickerSchema,
+                name: { type: 'string' },
+                collectionCron: nullable({ type: 'string', description: 'Expressão cron própria (null = agendamento semanal padrão)' }),
+                windows: nullable(arrayOf({ type: 'string', enum: WINDOWS })),
+                active: { type: 'boolean', default: true }
+            }
+        },
+        responses: { 201: ok('Ticker adicionado', { ticker: ref('Ticker') }), 400: error('Dados inválidos'), 409: error('Ticker já monitorado') }
+    },
+    {
+        method: 'patch',
+        path: '/api/admin/tickers/:ticker',
+        tags: ['Tickers'],
+        summary: 'Altera nome, agendamento ou status',
+        parameters: [params.path('ticker', 'Ticker', tickerSchema)],
+        requestBody: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                collectionCron: nullable({ type: 'string', description: 'Expressão cron própria (null = agendamento semanal padrão)' }),
+                windows: nullable(arrayOf({ type: 'string', enum: WINDOWS })),
+                active: { type: 'boolean' }
+            }
+        },
+        responses: { 200: ok('Ticker alterado', { ticker: ref('Ticker') }), 400: error('Dados inválidos'), 404: error('Ticker não encontrado') }
+    },
+    {
+        method: 'delete',
+        path: '/api/admin/tickers/:ticker',
+        tags: ['Tickers'],
+        summary: 'Deixa de monitorar um ticker (os snapshots salvos são mantidos)',
+        parameters: [params.path('ticker', 'Ticker', tickerSchema)],
+        responses: {
+            200: ok('Ticker removido', { ticker: { type: 'string' } }),
+            400: error('O ticker padrão não pode ser removido'),
+            404: error('Ticker não encontrado')
+        }
+    },
+
+    // Account flags
+    {
+        method: 'get',
+        path: '/api/admin/account-flags',
+        tags: ['Account flags'],
+        summary: 'Contas excluídas ou sinalizadas',
+        responses: {
+            200: ok('Lista', {
+                flags: arrayOf(ref('AccountFlag')),
+                types: arrayOf({ type: 'string' }),
+                actions: arrayOf({ type: 'string' })
+            })
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/account-flags',
+        tags: ['Account flags'],
+        summary: 'Adiciona uma conta à lista',
+        requestBody: {
+            type: 'object',
+            required: ['username', 'type'],
+            properties: {
+                username: { type: 'string' },
+                type: { type: 'string', enum: AccountFlagService.FLAG_TYPES },
+                action: { type: 'string', enum: AccountFlagService.FLAG_ACTIONS, default: 'exclude' },
+                reason: { type: 'string' }
+            }
+        },
+        responses: { 201: ok('Conta adicionada', { flag: ref('AccountFlag') }), 400: error('Dados inválidos'), 409: error('Conta já está na lista') }
+    },
+    {
+        method: 'patch',
+        path: '/api/admin/account-flags/:flagId',
+        tags: ['Account flags'],
+        summary: 'Altera tipo, ação ou motivo',
+        parameters: [params.path('flagId', 'ID do registro')],
+        requestBody: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: AccountFlagService.FLAG_TYPES },
+                action: { type: 'string', enum: AccountFlagService.FLAG_ACTIONS },
+                reason: { type: 'string' }
+            }
+        },
+        responses: { 200: ok('Registro alterado', { flag: ref('AccountFlag') }), 404: error('Registro não encontrado') }
+    },
+    {
+        method: 'delete',
+        path: '/api/admin/account-flags/:flagId',
+        tags: ['Account flags'],
+        summary: 'Remove uma conta da lista',
+        parameters: [params.path('flagId', 'ID do registro')],
+        responses: { 200: ok('Registro removido', { flagId: { type: 'string' } }), 404: error('Registro não encontrado') }
+    },
+
+    // Webhooks
+    {
+        method: 'post',
+        path: '/api/admin/webhooks',
+        tags: ['Webhooks'],
+        summary: 'Cria uma assinatura (o segredo só é retornado aqui)',
+        requestBody: {
+            type: 'object',
+            required: ['url', 'events'],
+            properties: {
+                url: { type: 'string', format: 'uri' },
+                events: arrayOf({ type: 'string', enum: ['*', ...WebhookService.EVENTS] }),
+                description: { type: 'string' },
+                secret: { type: 'string' }
+            }
+        },
+        responses: { 201: ok('Assinatura criada', { webhook: { type: 'object' }, secret: { type: 'string' } }), 400: error('Dados inválidos') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/webhooks',
+        tags: ['Webhooks'],
+        summary: 'Lista as assinaturas',
+        responses: { 200: ok('Assinaturas', { webhooks: arrayOf(ref('Webhook')), events: arrayOf({ type: 'string' }) }) }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/webhooks/deliveries',
+        tags: ['Webhooks'],
+        summary: 'Histórico de entregas, mais recentes primeiro',
+        parameters: [
+            params.limit(50),
+            params.offset,
+            params.query('webhookId', 'Filtra por assinatura'),
+            params.query('event', 'Filtra por evento', { type: 'string', enum: WebhookService.EVENTS }),
+            params.query('status', 'Filtra por status', { type: 'string', enum: ['pending', 'success', 'failed'] })
+        ],
+        responses: { 200: paginated('Entregas', 'deliveries', ref('WebhookDelivery')) }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/webhooks/deliveries/:deliveryId/redeliver',
+        tags: ['Webhooks'],
+        summary: 'Reenvia uma entrega',
+        parameters: [params.path('deliveryId', 'ID da entrega')],
+        responses: {
+            200: ok('Entregue', { delivery: ref('WebhookDelivery') }),
+            404: error('Entrega não encontrada'),
+            502: ok('Endpoint falhou', { delivery: ref('WebhookDelivery') })
+        }
+    },
+    {
+        method: 'patch',
+        path: '/api/admin/webhooks/:webhookId',
+        tags: ['Webhooks'],
+        summary: 'Altera uma assinatura',
+        parameters: [params.path('webhookId', 'ID da assinatura')],
+        requestBody: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', format: 'uri' },
+                events: arrayOf({ type: 'string', enum: ['*', ...WebhookService.EVENTS] }),
+                description: { type: 'string' },
+                active: { type: 'boolean' }
+            }
+        },
+        responses: { 200: ok('Assinatura alterada', { webhook: ref('Webhook') }), 400: error('Dados inválidos'), 404: error('Assinatura não encontrada') }
+    },
+    {
+        method: 'delete',
+        path: '/api/admin/webhooks/:webhookId',
+        tags: ['Webhooks'],
+        summary: 'Remove uma assinatura',
+        parameters: [params.path('webhookId', 'ID da assinatura')],
+        responses: { 200: ok('Assinatura removida', { webhookId: { type: 'string' } }), 404: error('Assinatura não encontrada') }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/webhooks/:webhookId/ping',
+        tags: ['Webhooks'],
+        summary: 'Envia um evento ping',
+        parameters: [params.path('webhookId', 'ID da assinatura')],
+        responses: {
+            200: ok('Entregue', { delivery: ref('WebhookDelivery') }),
+            404: error('Assinatura não encontrada'),
+            409: error('Assinatura desativada'),
+            502: ok('Endpoint falhou', { delivery: ref('WebhookDelivery') })
+        }
+    },
+
+    // Rewards
+    {
+        method: 'post',
+        path: '/api/admin/rewards/calculate',
+        tags: ['Rewards'],
+        summary: 'Divide um pool de recompensas sobre um snapshot e salva o cálculo',
+        requestBody: {
+            type: 'object',
+            required: ['pool'],
+            properties: {
+                pool: { type: 'number', minimum: 0 },
+                window: { type: 'string', enum: WINDOWS, default: '7d' },
+                ticker: { ...tickerSchema, description: 'Ticker do snapshot (padrão THEORIQ); precisa estar monitorado' },
+                snapshotId: { type: 'string' },
+                note: { type: 'string' },
+                policy: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', enum: POLICY_TYPES, default: 'pro-rata' },
+                        tiers: arrayOf({
+                            type: 'object',
+                            properties: {
+                                fromRank: { type: 'integer', minimum: 1 },
+                                toRank: { type: 'integer', minimum: 1 },
+                                share: { type: 'number' }
+                            }
+                        }),
+                        minTweets: { type: 'number', minimum: 0 },
+                        maxPerAccount: { type: 'number' },
+                        excludedUsernames: arrayOf({ type: 'string' }),
+                        decimals: { type: 'integer', minimum: 0, maximum: 8 }
+                    }
+                }
+            }
+        },
+        responses: {
+            201: ok('Cálculo salvo', {
+                calculation: ref('RewardCalculation'),
+                allocations: arrayOf(ref('RewardAllocation')),
+                excluded: arrayOf({ type: 'object' }),
+                totals: { type: 'object' }
+            }),
+            400: error('Pool, política ou ticker inválidos'),
+            404: error('Snapshot não encontrado'),
+            409: error('Snapshot em quarentena'),
+            422: error('A política não consegue distribuir o pool')
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/rewards',
+        tags: ['Rewards'],
+        summary: 'Cálculos salvos',
+        parameters: [params.limit(20), params.offset],
+        responses: { 200: paginated('Cálculos', 'calculations', ref('RewardCalculation')) }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/rewards/:calculationId',
+        tags: ['Rewards'],
+        summary: 'Um cálculo salvo com as alocações',
+        csv: true,
+        parameters: [params.path('calculationId', 'ID do cálculo'), params.format],
+        responses: {
+            200: ok('Cálculo', {
+                calculation: ref('RewardCalculation'),
+                allocations: arrayOf(ref('RewardAllocation')),
+                excluded: arrayOf({ type: 'object' })
+            }),
+            404: error('Cálculo não encontrado')
+        }
+    },
+
+    // Webflow
+    {
+        method: 'post',
+        path: '/api/admin/webflow/sync',
+        tags: ['Webflow'],
+        summary: 'Sincroniza um snapshot (padrão: o último) com o Webflow CMS',
+        parameters: [params.query('snapshotId', 'ID do snapshot (alternativa ao corpo)')],
+        requestBody: { type: 'object', properties: { snapshotId: { type: 'string' } } },
+        responses: {
+            200: { description: 'Sincronizado', schema: ref('WebflowSyncResult') },
+            404: { description: 'Nada para sincronizar', schema: ref('WebflowSyncResult') },
+            409: { description: 'Sincronização em andamento', schema: ref('WebflowSyncResult') },
+            502: { description: 'Webflow falhou', schema: ref('WebflowSyncResult') },
+            503: { description: 'Webflow não configurado', schema: ref('WebflowSyncResult') }
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/admin/webflow/retry',
+        tags: ['Webflow'],
+        summary: 'Refaz a última sincronização que falhou',
+        responses: {
+            200: { description: 'Sincronizado', schema: ref('WebflowSyncResult') },
+            404: { description: 'Nada para refazer', schema: ref('WebflowSyncResult') },
+            502: { description: 'Webflow falhou', schema: ref('WebflowSyncResult') }
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/webflow/logs',
+        tags: ['Webflow'],
+        summary: 'Histórico de sincronizações',
+        parameters: [params.limit(20), params.offset],
+        responses: {
+            200: ok('Histórico', {
+                configured: { type: 'boolean' },
+                window: { type: 'string', enum: WINDOWS },
+                logs: arrayOf({ type: 'object' })
+            })
+        }
+    },
+
+    // Diagnostics
+    {
+        method: 'get',
+        path: '/api/admin/test-connection',
+        tags: ['Diagnostics'],
+        summary: 'Testa a conexão com a API upstream (ou com as gravações/mock nos modos replay e mock)',
+        responses: { 200: result('Resposta da API upstream'), 500: error('Chave ausente ou falha de conexão') }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/test-scheduler',
+        tags: ['Diagnostics'],
+        summary: 'Testa todos os componentes do agendador',
+        responses: {
+            200: ok('Resultados', {
+                testResults: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        passed: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        failedComponents: arrayOf({ type: 'string' }),
+                        durationMs: { type: 'integer' },
+                        components: arrayOf(ref('SchedulerTestReport')),
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }
+            })
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/admin/test-scheduler/:component',
+        tags: ['Diagnostics'],
+        summary: 'Testa um componente do agendador',
+        parameters: [
+            params.path('component', 'Componente', {
+                type: 'string',
+                enum: ['instances', 'weekly', 'cleanup', 'api', 'schedule', 'history', 'webflow']
+            })
+        ],
+        responses: { 200: ok('Resultado', { component: { type: 'string' }, result: ref('SchedulerTestReport') }) }
+    }
+];
+
+module.exports = {
+    WINDOWS,
+    schemas,
+    routes
+};
@@ -0,0 +1,69 @@
+// Mindshare distribution statistics for a snapshot's leaderboard
+
+// API field -> weekly_snapshots column
+const CONCENTRATION_COLUMNS = {
+    gini: 'gini',
+    hhi: 'hhi',
+    top10Share: 'top10_share',
+    top50Share: 'top50_share',
+    medianImpressionsPerTweet: 'median_impressions_per_tweet',
+    medianLikesPerImpression: 'median_likes_per_impression'
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 1e6) / 1e6);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Gini coefficient: 0 when every account has the same mindshare, towards 1 when one account has it all
+function gini(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (n === 0 || total === 0) return null;
+
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+// Shares are relative to the mindshare of the stored leaderboard (top 250), not the whole community.
+// Accepts API yappers and yappers_history rows alike.
+function computeConcentration(yappers) {
+    const mindshares = yappers.map(y => Math.max(0, Number(y.mindshare) || 0));
+    const total = mindshares.reduce((sum, value) => sum + value, 0);
+    const byRank = [...yappers].sort((a, b) => a.rank - b.rank);
+
+    const topShare = (n) => total > 0
+        ? byRank.slice(0, n).reduce((sum, y) => sum + Math.max(0, Number(y.mindshare) || 0), 0) / total
+        : null;
+
+    return {
+        gini: gini(mindshares),
+        hhi: total > 0 ? mindshares.reduce((sum, value) => sum + Math.pow(value / total, 2), 0) : null,
+        top10Share: topShare(10),
+        top50Share: topShare(50),
+        medianImpressionsPerTweet: median(yappers.filter(y => y.tweets > 0).map(y => y.impressions / y.tweets)),
+        medianLikesPerImpression: median(yappers.filter(y => y.impressions > 0).map(y => y.likes / y.impressions))
+    };
+}
+
+// weekly_snapshots row -> API object (null when the snapshot has not been analysed)
+function formatConcentration(snapshot) {
+    if (snapshot.gini === undefined || snapshot.gini === null) return null;
+
+    const result = {};
+    Object.entries(CONCENTRATION_COLUMNS).forEach(([key, column]) => {
+        result[key] = round(snapshot[column]);
+    });
+    return result;
+}
+
+module.exports = {
+    CONCENTRATION_COLUMNS,
+    computeConcentration,
+    formatConcentration
+};
@@ -0,0 +1,117 @@
+// RFC 4180 CSV export for leaderboards and snapshot listings
+
+const { DEFAULT_TICKER } = require('./tickers');
+
+// Column order is part of the export format: append new columns, never reorder
+const YAPPER_COLUMNS = [
+    { header: 'rank', value: y => y.rank },
+    { header: 'username', value: y => y.username },
+    { header: 'mindshare', value: y => y.mindshare },
+    { header: 'tweets', value: y => y.tweets },
+    { header: 'impressions', value: y => y.impressions },
+    { header: 'likes', value: y => y.likes },
+    { header: 'twitter_url', value: y => y.twitter_url !== undefined ? y.twitter_url : y.twitterUrl },
+    { header: 'original_rank', value: y => y.originalRank !== undefined ? y.originalRank : y.rank },
+    { header: 'flag', value: y => y.flag ? y.flag.type : null }
+];
+
+const SNAPSHOT_COLUMNS = [
+    { header: 'snapshot_id', value: s => s.snapshot_id },
+    { header: 'window', value: s => s.window_period },
+    { header: 'collection_date', value: s => s.collection_date },
+    { header: 'revision', value: s => s.revision },
+    { header: 'is_live', value: s => s.is_live ? 1 : 0 },
+    { header: 'upstream_mode', value: s => s.upstream_mode },
+    { header: 'total_yappers', value: s => s.total_yappers },
+    { header: 'total_tweets', value: s => s.total_tweets },
+    { header: 'top_impressions', value: s => s.top_impressions },
+    { header: 'top_likes', value: s => s.top_likes },
+    { header: 'collection_run_id', value: s => s.collection_run_id },
+    { header: 'created_at', value: s => s.created_at },
+    { header: 'gini', value: s => s.gini },
+    { header: 'hhi', value: s => s.hhi },
+    { header: 'top10_share', value: s => s.top10_share },
+    { header: 'top50_share', value: s => s.top50_share },
+    { header: 'ticker', value: s => s.ticker }
+];
+
+const REWARD_COLUMNS = [
+    { header: 'rank', value: a => a.rank },
+    { header: 'username', value: a => a.username },
+    { header: 'mindshare', value: a => a.mindshare },
+    { header: 'tweets', value: a => a.tweets },
+    { header: 'amount', value: a => a.amount },
+    { header: 'share', value: a => a.share },
+    { header: 'capped', value: a => a.capped ? 1 : 0 }
+];
+
+// Quote fields containing separators, quotes or line breaks; double embedded quotes
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return `${values.map(escapeField).join(',')}\r\n`;
+}
+
+// True when the client asked for CSV through ?format=csv or the Accept header
+function wantsCsv(req) {
+    if (req.query.format) {
+        return req.query.format === 'csv';
+    }
+    return req.accepts(['application/json', 'text/csv']) === 'text/csv';
+}
+
+// Stream rows as a CSV download, waiting for the socket to drain on large exports.
+// Stops early when the client goes away, so an abandoned export does not hold its rows.
+async function streamCsv(res, filename, columns, rows) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8; header=present',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    // Resolves true once the chunk can be followed by the next one, false if the client is gone
+    const write = (chunk) => new Promise(resolve => {
+        if (res.destroyed) return resolve(false);
+        if (res.write(chunk)) return resolve(true);
+
+        const done = (writable) => () => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onClose);
+            resolve(writable);
+        };
+        const onDrain = done(true);
+        const onClose = done(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+        res.once('error', onClose);
+    });
+
+    if (!await write(toCsvLine(columns.map(column => column.header)))) return;
+    for (const row of rows) {
+        if (!await write(toCsvLine(columns.map(column => column.value(row))))) return;
+    }
+
+    res.end();
+}
+
+// e.g. theoriq-7d-2025-06-11-leaderboard.csv
+function csvFilename(window, date, suffix, ticker = DEFAULT_TICKER) {
+    const safe = (value) => String(value).replace(/[^A-Za-z0-9_-]+/g, '-');
+    return `${safe(ticker).toLowerCase()}-${safe(window)}-${safe(date)}-${safe(suffix)}.csv`;
+}
+
+module.exports = {
+    YAPPER_COLUMNS,
+    SNAPSHOT_COLUMNS,
+    REWARD_COLUMNS,
+    escapeField,
+    wantsCsv,
+    streamCsv,
+    csvFilename
+};
@@ -0,0 +1,31 @@
+// Turns an upstream community_mindshare response into the values stored with a snapshot.
+// Shared by TheoriqAPI and the payload re-derive command, so archived responses are parsed
+// exactly like fresh ones.
+
+function extractMetrics(apiResponse) {
+    const data = apiResponse.community_mindshare;
+    return {
+        totalYappers: data.total_unique_yappers,
+        totalTweets: data.total_unique_tweets,
+        topImpressions: data.top_250_yapper_impressions,
+        topLikes: data.top_250_yapper_likes
+    };
+}
+
+// Every account in the response, in upstream order (no exclusions applied)
+function parseYappers(apiResponse) {
+    return (apiResponse.community_mindshare.top_250_yappers || []).map(yapper => ({
+        rank: parseInt(yapper.rank),
+        username: yapper.username,
+        mindshare: parseFloat(yapper.mindshare),
+        tweets: parseInt(yapper.tweet_counts),
+        impressions: parseInt(yapper.total_impressions),
+        likes: parseInt(yapper.total_likes),
+        twitterUrl: `https://twitter.com/${yapper.username}`
+    }));
+}
+
+module.exports = {
+    extractMetrics,
+    parseYappers
+};
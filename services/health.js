@@ -0,0 +1,203 @@
+const moment = require('moment');
+
+const STATUS_ORDER = ['healthy', 'degraded', 'unhealthy'];
+
+const worst = (statuses) => statuses.reduce(
+    (current, status) => (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(current) ? status : current),
+    'healthy'
+);
+
+const round = (value, decimals = 1) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+// Reject when a probe takes longer than ms
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Dependency probes behind /api/health and /api/health/ready.
+// Each check reports healthy, degraded or unhealthy; the overall status is the worst of them.
+// Only the database can make the service unhealthy: without upstream or fresh snapshots
+// the API still serves stored data.
+class HealthService {
+    constructor(db, scheduler, api, options = {}) {
+        this.db = db;
+        this.scheduler = scheduler;
+        this.api = api;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+        this.slowQueryMs = options.slowQueryMs || parseInt(process.env.HEALTH_DB_SLOW_MS) || 500;
+        this.snapshotGraceHours = options.snapshotGraceHours !== undefined
+            ? options.snapshotGraceHours
+            : (process.env.HEALTH_SNAPSHOT_GRACE_HOURS !== undefined ? Number(process.env.HEALTH_SNAPSHOT_GRACE_HOURS) : 6);
+        // Set once the database is initialized
+        this.ready = false;
+        this.notReadyReason = 'Starting up';
+    }
+
+    setReady(ready, reason = null) {
+        this.ready = ready;
+        this.notReadyReason = ready ? null : reason;
+    }
+
+    async checkDatabase() {
+        const started = Date.now();
+
+        try {
+            await withTimeout(this.db.ping(), this.timeoutMs, 'Database query');
+            const latencyMs = Date.now() - started;
+            return {
+                status: latencyMs > this.slowQueryMs ? 'degraded' : 'healthy',
+                latencyMs,
+                ...(latencyMs > this.slowQueryMs ? { message: `Query slower than ${this.slowQueryMs}ms` } : {})
+            };
+        } catch (error) {
+            return { status: 'unhealthy', latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+
+    async checkScheduler() {
+        const jobs = this.scheduler.getJobStatus();
+        const problems = [];
+
+        let runs = [];
+        try {
+            runs = await withTimeout(this.db.getJobRunSummary(), this.timeoutMs, 'Job run query');
+        } catch (error) {
+            problems.push(`Could not read job runs: ${error.message}`);
+        }
+
+        const withRuns = jobs.map((job) => {
+            const lastRun = runs.find(run => run.job_type === job.jobType && run.ticker === job.ticker);
+
+            if (!job.scheduled) {
+                problems.push(`${job.name} is not scheduled`);
+            }
+            if (lastRun && lastRun.status === 'failed') {
+                problems.push(`Last ${job.name} run failed`);
+            }
+
+            return {
+                ...job,
+                lastRun: lastRun ? {
+                    status: lastRun.status,
+                    trigger: lastRun.trigger,
+                    startedAt: lastRun.started_at,
+                    finishedAt: lastRun.finished_at,
+                    error: lastRun.error_message
+                } : null,
+                lastSuccessAt: lastRun ? lastRun.last_success_at : null
+            };
+        });
+
+        if (!this.scheduler.running) {
+            problems.unshift('Scheduler is stopped');
+        }
+
+        return {
+            status: problems.length > 0 ? 'degraded' : 'healthy',
+            running: this.scheduler.running,
+            jobs: withRuns,
+            ...(problems.length > 0 ? { problems } : {})
+        };
+    }
+
+    // Latest snapshot of each collected ticker and window against its collection cadence:
+    // stale once it is older than one collection interval plus the grace period
+    async checkSnapshots() {
+        const windows = [];
+
+        for (const target of this.scheduler.getCollectionTargets()) {
+            const previousRun = this.scheduler.getRunTime(target.cron, 'prev');
+            const nextRun = this.scheduler.getRunTime(target.cron);
+            const cadenceHours = previousRun && nextRun
+                ? moment(nextRun).diff(moment(previousRun), 'hours', true)
+                : null;
+            const maxAgeHours = cadenceHours !== null ? round(cadenceHours + this.snapshotGraceHours) : null;
+
+            for (const window of target.windows) {
+                const entry = { ticker: target.ticker, window, maxAgeHours, nextCollection: nextRun };
+
+                try {
+                    const latest = await withTimeout(this.db.getLatestSnapshot(window, target.ticker), this.timeoutMs, 'Snapshot query');
+
+                    if (!latest) {
+                        windows.push({ ...entry, status: 'degraded', snapshotId: null, message: 'No snapshot stored' });
+                        continue;
+                    }
+
+                    const createdAt = moment.utc(latest.created_at, 'YYYY-MM-DD HH:mm:ss');
+                    const ageHours = round(moment().diff(createdAt, 'hours', true));
+                    const stale = maxAgeHours !== null && ageHours > maxAgeHours;
+
+                    windows.push({
+                        ...entry,
+                        status: stale ? 'degraded' : 'healthy',
+                        snapshotId: latest.snapshot_id,
+                        collectionDate: latest.collection_date,
+                        createdAt: createdAt.toISOString(),
+                        ageHours,
+                        ...(stale ? { message: `Older than ${maxAgeHours}h` } : {})
+                    });
+                } catch (error) {
+                    windows.push({ ...entry, status: 'degraded', error: error.message });
+                }
+            }
+        }
+
+        return {
+            status: worst(windows.map(entry => entry.status)),
+            graceHours: this.snapshotGraceHours,
+            windows
+        };
+    }
+
+    // Upstream reachability from the outcome of recent getData calls (no extra request is made)
+    checkUpstream() {
+        const upstream = this.api.upstreamStatus;
+
+        let status = 'healthy';
+        let reachable = null;
+        if (upstream.lastAttemptAt) {
+            reachable = upstream.consecutiveFailures === 0;
+            status = reachable ? 'healthy' : 'degraded';
+        }
+
+        return { status, reachable, mode: this.api.mode, ...upstream };
+    }
+
+    async check() {
+        const [database, scheduler, snapshots] = await Promise.all([
+            this.checkDatabase(),
+            this.checkScheduler(),
+            this.checkSnapshots()
+        ]);
+        const upstream = this.checkUpstream();
+
+        const services = { database, scheduler, snapshots, upstream };
+        return {
+            status: worst(Object.values(services).map(service => service.status)),
+            services
+        };
+    }
+
+    // Ready to take traffic: started up and the database answers
+    async checkReadiness() {
+        if (!this.ready) {
+            return { ready: false, reason: this.notReadyReason };
+        }
+
+        const database = await this.checkDatabase();
+        if (database.status === 'unhealthy') {
+            return { ready: false, reason: `Database unavailable: ${database.error}`, database };
+        }
+
+        return { ready: true, database };
+    }
+}
+
+HealthService.STATUSES = STATUS_ORDER;
+
+module.exports = HealthService;
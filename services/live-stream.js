@@ -0,0 +1,195 @@
+const { METRIC_COLUMNS, diffMetrics, diffLeaderboards } = require('./snapshot-diff');
+
+// { totalYappers, ... } -> { total_yappers, ... } as expected by diffMetrics
+const toColumns = (metrics) => Object.fromEntries(
+    Object.entries(METRIC_COLUMNS).map(([key, column]) => [column, metrics[key]])
+);
+
+// Server-Sent Events for live leaderboard updates.
+// Every push carries the metric and rank changes since the previous push for the same window;
+// recent events are kept so reconnecting clients can resume with Last-Event-ID.
+class LiveStreamService {
+    constructor(options = {}) {
+        this.heartbeatMs = options.heartbeatMs || parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+        this.bufferSize = options.bufferSize || parseInt(process.env.SSE_BUFFER_SIZE) || 100;
+        this.maxClients = options.maxClients || parseInt(process.env.SSE_MAX_CLIENTS) || 500;
+        // Optional (window) => Promise, called every refreshMs while a window has listeners
+        this.refresh = options.refresh || null;
+        this.refreshMs = options.refreshMs || parseInt(process.env.SSE_REFRESH_MS) || 60000;
+
+        // Event ids are "<stream id>-<sequence>" so ids from a previous process never match
+        this.streamId = Date.now().toString(36);
+        this.sequence = 0;
+        this.clients = new Set();
+        this.windows = new Map();
+        this.heartbeatTimer = null;
+        this.refreshTimer = null;
+    }
+
+    getWindowState(window) {
+        if (!this.windows.has(window)) {
+            this.windows.set(window, { state: null, events: [] });
+        }
+        return this.windows.get(window);
+    }
+
+    // Record new leaderboard data for a window and push the changes to its listeners.
+    // yappers must already be filtered for public output.
+    // Fetches that changed nothing are not pushed; saved snapshots always are.
+    publish(window, { source, metrics, yappers, isLive = true, snapshot = null }) {
+        const entry = this.getWindowState(window);
+        const previous = entry.state;
+        const leaderboard = yappers.map(y => ({ rank: y.rank, username: y.username, mindshare: y.mindshare }));
+
+        const metricChanges = previous ? diffMetrics(toColumns(previous.metrics), toColumns(metrics)) : null;
+        const changedMetrics = metricChanges
+            ? Object.fromEntries(Object.entries(metricChanges).filter(([, diff]) => diff.change !== 0))
+            : {};
+        const { risers, fallers, newEntrants, dropouts } = diffLeaderboards(previous ? previous.leaderboard : [], leaderboard);
+        const rankChanges = previous ? { risers, fallers, newEntrants, dropouts } : null;
+
+        entry.state = { metrics, leaderboard };
+
+        const hasChanges = !previous
+            || Object.keys(changedMetrics).length > 0
+            || risers.length + fallers.length + newEntrants.length + dropouts.length > 0;
+        if (source !== 'snapshot' && !hasChanges) {
+            return null;
+        }
+
+        const event = {
+            id: `${this.streamId}-${++this.sequence}`,
+            event: 'update',
+            data: {
+                window,
+                source,
+                isLive,
+                snapshot,
+                metrics,
+                changes: previous ? { metrics: changedMetrics, ranks: rankChanges } : null,
+                timestamp: new Date().toISOString()
+            }
+        };
+
+        entry.events.push(event);
+        if (entry.events.length > this.bufferSize) {
+            entry.events.shift();
+        }
+
+        this.clients.forEach(client => {
+            if (client.window === window) this.send(client, event);
+        });
+        return event;
+    }
+
+    // Full current state, sent on connect and when a resume id is no longer buffered
+    buildSync(window) {
+        const { state } = this.getWindowState(window);
+        return {
+            event: 'sync',
+            data: {
+                window,
+                metrics: state ? state.metrics : null,
+                leaderboard: state ? state.leaderboard : [],
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // Attach an HTTP response as an event stream. Returns false when the client limit is reached.
+    subscribe(req, res, window) {
+        if (this.clients.size >= this.maxClients) {
+            return false;
+        }
+
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const client = { req, res, window };
+        this.clients.add(client);
+        this.write(client, `retry: 5000\n\n`);
+
+        // Resume: replay the buffered events after the last one the client saw
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const { events } = this.getWindowState(window);
+        const resumeIndex = lastEventId ? events.findIndex(event => event.id === lastEventId) : -1;
+
+        if (resumeIndex >= 0) {
+            events.slice(resumeIndex + 1).forEach(event => this.send(client, event));
+        } else {
+            const lastEvent = events[events.length - 1];
+            this.send(client, { ...this.buildSync(window), id: lastEvent ? lastEvent.id : undefined });
+        }
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this.stopTimers();
+        });
+
+        this.startTimers();
+        return true;
+    }
+
+    send(client, { id, event, data }) {
+        let message = '';
+        if (id) message += `id: ${id}\n`;
+        message += `event: ${event}\n`;
+        message += `data: ${JSON.stringify(data)}\n\n`;
+        this.write(client, message);
+    }
+
+    write(client, chunk) {
+        client.res.write(chunk);
+        // compression() buffers output until flushed
+        if (typeof client.res.flush === 'function') client.res.flush();
+    }
+
+    startTimers() {
+        if (!this.heartbeatTimer) {
+            // Comment lines keep proxies from closing idle connections
+            this.heartbeatTimer = setInterval(() => {
+                this.clients.forEach(client => this.write(client, `: heartbeat ${new Date().toISOString()}\n\n`));
+            }, this.heartbeatMs);
+            this.heartbeatTimer.unref();
+        }
+
+        if (this.refresh && !this.refreshTimer) {
+            this.refreshTimer = setInterval(() => {
+                new Set([...this.clients].map(client => client.window)).forEach(window => {
+                    this.refresh(window).catch(error => console.error(`❌ Stream refresh for ${window} failed:`, error.message));
+                });
+            }, this.refreshMs);
+            this.refreshTimer.unref();
+        }
+    }
+
+    stopTimers() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.refreshTimer);
+        this.heartbeatTimer = null;
+        this.refreshTimer = null;
+    }
+
+    // Close every open stream (used on shutdown)
+    stop() {
+        this.stopTimers();
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+    getStats() {
+        const byWindow = {};
+        this.clients.forEach(client => {
+            byWindow[client.window] = (byWindow[client.window] || 0) + 1;
+        });
+        return { clients: this.clients.size, byWindow };
+    }
+}
+
+module.exports = LiveStreamService;
@@ -0,0 +1,155 @@
+// OpenAPI 3.0 document generated from the route contracts in api-schema.js
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const SECURITY_SCHEMES = {
+    adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' },
+    adminBearer: { type: 'http', scheme: 'bearer', description: 'Chave admin em Authorization: Bearer <key>' },
+    clientKey: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'Chave de cliente (thq_live_...), opcional' }
+};
+
+// Express path -> OpenAPI paths. A trailing optional parameter ("/api/yappers/:window?")
+// becomes two paths: "/api/yappers" and "/api/yappers/{window}".
+function toOpenApiPaths(expressPath) {
+    const convert = (path) => path.replace(/:(\w+)\??/g, '{$1}');
+    const optional = expressPath.match(/\/:(\w+)\?$/);
+
+    if (!optional) {
+        return [{ path: convert(expressPath), omit: null }];
+    }
+
+    return [
+        { path: convert(expressPath.slice(0, optional.index)), omit: optional[1] },
+        { path: convert(expressPath), omit: null }
+    ];
+}
+
+// get + /api/admin/webhooks/{webhookId} -> getApiAdminWebhooksByWebhookId
+function operationId(method, path) {
+    return method + path.split('/').filter(Boolean).map(segment => (
+        segment.startsWith('{')
+            ? `By${capitalize(segment.slice(1, -1))}`
+            : segment.split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join('')
+    )).join('');
+}
+
+function buildParameter(parameter) {
+    return {
+        name: parameter.name,
+        in: parameter.in,
+        // Path parameters are always required in OpenAPI
+        required: parameter.in === 'path' || !!parameter.required,
+        description: parameter.description,
+        schema: parameter.schema
+    };
+}
+
+function buildResponses(route, parameters, isAdmin) {
+    const responses = {};
+
+    Object.entries(route.responses).forEach(([status, response]) => {
+        const content = {};
+        if (response.schema) {
+            content['application/json'] = { schema: response.schema };
+        }
+        if (status === '200' && route.csv) {
+            content['text/csv'] = { schema: { type: 'string' } };
+        }
+        if (status === '200' && route.download) {
+            content['application/gzip'] = { schema: { type: 'string', format: 'binary' } };
+        }
+        if (status === '200' && route.stream) {
+            content['text/event-stream'] = { schema: { type: 'string' } };
+        }
+
+        responses[status] = {
+            description: response.description,
+            ...(Object.keys(content).length > 0 ? { content } : {})
+        };
+    });
+
+    if (parameters.length > 0) {
+        const validation = { schema: ref('ValidationError') };
+        responses[400] = responses[400]
+            ? {
+                description: `${responses[400].description} / parâmetros inválidos`,
+                content: { 'application/json': { schema: { oneOf: [ref('ValidationError'), ref('Error')] } } }
+            }
+            : { description: 'Parâmetros inválidos', content: { 'application/json': validation } };
+    }
+
+    if (isAdmin || parameters.some(parameter => parameter.name === 'unfiltered')) {
+        responses[401] = { description: 'Chave admin ausente ou inválida', content: { 'application/json': { schema: ref('Error') } } };
+    }
+
+    responses[429] = { description: 'Limite de requisições ou cota excedida', content: { 'application/json': { schema: ref('Error') } } };
+    responses[500] = responses[500] || { description: 'Erro interno', content: { 'application/json': { schema: ref('Error') } } };
+
+    return responses;
+}
+
+function buildOpenApiSpec(routes, schemas, info) {
+    const paths = {};
+    const tags = [];
+
+    routes.forEach((route) => {
+        const isAdmin = route.path.startsWith('/api/admin/');
+        (route.tags || []).forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+
+        toOpenApiPaths(route.path).forEach(({ path, omit }) => {
+            const parameters = (route.parameters || []).filter(parameter => parameter.name !== omit || parameter.in !== 'path');
+
+            paths[path] = paths[path] || {};
+            paths[path][route.method] = {
+                tags: route.tags,
+                summary: route.summary,
+                operationId: operationId(route.method, path),
+                ...(parameters.length > 0 ? { parameters: parameters.map(buildParameter) } : {}),
+                ...(route.requestBody ? {
+                    requestBody: { content: { 'application/json': { schema: route.requestBody } } }
+                } : {}),
+                responses: buildResponses(route, parameters, isAdmin),
+                security: isAdmin ? [{ adminKey: [] }, { adminBearer: [] }] : [{}, { clientKey: [] }]
+            };
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers: [{ url: '/' }],
+        tags: tags.map(name => ({ name })),
+        paths,
+        components: {
+            schemas,
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+}
+
+// Routes registered on the Express app under /api that have no contract
+function findUndocumentedRoutes(app, routes) {
+    const documented = new Set(routes.map(route => `${route.method} ${route.path}`));
+    const undocumented = [];
+
+    app._router.stack.forEach((layer) => {
+        if (!layer.route || typeof layer.route.path !== 'string' || !layer.route.path.startsWith('/api/')) return;
+
+        Object.keys(layer.route.methods).forEach((method) => {
+            if (!documented.has(`${method} ${layer.route.path}`)) {
+                undocumented.push(`${method.toUpperCase()} ${layer.route.path}`);
+            }
+        });
+    });
+
+    return undocumented;
+}
+
+module.exports = {
+    toOpenApiPaths,
+    buildOpenApiSpec,
+    findUndocumentedRoutes
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const moment = require('moment');
+const { parseYappers } = require('./extraction');
+
+const YAPPER_FIELDS = [
+    ['rank', 'rank'],
+    ['username', 'username'],
+    ['mindshare', 'mindshare'],
+    ['tweets', 'tweets'],
+    ['impressions', 'impressions'],
+    ['likes', 'likes'],
+    ['twitterUrl', 'twitter_url']
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Rows of yappers_history that differ from freshly parsed yappers, matched by rank
+// (ranks present on only one side count as changed)
+function countChangedRows(stored, parsed) {
+    const storedByRank = new Map(stored.map(row => [row.rank, row]));
+    let changed = 0;
+
+    for (const yapper of parsed) {
+        const row = storedByRank.get(yapper.rank);
+        if (!row || YAPPER_FIELDS.some(([field, column]) => yapper[field] !== row[column])) {
+            changed++;
+        }
+        storedByRank.delete(yapper.rank);
+    }
+
+    return changed + storedByRank.size;
+}
+
+// Raw upstream responses archived next to each snapshot (snapshot_payloads): the gzip-compressed
+// JSON, its SHA-256 and how it was fetched. yappers_history can be rebuilt from them when the
+// extraction logic changes.
+class PayloadArchive {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // Archive entry for saveSnapshot's options.payload; fetchInfo is TheoriqAPI's result.fetch
+    static pack(data, fetchInfo = {}) {
+        const json = JSON.stringify(data);
+        const payload = zlib.gzipSync(json);
+
+        return {
+            payload,
+            hash: sha256(json),
+            bytes: Buffer.byteLength(json),
+            compressedBytes: payload.length,
+            source: fetchInfo.source || null,
+            httpStatus: fetchInfo.httpStatus || null,
+            latencyMs: fetchInfo.latencyMs !== undefined ? fetchInfo.latencyMs : null,
+            fetchedAt: fetchInfo.fetchedAt || null
+        };
+    }
+
+    // Decompress an archived row, refusing payloads that no longer match their hash
+    static unpack(row) {
+        const json = zlib.gunzipSync(row.payload).toString('utf8');
+        if (sha256(json) !== row.payload_hash) {
+            throw new Error(`Archived payload of snapshot ${row.snapshot_id} does not match its hash`);
+        }
+        return json;
+    }
+
+    static formatMeta(row) {
+        return {
+            snapshotId: row.snapshot_id,
+            ticker: row.ticker,
+            window: row.window_period,
+            collectionDate: row.collection_date,
+            hash: row.payload_hash,
+            bytes: row.payload_bytes,
+            compressedBytes: row.compressed_bytes,
+            source: row.source,
+            httpStatus: row.http_status,
+            latencyMs: row.latency_ms,
+            fetchedAt: row.fetched_at,
+            archivedAt: row.created_at
+        };
+    }
+
+    // { meta, compressed, json } or null when the snapshot has no archived payload
+    async load(snapshotId) {
+        const row = await this.db.getSnapshotPayload(snapshotId);
+        if (!row) return null;
+
+        return {
+            meta: PayloadArchive.formatMeta(row),
+            compressed: row.payload,
+            json: PayloadArchive.unpack(row)
+        };
+    }
+
+    // Rebuild yappers_history of archived snapshots from their payloads with the current extraction.
+    // filters: snapshotId, ticker, window. With dryRun only the differences are reported.
+    // Snapshots without an archived payload are left alone.
+    async rederive(filters = {}, options = {}) {
+        const dryRun = !!options.dryRun;
+        const archived = await this.db.listSnapshotPayloads(filters);
+        const snapshots = [];
+
+        for (const entry of archived) {
+            const result = { snapshotId: entry.snapshot_id, ticker: entry.ticker, window: entry.window_period };
+
+            try {
+                const row = await this.db.getSnapshotPayload(entry.snapshot_id);
+                const yappers = parseYappers(JSON.parse(PayloadArchive.unpack(row)));
+                const stored = await this.db.getYappersForSnapshot(
+                    entry.snapshot_id,
+                    await this.db.getYapperCountForSnapshot(entry.snapshot_id),
+                    0
+                );
+
+                const changedRows = countChangedRows(stored, yappers);
+                if (changedRows > 0 && !dryRun) {
+                    await this.db.replaceSnapshotYappers(entry.snapshot_id, yappers);
+                }
+
+                snapshots.push({
+                    ...result,
+                    success: true,
+                    action: changedRows === 0 ? 'unchanged' : (dryRun ? 'would-update' : 'updated'),
+                    previousYappers: stored.length,
+                    yappers: yappers.length,
+                    changedRows
+                });
+            } catch (error) {
+                snapshots.push({ ...result, success: false, error: error.message });
+            }
+        }
+
+        const count = (predicate) => snapshots.filter(predicate).length;
+
+        return {
+            success: snapshots.every(snapshot => snapshot.success),
+            dryRun,
+            processed: snapshots.length,
+            updated: count(snapshot => snapshot.action === 'updated' || snapshot.action === 'would-update'),
+            unchanged: count(snapshot => snapshot.action === 'unchanged'),
+            failed: count(snapshot => !snapshot.success),
+            snapshots,
+            timestamp: moment().toISOString()
+        };
+    }
+}
+
+module.exports = PayloadArchive;
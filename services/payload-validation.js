@@ -0,0 +1,150 @@
+// Checks on upstream community_mindshare responses before they become snapshots.
+// A response without a usable community_mindshare object is a failed fetch (structureProblem);
+// anything else that looks wrong is reported by validatePayload/checkSnapshot and the snapshot
+// is stored in quarantine instead of being published.
+
+const TOTAL_FIELDS = ['total_unique_yappers', 'total_unique_tweets', 'top_250_yapper_impressions', 'top_250_yapper_likes'];
+
+const COUNT_FIELDS = ['tweet_counts', 'total_impressions', 'total_likes'];
+
+// Aggregates compared with the previous snapshot of the same ticker and window
+const COLLAPSE_METRICS = [
+    ['totalYappers', 'total_yappers'],
+    ['totalTweets', 'total_tweets'],
+    ['topImpressions', 'top_impressions'],
+    ['topLikes', 'top_likes']
+];
+
+// Rows described in a problem message before the rest is summarized
+const MAX_LISTED = 3;
+
+const DEFAULT_LIMITS = {
+    // Mindshare is a share of the whole community, so the top 250 cannot add up to more than 1
+    // (plus rounding)
+    maxMindshareSum: process.env.SNAPSHOT_MAX_MINDSHARE_SUM !== undefined
+        ? Number(process.env.SNAPSHOT_MAX_MINDSHARE_SUM)
+        : 1.01,
+    // Largest accepted fall of an aggregate total versus the previous snapshot (0.5 = -50%)
+    maxTotalDrop: process.env.SNAPSHOT_MAX_TOTAL_DROP !== undefined
+        ? Number(process.env.SNAPSHOT_MAX_TOTAL_DROP)
+        : 0.5
+};
+
+const isNonNegativeNumber = (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0;
+};
+
+const listed = (items) => items.length > MAX_LISTED
+    ? `${items.slice(0, MAX_LISTED).join(', ')} and ${items.length - MAX_LISTED} more`
+    : items.join(', ');
+
+// Why a response cannot be turned into a snapshot at all, or null
+function structureProblem(apiResponse) {
+    if (!apiResponse || typeof apiResponse !== 'object' || Array.isArray(apiResponse)) {
+        return 'Response is not a JSON object';
+    }
+
+    const data = apiResponse.community_mindshare;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'Response has no community_mindshare object';
+    }
+
+    if (data.top_250_yappers !== undefined && data.top_250_yappers !== null && !Array.isArray(data.top_250_yappers)) {
+        return 'community_mindshare.top_250_yappers is not a list';
+    }
+
+    return null;
+}
+
+// Field-level schema problems of a community_mindshare response
+function validatePayload(apiResponse) {
+    const structural = structureProblem(apiResponse);
+    if (structural) return [structural];
+
+    const data = apiResponse.community_mindshare;
+    const problems = [];
+
+    const invalidTotals = TOTAL_FIELDS.filter(field => !isNonNegativeNumber(data[field]));
+    if (invalidTotals.length > 0) {
+        problems.push(`Missing or invalid totals: ${invalidTotals.join(', ')}`);
+    }
+
+    const invalidRows = [];
+    (data.top_250_yappers || []).forEach((yapper, index) => {
+        if (!yapper || typeof yapper !== 'object') {
+            invalidRows.push(`#${index + 1} (not an object)`);
+            return;
+        }
+
+        const fields = [];
+        if (typeof yapper.username !== 'string' || yapper.username.trim() === '') fields.push('username');
+        if (!isNonNegativeNumber(yapper.rank) || !Number.isInteger(Number(yapper.rank)) || Number(yapper.rank) < 1) fields.push('rank');
+        if (!isNonNegativeNumber(yapper.mindshare)) fields.push('mindshare');
+        COUNT_FIELDS.forEach(field => {
+            if (!isNonNegativeNumber(yapper[field])) fields.push(field);
+        });
+
+        if (fields.length > 0) {
+            const label = typeof yapper.username === 'string' && yapper.username ? ` ${yapper.username}` : '';
+            invalidRows.push(`#${index + 1}${label} (${fields.join(', ')})`);
+        }
+    });
+
+    if (invalidRows.length > 0) {
+        problems.push(`${invalidRows.length} yappers with invalid fields: ${listed(invalidRows)}`);
+    }
+
+    return problems;
+}
+
+// Sanity checks on the parsed leaderboard (extractMetrics/parseYappers) against the previous
+// snapshot row of the same ticker and window, if any
+function checkSnapshot(metrics, yappers, previous = null, limits = DEFAULT_LIMITS) {
+    const problems = [];
+
+    if (yappers.length === 0) {
+        problems.push('Empty leaderboard');
+    } else {
+        const seen = new Set();
+        const duplicates = new Set();
+        yappers.forEach(yapper => {
+            if (seen.has(yapper.rank)) duplicates.add(yapper.rank);
+            seen.add(yapper.rank);
+        });
+
+        if (duplicates.size > 0) {
+            problems.push(`Duplicate ranks: ${listed([...duplicates].sort((a, b) => a - b))}`);
+        } else if (yappers.some(yapper => !(yapper.rank >= 1 && yapper.rank <= yappers.length))) {
+            problems.push(`Ranks are not contiguous from 1 to ${yappers.length}`);
+        }
+
+        const mindshareSum = yappers.reduce((sum, yapper) => sum + (Number.isFinite(yapper.mindshare) ? yapper.mindshare : 0), 0);
+        if (!(mindshareSum > 0) || mindshareSum > limits.maxMindshareSum) {
+            problems.push(`Mindshare adds up to ${Math.round(mindshareSum * 10000) / 10000}, expected more than 0 and at most ${limits.maxMindshareSum}`);
+        }
+    }
+
+    if (previous) {
+        const collapsed = COLLAPSE_METRICS
+            .filter(([metric, column]) => previous[column] > 0 && Number.isFinite(metrics[metric]) &&
+                metrics[metric] < previous[column] * (1 - limits.maxTotalDrop))
+            .map(([metric, column]) => {
+                const drop = Math.round((1 - metrics[metric] / previous[column]) * 100);
+                return `${column} ${previous[column]} → ${metrics[metric]} (-${drop}%)`;
+            });
+
+        if (collapsed.length > 0) {
+            problems.push(`Totals collapsed since snapshot ${previous.snapshot_id}: ${collapsed.join(', ')}`);
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    structureProblem,
+    validatePayload,
+    checkSnapshot
+};
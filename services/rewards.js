@@ -0,0 +1,216 @@
+// Reward pool allocation from a stored leaderboard snapshot
+
+const POLICY_TYPES = ['pro-rata', 'rank-tiers'];
+
+// Validate a request body policy; throws with a client facing message on bad input
+function parseRewardPolicy(policy = {}) {
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+        throw new Error('policy must be an object');
+    }
+
+    const type = policy.type || 'pro-rata';
+    if (!POLICY_TYPES.includes(type)) {
+        throw new Error(`Invalid policy type: ${type} (expected ${POLICY_TYPES.join(', ')})`);
+    }
+
+    const decimals = policy.decimals !== undefined ? Number(policy.decimals) : 2;
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 8) {
+        throw new Error('policy.decimals must be an integer between 0 and 8');
+    }
+
+    const minTweets = policy.minTweets !== undefined ? Number(policy.minTweets) : 0;
+    if (!Number.isFinite(minTweets) || minTweets < 0) {
+        throw new Error('policy.minTweets must be a non-negative number');
+    }
+
+    const maxPerAccount = policy.maxPerAccount !== undefined && policy.maxPerAccount !== null
+        ? Number(policy.maxPerAccount)
+        : null;
+    if (maxPerAccount !== null && (!Number.isFinite(maxPerAccount) || maxPerAccount <= 0)) {
+        throw new Error('policy.maxPerAccount must be a positive number');
+    }
+
+    const excludedUsernames = policy.excludedUsernames || [];
+    if (!Array.isArray(excludedUsernames) || !excludedUsernames.every(name => typeof name === 'string')) {
+        throw new Error('policy.excludedUsernames must be a list of usernames');
+    }
+
+    let tiers = null;
+    if (type === 'rank-tiers') {
+        if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+            throw new Error('policy.tiers is required for rank-tiers, e.g. [{ "fromRank": 1, "toRank": 10, "share": 0.5 }]');
+        }
+
+        tiers = policy.tiers.map((tier, index) => {
+            const fromRank = Number(tier.fromRank);
+            const toRank = Number(tier.toRank);
+            const share = Number(tier.share);
+
+            if (!Number.isInteger(fromRank) || !Number.isInteger(toRank) || fromRank < 1 || toRank < fromRank) {
+                throw new Error(`policy.tiers[${index}] needs integer fromRank <= toRank starting at 1`);
+            }
+            if (!Number.isFinite(share) || share <= 0) {
+                throw new Error(`policy.tiers[${index}].share must be a positive number`);
+            }
+            return { fromRank, toRank, share };
+        });
+
+        const sorted = [...tiers].sort((a, b) => a.fromRank - b.fromRank);
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].fromRank <= sorted[i - 1].toRank) {
+                throw new Error('policy.tiers rank ranges must not overlap');
+            }
+        }
+    }
+
+    return {
+        type,
+        tiers,
+        minTweets,
+        maxPerAccount,
+        excludedUsernames: [...new Set(excludedUsernames.map(name => name.trim().replace(/^@/, '')).filter(Boolean))],
+        decimals
+    };
+}
+
+function parseRewardPool(value) {
+    const pool = Number(value);
+    if (!Number.isFinite(pool) || pool <= 0) {
+        throw new Error('pool must be a positive number');
+    }
+    return pool;
+}
+
+// Give capped accounts their cap and spread the rest over the others by weight,
+// repeating until no account exceeds the cap. Works in minor units.
+function fillWithCaps(weights, totalUnits, capUnits) {
+    const amounts = new Array(weights.length).fill(0);
+    const open = new Set(weights.map((weight, index) => index).filter(index => weights[index] > 0));
+    let remaining = totalUnits;
+
+    while (open.size > 0 && remaining > 0) {
+        const totalWeight = [...open].reduce((sum, index) => sum + weights[index], 0);
+        const overCap = capUnits === null
+            ? []
+            : [...open].filter(index => (weights[index] / totalWeight) * remaining > capUnits);
+
+        if (overCap.length === 0) {
+            open.forEach(index => {
+                amounts[index] = (weights[index] / totalWeight) * remaining;
+            });
+            remaining = 0;
+            break;
+        }
+
+        overCap.forEach(index => {
+            amounts[index] = capUnits;
+            remaining -= capUnits;
+            open.delete(index);
+        });
+    }
+
+    return { amounts, unallocated: remaining };
+}
+
+// Round to whole minor units with the largest remainder method so the total is exact
+function roundToUnits(amounts, totalUnits, tieBreak) {
+    const floored = amounts.map(amount => Math.floor(amount + 1e-9));
+    let leftover = totalUnits - floored.reduce((sum, units) => sum + units, 0);
+
+    const order = amounts
+        .map((amount, index) => ({ index, fraction: amount - floored[index] }))
+        .filter(entry => amounts[entry.index] > 0)
+        .sort((a, b) => (b.fraction - a.fraction) || tieBreak(a.index, b.index));
+
+    for (let i = 0; leftover > 0 && order.length > 0; i = (i + 1) % order.length) {
+        floored[order[i].index] += 1;
+        leftover -= 1;
+    }
+
+    return floored;
+}
+
+// Split the pool over a snapshot's yappers (rows from yappers_history, after the account flags).
+// removed are the rows the account flags dropped, reported in excluded with their original rank.
+// Throws when the policy cannot distribute the whole pool.
+function calculateAllocations(yappers, pool, policy, removed = []) {
+    const scale = Math.pow(10, policy.decimals);
+    const poolUnits = Math.round(pool * scale);
+    const capUnits = policy.maxPerAccount !== null ? Math.floor(policy.maxPerAccount * scale + 1e-9) : null;
+
+    if (Math.abs(poolUnits / scale - pool) > 1e-9) {
+        throw new Error(`pool has more than ${policy.decimals} decimal places`);
+    }
+
+    const excludedSet = new Set(policy.excludedUsernames.map(name => name.toLowerCase()));
+    const excluded = removed.map(yapper => ({ username: yapper.username, rank: yapper.rank, reason: 'account-flag' }));
+    const eligible = [];
+
+    yappers.forEach((yapper) => {
+        if (excludedSet.has(yapper.username.toLowerCase())) {
+            excluded.push({ username: yapper.username, rank: yapper.rank, reason: 'excluded' });
+        } else if ((yapper.tweets || 0) < policy.minTweets) {
+            excluded.push({ username: yapper.username, rank: yapper.rank, reason: 'below-min-tweets' });
+        } else if (policy.type === 'rank-tiers' && !policy.tiers.some(tier => yapper.rank >= tier.fromRank && yapper.rank <= tier.toRank)) {
+            excluded.push({ username: yapper.username, rank: yapper.rank, reason: 'outside-tiers' });
+        } else {
+            eligible.push(yapper);
+        }
+    });
+
+    let weights;
+    if (policy.type === 'rank-tiers') {
+        // Each tier's share is split equally among its eligible accounts;
+        // shares of tiers without eligible accounts go to the other tiers
+        const tierOf = (yapper) => policy.tiers.findIndex(tier => yapper.rank >= tier.fromRank && yapper.rank <= tier.toRank);
+        const tierCounts = policy.tiers.map((tier, index) => eligible.filter(yapper => tierOf(yapper) === index).length);
+        weights = eligible.map(yapper => {
+            const index = tierOf(yapper);
+            return policy.tiers[index].share / tierCounts[index];
+        });
+    } else {
+        weights = eligible.map(yapper => Math.max(0, yapper.mindshare || 0));
+    }
+
+    if (!weights.some(weight => weight > 0)) {
+        throw new Error('No eligible accounts to allocate rewards to');
+    }
+
+    const { amounts, unallocated } = fillWithCaps(weights, poolUnits, capUnits);
+    if (unallocated > 0) {
+        throw new Error(`maxPerAccount is too low: ${weights.filter(weight => weight > 0).length} eligible accounts cannot receive the whole pool`);
+    }
+
+    const units = roundToUnits(amounts, poolUnits, (a, b) => eligible[a].rank - eligible[b].rank);
+
+    const allocations = eligible
+        .map((yapper, index) => ({
+            rank: yapper.rank,
+            username: yapper.username,
+            mindshare: yapper.mindshare,
+            tweets: yapper.tweets,
+            amountUnits: units[index],
+            amount: units[index] / scale,
+            share: units[index] / poolUnits,
+            capped: capUnits !== null && units[index] >= capUnits
+        }))
+        .filter(allocation => allocation.amountUnits > 0);
+
+    return {
+        allocations,
+        excluded,
+        totals: {
+            pool,
+            allocated: allocations.reduce((sum, allocation) => sum + allocation.amountUnits, 0) / scale,
+            recipients: allocations.length,
+            excluded: excluded.length
+        }
+    };
+}
+
+module.exports = {
+    POLICY_TYPES,
+    parseRewardPolicy,
+    parseRewardPool,
+    calculateAllocations
+};
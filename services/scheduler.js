@@ -1,85 +1,528 @@
+const EventEmitter = require('events');
 const cron = require('node-cron');
+const cronParser = require('cron-parser');
 const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
 const TheoriqDatabase = require('../database/database');
+const { DEFAULT_TICKER } = require('./tickers');
+const PayloadArchive = require('./payload-archive');
+const { validatePayload, checkSnapshot } = require('./payload-validation');
 
-class SchedulerService {
-    constructor(theoriqAPI) {
+const SUPPORTED_WINDOWS = ['7d', '30d', '3m', '6m', '12m'];
+const DEFAULT_COLLECTION_WINDOWS = '7d';
+
+// What to do when a window already has a snapshot for the current collection date
+const DUPLICATE_MODES = ['skip', 'replace', 'revision'];
+
+const DEFAULT_SCHEDULE = {
+    weeklyCron: '0 10 * * 3', // Every Wednesday at 10:00 AM
+    cleanupCron: '0 2 * * *', // Every day at 2:00 AM
+    timezone: 'America/New_York',
+    retentionWeeks: 12,
+    catchUpGraceHours: 48 // Missed weekly runs older than this are not caught up (0 disables)
+};
+
+// Emits 'job:completed' ({ jobType, trigger, ticker, result }) after every tracked run
+class SchedulerService extends EventEmitter {
+    constructor(theoriqAPI, options = {}) {
+        super();
         this.api = theoriqAPI;
-        this.db = new TheoriqDatabase();
+        this.db = options.database || new TheoriqDatabase();
         this.jobs = [];
+        this.running = false;
+        // Tracked runs still in progress, by run id
+        this.activeRuns = new Map();
+        try {
+            this.collectionWindows = options.collectionWindows
+                || SchedulerService.parseWindows(process.env.COLLECTION_WINDOWS || DEFAULT_COLLECTION_WINDOWS);
+        } catch (error) {
+            console.error(`❌ ${error.message}, using '${DEFAULT_COLLECTION_WINDOWS}'`);
+            this.collectionWindows = [DEFAULT_COLLECTION_WINDOWS];
+        }
+        // Tickers to collect ({ ticker, cron, windows }, null = scheduler default), see setTickers
+        this.tickers = options.tickers || [{ ticker: DEFAULT_TICKER, cron: null, windows: null }];
+
+        try {
+            this.duplicateMode = SchedulerService.parseDuplicateMode(
+                options.duplicateMode || process.env.COLLECTION_DUPLICATE_MODE || 'skip'
+            );
+        } catch (error) {
+            console.error(`❌ ${error.message}, using 'skip'`);
+            this.duplicateMode = 'skip';
+        }
+
+        this.config = {
+            weeklyCron: options.weeklyCron || process.env.WEEKLY_COLLECTION_CRON || DEFAULT_SCHEDULE.weeklyCron,
+            cleanupCron: options.cleanupCron || process.env.CLEANUP_CRON || DEFAULT_SCHEDULE.cleanupCron,
+            timezone: options.timezone || process.env.TIMEZONE || DEFAULT_SCHEDULE.timezone,
+            retentionWeeks: options.retentionWeeks || parseInt(process.env.DATA_RETENTION_WEEKS) || DEFAULT_SCHEDULE.retentionWeeks,
+            catchUpGraceHours: options.catchUpGraceHours !== undefined
+                ? options.catchUpGraceHours
+                : (process.env.CATCH_UP_GRACE_HOURS !== undefined
+                    ? Number(process.env.CATCH_UP_GRACE_HOURS)
+                    : DEFAULT_SCHEDULE.catchUpGraceHours)
+        };
+
+        // Only the settings that fail validation fall back to their defaults
+        Object.keys(DEFAULT_SCHEDULE).forEach((field) => {
+            const errors = this.validateScheduleConfig({ ...DEFAULT_SCHEDULE, [field]: this.config[field] });
+            if (errors.length > 0) {
+                console.error(`❌ ${errors.join('; ')}, using ${field} = ${DEFAULT_SCHEDULE[field]}`);
+                this.config[field] = DEFAULT_SCHEDULE[field];
+            }
+        });
+    }
+
+    // Parse a comma separated list (or array) of windows, rejecting unsupported values
+    static parseWindows(value) {
+        const windows = (Array.isArray(value) ? value : String(value).split(','))
+            .map(window => String(window).trim())
+            .filter(Boolean);
+
+        const invalid = windows.filter(window => !SUPPORTED_WINDOWS.includes(window));
+        if (invalid.length > 0) {
+            throw new Error(`Unsupported collection windows: ${invalid.join(', ')}`);
+        }
+
+        if (windows.length === 0) {
+            throw new Error('At least one collection window is required');
+        }
+
+        return [...new Set(windows)];
     }
 
-    // Schedule weekly data collection every Wednesday at 10:00 AM
+    static parseDuplicateMode(value) {
+        const mode = String(value).trim().toLowerCase();
+        if (!DUPLICATE_MODES.includes(mode)) {
+            throw new Error(`Invalid duplicate mode: ${value} (expected ${DUPLICATE_MODES.join(', ')})`);
+        }
+        return mode;
+    }
+
+    static isValidCron(expression) {
+        return cron.validate(expression);
+    }
+
+    // Tickers with the scheduler defaults filled in for their cron and windows
+    getCollectionTargets() {
+        return this.tickers.map(target => ({
+            ticker: target.ticker,
+            cron: target.cron || this.config.weeklyCron,
+            windows: target.windows || this.collectionWindows,
+            customSchedule: !!target.cron
+        }));
+    }
+
+    // Replace the tickers to collect (e.g. after the ticker list changed) and reschedule their jobs
+    setTickers(tickers) {
+        this.tickers = tickers;
+        console.log(`🏷️ Collecting tickers: ${tickers.map(target => target.ticker).join(', ') || 'none'}`);
+
+        if (this.jobs.some(entry => entry.jobType === 'weekly-collection')) {
+            this.scheduleWeeklyCollection();
+        }
+    }
+
+    // Schedule the weekly data collection of every ticker
+    // (default: every Wednesday at 10:00 AM, unless the ticker has its own cron)
     scheduleWeeklyCollection() {
-        // Schedule for every Wednesday at 10:00 AM
-        const job = cron.schedule('0 10 * * 3', async () => {
-            console.log('📅 Weekly data collection started:', moment().format('YYYY-MM-DD HH:mm:ss'));
-            await this.runWeeklyCollection();
-        }, {
-            scheduled: false,
-            timezone: "America/New_York" // Adjust timezone as needed
-        });
+        const targets = this.getCollectionTargets();
 
-        this.jobs.push({ name: 'weekly-collection', job });
-        return job;
+        // Tickers that are no longer collected lose their job
+        this.jobs
+            .filter(entry => entry.jobType === 'weekly-collection' && !targets.some(target => target.ticker === entry.ticker))
+            .forEach(entry => this.removeJob(entry.name));
+
+        return targets.map(target => this.registerJob(`weekly-collection:${target.ticker}`, target.cron, async () => {
+            console.log(`📅 Weekly data collection started for ${target.ticker}:`, moment().format('YYYY-MM-DD HH:mm:ss'));
+            await this.runWeeklyCollection(target.windows, { trigger: 'cron', ticker: target.ticker });
+        }, { jobType: 'weekly-collection', ticker: target.ticker }));
     }
 
-    // Schedule daily cleanup at 2:00 AM
+    // Schedule daily cleanup (default: every day at 2:00 AM)
     scheduleDailyCleanup() {
-        const job = cron.schedule('0 2 * * *', async () => {
+        return this.registerJob('daily-cleanup', this.config.cleanupCron, async () => {
             console.log('🧹 Daily cleanup started:', moment().format('YYYY-MM-DD HH:mm:ss'));
-            await this.runCleanup();
-        }, {
+            await this.runCleanup({ trigger: 'cron' });
+        }, { jobType: 'cleanup' });
+    }
+
+    // Create a cron job, replacing any existing job with the same name.
+    // meta.jobType is the job_runs type the job records (default: its name), meta.ticker its ticker.
+    registerJob(name, expression, task, meta = {}) {
+        this.removeJob(name);
+
+        const job = cron.schedule(expression, task, {
             scheduled: false,
-            timezone: "America/New_York"
+            timezone: this.config.timezone
         });
 
-        this.jobs.push({ name: 'daily-cleanup', job });
+        const entry = { name, expression, job, started: false, jobType: meta.jobType || name, ticker: meta.ticker || null };
+        this.jobs.push(entry);
+
+        // Jobs replaced while the scheduler is running start immediately
+        if (this.running) {
+            job.start();
+            entry.started = true;
+        }
+
         return job;
     }
 
-    // Manual trigger for weekly collection
-    async runWeeklyCollection() {
+    removeJob(name) {
+        const existing = this.jobs.find(entry => entry.name === name);
+        if (existing) {
+            existing.job.stop();
+            this.jobs = this.jobs.filter(entry => entry !== existing);
+        }
+    }
+
+    // Validate a schedule configuration, returning a list of error messages
+    validateScheduleConfig(config) {
+        const errors = [];
+
+        if (!cron.validate(config.weeklyCron)) {
+            errors.push(`Invalid weekly collection cron expression: ${config.weeklyCron}`);
+        }
+
+        if (!cron.validate(config.cleanupCron)) {
+            errors.push(`Invalid cleanup cron expression: ${config.cleanupCron}`);
+        }
+
         try {
-            console.log('🔄 Starting weekly data collection...');
-            
-            // Collect data for 7d window
-            const result = await this.api.getData('7d');
-            const metrics = this.api.extractMetrics(result.data);
-            const yappers = this.api.extractYappers(result.data, 250);
+            new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+        } catch (error) {
+            errors.push(`Invalid timezone: ${config.timezone}`);
+        }
 
-            console.log(`📊 Collected metrics: ${metrics.totalYappers} yappers, ${metrics.totalTweets} tweets`);
-            console.log(`👥 Collected ${yappers.length} yappers`);
+        if (!Number.isInteger(config.retentionWeeks) || config.retentionWeeks < 1) {
+            errors.push('Retention must be a positive integer number of weeks');
+        }
 
-            // Save to database
-            const snapshot = await this.db.saveSnapshot(metrics, yappers, '7d', result.isLive);
-            console.log(`💾 Snapshot saved: ${snapshot.snapshotId}`);
+        if (typeof config.catchUpGraceHours !== 'number' || isNaN(config.catchUpGraceHours) || config.catchUpGraceHours < 0) {
+            errors.push('Catch-up grace window must be a non-negative number of hours');
+        }
 
-            return {
-                success: true,
-                snapshot,
-                timestamp: moment().toISOString()
-            };
+        return errors;
+    }
+
+    // Apply new schedule settings and reschedule the registered jobs live
+    updateSchedule(changes = {}) {
+        const updated = { ...this.config };
+
+        if (changes.weeklyCron !== undefined) updated.weeklyCron = String(changes.weeklyCron).trim();
+        if (changes.cleanupCron !== undefined) updated.cleanupCron = String(changes.cleanupCron).trim();
+        if (changes.timezone !== undefined) updated.timezone = String(changes.timezone).trim();
+        if (changes.retentionWeeks !== undefined) updated.retentionWeeks = Number(changes.retentionWeeks);
+        if (changes.catchUpGraceHours !== undefined) updated.catchUpGraceHours = Number(changes.catchUpGraceHours);
+
+        const errors = this.validateScheduleConfig(updated);
+        if (errors.length > 0) {
+            return { success: false, errors, timestamp: moment().toISOString() };
+        }
+
+        const previous = this.config;
+        this.config = updated;
+
+        const hasJob = (jobType) => this.jobs.some(entry => entry.jobType === jobType);
+        const timezoneChanged = previous.timezone !== updated.timezone;
+
+        if (hasJob('weekly-collection') && (timezoneChanged || previous.weeklyCron !== updated.weeklyCron)) {
+            this.scheduleWeeklyCollection();
+            console.log(`🔁 Rescheduled weekly collection: ${updated.weeklyCron} (${updated.timezone})`);
+        }
+
+        if (hasJob('cleanup') && (timezoneChanged || previous.cleanupCron !== updated.cleanupCron)) {
+            this.scheduleDailyCleanup();
+            console.log(`🔁 Rescheduled daily cleanup: ${updated.cleanupCron} (${updated.timezone})`);
+        }
+
+        return {
+            success: true,
+            previous,
+            schedule: this.getScheduleInfo(),
+            timestamp: moment().toISOString()
+        };
+    }
 
+    // Next (or previous) fire time of a cron expression in the configured timezone
+    getRunTime(expression, direction = 'next') {
+        try {
+            const interval = cronParser.parseExpression(expression, { tz: this.config.timezone });
+            const date = direction === 'prev' ? interval.prev() : interval.next();
+            return moment(date.toDate()).toISOString();
         } catch (error) {
-            console.error('❌ Weekly collection failed:', error.message);
-            
-            return {
-                success: false,
-                error: error.message,
-                timestamp: moment().toISOString()
-            };
+            console.error(`❌ Could not compute ${direction} run for "${expression}":`, error.message);
+            return null;
+        }
+    }
+
+    // Run a job and record it in job_runs; the task resolves with a { success, ... } result
+    async trackJob(jobType, trigger, task, ticker = null) {
+        const runId = uuidv4();
+        const startedAt = moment();
+
+        try {
+            await this.db.createJobRun(runId, jobType, trigger, startedAt.toISOString(), ticker);
+        } catch (error) {
+            console.error('❌ Could not record job run start:', error.message);
+        }
+
+        this.activeRuns.set(runId, { jobType, trigger, ticker, startedAt: startedAt.toISOString() });
+
+        let result;
+        try {
+            result = await task();
+        } catch (error) {
+            result = { success: false, error: error.message, timestamp: moment().toISOString() };
+        } finally {
+            this.activeRuns.delete(runId);
+        }
+
+        const finishedAt = moment();
+        const successfulWindow = (result.windows || []).find(entry => entry.success);
+
+        try {
+            await this.db.completeJobRun(runId, {
+                status: result.success ? 'success' : (result.partial ? 'partial' : 'failed'),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt.diff(startedAt),
+                errorMessage: result.error,
+                snapshotId: successfulWindow ? successfulWindow.snapshot.snapshotId : null,
+                collectionRunId: result.collectionRunId,
+                details: result.windows
+                    ? { windows: result.windows.map(({ window, success, action, error, snapshot }) => ({
+                        window,
+                        success,
+                        action,
+                        error,
+                        snapshotId: snapshot ? snapshot.snapshotId : undefined
+                    })) }
+                    : null
+            });
+        } catch (error) {
+            console.error('❌ Could not record job run result:', error.message);
+        }
+
+        const tracked = { ...result, jobRunId: runId };
+        this.emit('job:completed', { jobType, trigger, ticker, result: tracked });
+
+        return tracked;
+    }
+
+    // Manual trigger for weekly collection
+    // options.ticker selects the ticker (default THEORIQ); windows default to the ticker's windows
+    // options.trigger records what started the run (cron, an admin route, ...)
+    // options.duplicateMode overrides the configured skip/replace/revision behaviour
+    async runWeeklyCollection(windows, options = {}) {
+        const ticker = options.ticker || DEFAULT_TICKER;
+        const target = this.getCollectionTargets().find(entry => entry.ticker === ticker);
+        const collectWindows = windows || (target ? target.windows : this.collectionWindows);
+        const duplicateMode = options.duplicateMode || this.duplicateMode;
+
+        return this.trackJob(
+            'weekly-collection',
+            options.trigger || 'manual',
+            () => this.collectWindows(collectWindows, duplicateMode, ticker),
+            ticker
+        );
+    }
+
+    // Every window is stored as its own snapshot, linked by a shared collection run id
+    async collectWindows(windows, duplicateMode = this.duplicateMode, ticker = DEFAULT_TICKER) {
+        const collectionRunId = uuidv4();
+        const collectionDate = moment().format('YYYY-MM-DD');
+        const upstreamMode = this.api.mode;
+        const results = [];
+
+        console.log(`🔄 Starting weekly data collection for ${ticker} (${windows.join(', ')}) - run ${collectionRunId}, duplicates: ${duplicateMode}`);
+
+        for (const window of windows) {
+            try {
+                // In skip mode there is no need to call upstream when the period is already stored
+                if (duplicateMode === 'skip') {
+                    const existing = await this.db.getSnapshotForPeriod(window, collectionDate, ticker);
+                    if (existing) {
+                        console.log(`⏭️ [${ticker} ${window}] Snapshot for ${collectionDate} already exists: ${existing.snapshot_id}`);
+                        results.push({
+                            window,
+                            success: true,
+                            action: 'skipped',
+                            snapshot: {
+                                snapshotId: existing.snapshot_id,
+                                collectionDate: existing.collection_date,
+                                windowPeriod: window,
+                                ticker,
+                                collectionRunId: existing.collection_run_id,
+                                revision: existing.revision,
+                                upstreamMode: existing.upstream_mode
+                            }
+                        });
+                        continue;
+                    }
+                }
+
+                // Never store a stale fallback as a new snapshot
+                const result = await this.api.getData(window, { allowStale: false, ticker });
+                const metrics = this.api.extractMetrics(result.data);
+                // Snapshots keep every account; exclusions are applied when serving them
+                const yappers = this.api.extractYappers(result.data, 250, 0, { unfiltered: true });
+
+                console.log(`📊 [${ticker} ${window}] Collected metrics: ${metrics.totalYappers} yappers, ${metrics.totalTweets} tweets`);
+                console.log(`👥 [${ticker} ${window}] Collected ${yappers.length} yappers`);
+
+                // Suspicious data is stored for review instead of being published
+                const previous = await this.db.getLatestSnapshot(window, ticker);
+                const problems = [...validatePayload(result.data), ...checkSnapshot(metrics, yappers, previous)];
+
+                const snapshot = await this.db.saveSnapshot(metrics, yappers, window, result.isLive, {
+                    collectionRunId,
+                    duplicateMode,
+                    ticker,
+                    payload: PayloadArchive.pack(result.data, result.fetch),
+                    upstreamMode: result.upstreamMode,
+                    quarantineReason: problems.length > 0 ? problems.join('; ') : null
+                });
+                console.log(`💾 [${ticker} ${window}] Snapshot ${snapshot.action}: ${snapshot.snapshotId}`);
+
+                if (snapshot.action === 'quarantined') {
+                    results.push({
+                        window,
+                        success: false,
+                        action: 'quarantined',
+                        error: `Snapshot quarantined: ${snapshot.quarantineReason}`,
+                        snapshot
+                    });
+                    continue;
+                }
+
+                results.push({ window, success: true, action: snapshot.action, snapshot });
+            } catch (error) {
+                console.error(`❌ [${ticker} ${window}] Weekly collection failed:`, error.message);
+                results.push({ window, success: false, error: error.message });
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        const failed = results.length - succeeded;
+
+        const countAction = (action) => results.filter(result => result.action === action).length;
+
+        const response = {
+            success: failed === 0,
+            partial: succeeded > 0 && failed > 0,
+            ticker,
+            collectionRunId,
+            duplicateMode,
+            upstreamMode,
+            windows: results,
+            summary: {
+                requested: results.length,
+                succeeded,
+                failed,
+                created: countAction('created'),
+                skipped: countAction('skipped'),
+                replaced: countAction('replaced'),
+                revised: countAction('revised'),
+                quarantined: countAction('quarantined')
+            },
+            timestamp: moment().toISOString()
+        };
+
+        if (failed > 0) {
+            response.error = succeeded > 0
+                ? `Collection failed for: ${results.filter(r => !r.success).map(r => r.window).join(', ')}`
+                : 'Collection failed for all windows';
         }
+
+        return response;
+    }
+
+    // On startup, run the weekly collection of each ticker once if its last scheduled slot was missed
+    // (e.g. the server was down) and the slot is still within the grace window
+    async catchUpMissedCollection() {
+        const graceHours = this.config.catchUpGraceHours;
+        if (!graceHours) {
+            return { success: true, caughtUp: false, reason: 'Catch-up disabled', timestamp: moment().toISOString() };
+        }
+
+        const tickers = [];
+        for (const target of this.getCollectionTargets()) {
+            tickers.push(await this.catchUpTicker(target, graceHours));
+        }
+
+        return {
+            success: tickers.every(result => result.success),
+            caughtUp: tickers.some(result => result.caughtUp),
+            tickers,
+            timestamp: moment().toISOString()
+        };
+    }
+
+    async catchUpTicker({ ticker, cron: expression, windows }, graceHours) {
+        const scheduledFor = this.getRunTime(expression, 'prev');
+        if (!scheduledFor) {
+            return { success: false, ticker, caughtUp: false, error: 'Could not determine the previous scheduled run', timestamp: moment().toISOString() };
+        }
+
+        const hoursSinceSlot = moment().diff(moment(scheduledFor), 'hours', true);
+        if (hoursSinceSlot > graceHours) {
+            console.log(`⏭️ [${ticker}] Last scheduled collection (${scheduledFor}) is outside the ${graceHours}h catch-up window`);
+            return { success: true, ticker, caughtUp: false, reason: 'Outside grace window', scheduledFor, timestamp: moment().toISOString() };
+        }
+
+        // Windows whose latest snapshot predates the missed slot
+        const missedWindows = [];
+        for (const window of windows) {
+            const latest = await this.db.getLatestSnapshot(window, ticker);
+            const latestAt = latest ? moment.utc(latest.created_at, 'YYYY-MM-DD HH:mm:ss') : null;
+            if (!latestAt || latestAt.isBefore(moment(scheduledFor))) {
+                missedWindows.push(window);
+            }
+        }
+
+        if (missedWindows.length === 0) {
+            return { success: true, ticker, caughtUp: false, reason: 'No missed collection', scheduledFor, timestamp: moment().toISOString() };
+        }
+
+        // Only one catch-up attempt per missed slot, even across restarts
+        const previousAttempts = await this.db.getJobRuns({ trigger: 'catch-up', ticker, from: scheduledFor }, 1, 0);
+        if (previousAttempts.total > 0) {
+            console.log(`⏭️ [${ticker}] Catch-up for ${scheduledFor} already attempted (${previousAttempts.runs[0].status})`);
+            return { success: true, ticker, caughtUp: false, reason: 'Catch-up already attempted', scheduledFor, timestamp: moment().toISOString() };
+        }
+
+        console.log(`⏪ [${ticker}] Missed weekly collection scheduled for ${scheduledFor}, catching up (${missedWindows.join(', ')})`);
+        const result = await this.runWeeklyCollection(missedWindows, { trigger: 'catch-up', ticker });
+
+        return { ...result, caughtUp: true, scheduledFor };
     }
 
     // Cleanup old data
-    async runCleanup() {
+    async runCleanup(options = {}) {
+        return this.trackJob('cleanup', options.trigger || 'manual', () => this.cleanOldData());
+    }
+
+    async cleanOldData() {
         try {
             console.log('🧹 Running database cleanup...');
-            await this.db.cleanOldSnapshots(12); // Keep 12 weeks of data
+            const result = await this.db.cleanOldSnapshots(this.config.retentionWeeks);
+            const deletedUsageWindows = await this.db.pruneClientKeyUsage(
+                moment().subtract(this.config.retentionWeeks, 'weeks').toISOString()
+            );
+            const deletedWebhookDeliveries = await this.db.pruneWebhookDeliveries(
+                moment.utc().subtract(this.config.retentionWeeks, 'weeks').format('YYYY-MM-DD HH:mm:ss')
+            );
             console.log('✅ Cleanup completed');
             
-            return { success: true, timestamp: moment().toISOString() };
+            return {
+                success: true,
+                retentionWeeks: this.config.retentionWeeks,
+                ...result,
+                deletedUsageWindows,
+                deletedWebhookDeliveries,
+                timestamp: moment().toISOString()
+            };
         } catch (error) {
             console.error('❌ Cleanup failed:', error.message);
             return { success: false, error: error.message, timestamp: moment().toISOString() };
@@ -88,47 +531,73 @@ class SchedulerService {
 
     // Start all scheduled jobs
     startAll() {
-        this.jobs.forEach(({ name, job }) => {
-            job.start();
-            console.log(`⏰ Started scheduler: ${name}`);
+        this.jobs.forEach((entry) => {
+            entry.job.start();
+            entry.started = true;
+            console.log(`⏰ Started scheduler: ${entry.name}`);
         });
+        this.running = true;
         
         console.log(`🚀 Scheduler service started with ${this.jobs.length} jobs`);
-        console.log('📅 Weekly collection: Every Wednesday at 10:00 AM');
-        console.log('🧹 Daily cleanup: Every day at 2:00 AM');
+        console.log(`📅 Weekly collection: ${this.config.weeklyCron} (${this.collectionWindows.join(', ')})`);
+        console.log(`🧹 Daily cleanup: ${this.config.cleanupCron}, keeping ${this.config.retentionWeeks} weeks`);
+        console.log(`🌎 Timezone: ${this.config.timezone}`);
     }
 
     // Stop all scheduled jobs
     stopAll() {
-        this.jobs.forEach(({ name, job }) => {
-            job.stop();
-            console.log(`⏹️ Stopped scheduler: ${name}`);
+        this.jobs.forEach((entry) => {
+            entry.job.stop();
+            entry.started = false;
+            console.log(`⏹️ Stopped scheduler: ${entry.name}`);
         });
+        this.running = false;
     }
 
-    // Get next scheduled run times
+    // Get next scheduled run times, computed from the configured cron expressions
     getScheduleInfo() {
-        const now = moment();
-        const nextWednesday = moment().day(3).hour(10).minute(0).second(0);
-        
-        // If today is Wednesday and past 10 AM, or it's after Wednesday, get next Wednesday
-        if (nextWednesday.isSameOrBefore(now)) {
-            nextWednesday.add(1, 'week');
-        }
-
-        const nextCleanup = moment().add(1, 'day').hour(2).minute(0).second(0);
-        if (nextCleanup.isSameOrBefore(now)) {
-            nextCleanup.add(1, 'day');
-        }
-
         return {
-            nextWeeklyCollection: nextWednesday.format('YYYY-MM-DD HH:mm:ss'),
-            nextCleanup: nextCleanup.format('YYYY-MM-DD HH:mm:ss'),
+            nextWeeklyCollection: this.getRunTime(this.config.weeklyCron),
+            nextCleanup: this.getRunTime(this.config.cleanupCron),
+            previousWeeklyCollection: this.getRunTime(this.config.weeklyCron, 'prev'),
+            previousCleanup: this.getRunTime(this.config.cleanupCron, 'prev'),
+            weeklyCollectionCron: this.config.weeklyCron,
+            cleanupCron: this.config.cleanupCron,
+            retentionWeeks: this.config.retentionWeeks,
+            catchUpGraceHours: this.config.catchUpGraceHours,
             activeJobs: this.jobs.length,
-            timezone: 'America/New_York'
+            running: this.running,
+            collectionWindows: this.collectionWindows,
+            tickers: this.getCollectionTargets().map(target => ({
+                ...target,
+                nextCollection: this.getRunTime(target.cron)
+            })),
+            duplicateMode: this.duplicateMode,
+            timezone: this.config.timezone
         };
     }
 
+    // State of each registered cron job: whether it is scheduled and whether a run is in progress
+    getJobStatus() {
+        const activeRuns = [...this.activeRuns.values()];
+
+        return this.jobs.map(({ name, expression, started, jobType, ticker }) => {
+            const active = activeRuns.find(run => run.jobType === jobType && run.ticker === ticker);
+
+            return {
+                name,
+                jobType,
+                ticker,
+                expression,
+                scheduled: started,
+                executing: !!active,
+                executingSince: active ? active.startedAt : null,
+                nextRun: started ? this.getRunTime(expression) : null,
+                previousRun: this.getRunTime(expression, 'prev')
+            };
+        });
+    }
+
     // Test run - collect data but don't save
     async testRun() {
         try {
@@ -157,4 +626,7 @@ class SchedulerService {
     }
 }
 
+SchedulerService.SUPPORTED_WINDOWS = SUPPORTED_WINDOWS;
+SchedulerService.DUPLICATE_MODES = DUPLICATE_MODES;
+
 module.exports = SchedulerService; 
\ No newline at end of file
@@ -0,0 +1,211 @@
+const moment = require('moment');
+
+// Validation for the JSON Schema subset used by the route contracts in api-schema.js
+// (path, query and request body):
+// type, enum, format (date, date-time, uri), minimum, maximum, minLength, pattern, items,
+// properties and required. "x-clamp" caps numbers at maximum instead of rejecting them.
+
+const FORMATS = {
+    date: value => moment(value, 'YYYY-MM-DD', true).isValid(),
+    'date-time': value => moment(value, moment.ISO_8601, true).isValid(),
+    uri: value => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+// Query strings and path params arrive as strings: convert them to the declared type.
+// Returns undefined when the value cannot be converted.
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number': {
+            if (value.trim() === '') return undefined;
+            const number = Number(value);
+            return Number.isNaN(number) ? undefined : number;
+        }
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return undefined;
+        case 'array':
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return value;
+    }
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        default: return true;
+    }
+}
+
+// Check a value against a schema. Returns { value, errors } where value is the
+// (possibly clamped) value and errors is a list of messages prefixed with `path`.
+function validateValue(schema, value, path) {
+    const errors = [];
+
+    if (schema.type && !typeMatches(schema.type, value)) {
+        errors.push(`${path} must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}`);
+        return { value, errors };
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        errors.push(`${path} must be a valid ${schema.format}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            if (schema['x-clamp']) {
+                value = schema.maximum;
+            } else {
+                errors.push(`${path} must be <= ${schema.maximum}`);
+            }
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateValue(schema.items, item, `${path}[${index}]`).errors);
+            });
+        }
+    }
+
+    if (schema.type === 'object' && value) {
+        (schema.required || []).forEach((name) => {
+            if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (value[name] !== undefined && value[name] !== null) {
+                errors.push(...validateValue(propertySchema, value[name], `${path}.${name}`).errors);
+            }
+        });
+    }
+
+    return { value, errors };
+}
+
+// Validate the path and query parameters of a request against a route contract.
+// Valid values are written back converted (and defaults filled in); returns the list of problems.
+function validateParameters(parameters, req) {
+    const details = [];
+
+    parameters.forEach((parameter) => {
+        const source = parameter.in === 'path' ? req.params : req.query;
+        const raw = source[parameter.name];
+
+        if (raw === undefined || raw === '') {
+            if (parameter.required) {
+                details.push({
+                    location: parameter.in,
+                    name: parameter.name,
+                    message: parameter.message || `${parameter.name} is required`
+                });
+            } else if (parameter.schema.default !== undefined) {
+                source[parameter.name] = parameter.schema.default;
+            }
+            return;
+        }
+
+        const coerced = coerce(parameter.schema, raw);
+        const { value, errors } = coerced === undefined
+            ? { value: raw, errors: [`${parameter.name} must be ${parameter.schema.type === 'integer' ? 'an integer' : `a ${parameter.schema.type}`}`] }
+            : validateValue(parameter.schema, coerced, parameter.name);
+
+        if (errors.length > 0) {
+            details.push({
+                location: parameter.in,
+                name: parameter.name,
+                // Route specific message when the contract has one, else the first schema error
+                message: parameter.message || errors[0],
+                ...(parameter.schema.enum ? { validValues: parameter.schema.enum } : {})
+            });
+            return;
+        }
+
+        source[parameter.name] = value;
+    });
+
+    return details;
+}
+
+// Validate a JSON request body against a route contract's requestBody, one detail per property.
+// Properties sent as strings are converted like query values (e.g. "7d,30d" for an array).
+function validateBody(schema, req) {
+    if (req.body === undefined || req.body === null) req.body = {};
+
+    if (!typeMatches('object', req.body)) {
+        return [{ location: 'body', name: 'body', message: 'body must be a JSON object' }];
+    }
+
+    const details = [];
+
+    (schema.required || []).forEach((name) => {
+        if (req.body[name] === undefined || req.body[name] === null) {
+            details.push({ location: 'body', name, message: `${name} is required` });
+        }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+        const raw = req.body[name];
+        if (raw === undefined || raw === null || details.some(detail => detail.name === name)) return;
+
+        const coerced = coerce(propertySchema, raw);
+        const { value, errors } = coerced === undefined
+            ? { value: raw, errors: [`${name} must be ${propertySchema.type === 'integer' ? 'an integer' : `a ${propertySchema.type}`}`] }
+            : validateValue(propertySchema, coerced, name);
+
+        if (errors.length > 0) {
+            details.push({
+                location: 'body',
+                name,
+                message: errors[0],
+                ...(propertySchema.enum ? { validValues: propertySchema.enum } : {})
+            });
+            return;
+        }
+
+        req.body[name] = value;
+    });
+
+    return details;
+}
+
+module.exports = {
+    coerce,
+    validateValue,
+    validateParameters,
+    validateBody
+};
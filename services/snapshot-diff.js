@@ -0,0 +1,98 @@
+// Snapshot comparison helpers shared by the diff API and leaderboard events
+
+const METRIC_COLUMNS = {
+    totalYappers: 'total_yappers',
+    totalTweets: 'total_tweets',
+    topImpressions: 'top_impressions',
+    topLikes: 'top_likes'
+};
+
+// Round away floating point noise from mindshare subtraction
+const roundDelta = (value) => Math.round(value * 1e8) / 1e8;
+
+// Compare the aggregate columns of two weekly_snapshots rows
+function diffMetrics(fromSnapshot, toSnapshot) {
+    const metrics = {};
+
+    Object.entries(METRIC_COLUMNS).forEach(([key, column]) => {
+        const from = fromSnapshot[column];
+        const to = toSnapshot[column];
+        const change = (from !== null && to !== null) ? to - from : null;
+
+        metrics[key] = {
+            from,
+            to,
+            change,
+            changePercent: change !== null && from ? Math.round((change / from) * 10000) / 100 : null
+        };
+    });
+
+    return metrics;
+}
+
+// Join two yappers_history row sets on username and classify every account.
+// rankDelta is positive when the account moved up the leaderboard.
+function diffLeaderboards(fromYappers, toYappers) {
+    const fromByUser = new Map(fromYappers.map(y => [y.username.toLowerCase(), y]));
+    const toByUser = new Map(toYappers.map(y => [y.username.toLowerCase(), y]));
+
+    const risers = [];
+    const fallers = [];
+    const unchanged = [];
+    const newEntrants = [];
+    const dropouts = [];
+
+    toYappers.forEach((current) => {
+        const previous = fromByUser.get(current.username.toLowerCase());
+
+        if (!previous) {
+            newEntrants.push({
+                username: current.username,
+                rank: current.rank,
+                mindshare: current.mindshare
+            });
+            return;
+        }
+
+        const entry = {
+            username: current.username,
+            previousRank: previous.rank,
+            rank: current.rank,
+            rankDelta: previous.rank - current.rank,
+            previousMindshare: previous.mindshare,
+            mindshare: current.mindshare,
+            mindshareDelta: roundDelta(current.mindshare - previous.mindshare)
+        };
+
+        if (entry.rankDelta > 0) {
+            risers.push(entry);
+        } else if (entry.rankDelta < 0) {
+            fallers.push(entry);
+        } else {
+            unchanged.push(entry);
+        }
+    });
+
+    fromYappers.forEach((previous) => {
+        if (!toByUser.has(previous.username.toLowerCase())) {
+            dropouts.push({
+                username: previous.username,
+                previousRank: previous.rank,
+                previousMindshare: previous.mindshare
+            });
+        }
+    });
+
+    risers.sort((a, b) => b.rankDelta - a.rankDelta || a.rank - b.rank);
+    fallers.sort((a, b) => a.rankDelta - b.rankDelta || a.rank - b.rank);
+    newEntrants.sort((a, b) => a.rank - b.rank);
+    dropouts.sort((a, b) => a.previousRank - b.previousRank);
+
+    return { risers, fallers, unchanged, newEntrants, dropouts };
+}
+
+module.exports = {
+    METRIC_COLUMNS,
+    diffMetrics,
+    diffLeaderboards
+};
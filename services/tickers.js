@@ -0,0 +1,46 @@
+// Managed list of tracked Kaito tickers (projects), each with its own collection schedule
+
+// Ticker of every snapshot stored before multi-ticker support, and of requests that omit one
+const DEFAULT_TICKER = 'THEORIQ';
+const TICKER_PATTERN = /^[A-Z0-9_]{1,20}$/;
+
+const normalizeTicker = (value) => String(value).trim().toUpperCase();
+
+class TickerService {
+    constructor(database) {
+        this.db = database;
+        // Kept in memory so request handlers can resolve tickers synchronously
+        this.tickers = new Map();
+    }
+
+    async load() {
+        const rows = await this.db.listTickers();
+        this.tickers = new Map(rows.map(row => [row.ticker, row]));
+        return this.tickers.size;
+    }
+
+    get(ticker) {
+        return this.tickers.get(normalizeTicker(ticker)) || null;
+    }
+
+    list() {
+        return [...this.tickers.values()];
+    }
+
+    // What the scheduler collects: active tickers with their own cron and windows (null = scheduler default)
+    getCollectionTargets() {
+        return this.list()
+            .filter(row => row.active)
+            .map(row => ({
+                ticker: row.ticker,
+                cron: row.collection_cron || null,
+                windows: row.collection_windows ? row.collection_windows.split(',') : null
+            }));
+    }
+}
+
+TickerService.DEFAULT_TICKER = DEFAULT_TICKER;
+TickerService.TICKER_PATTERN = TICKER_PATTERN;
+TickerService.normalizeTicker = normalizeTicker;
+
+module.exports = TickerService;
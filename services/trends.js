@@ -0,0 +1,114 @@
+// Time series of the aggregate snapshot metrics for /api/trends
+
+const { METRIC_COLUMNS: AGGREGATE_COLUMNS } = require('./snapshot-diff');
+const { CONCENTRATION_COLUMNS } = require('./concentration');
+
+// API metric name -> weekly_snapshots column
+const METRIC_COLUMNS = { ...AGGREGATE_COLUMNS, ...CONCENTRATION_COLUMNS };
+
+const BUCKETS = ['snapshot', 'month'];
+const MAX_MOVING_AVERAGE = 52;
+
+const round = (value) => Math.round(value * 100) / 100;
+// Values keep more precision: concentration metrics are fractions
+const roundValue = (value) => Math.round(value * 1e6) / 1e6;
+
+// "totalTweets,total_yappers" -> ['totalTweets', 'totalYappers']; empty means the aggregate metrics
+function parseTrendMetrics(value) {
+    if (!value) return Object.keys(AGGREGATE_COLUMNS);
+
+    const byColumn = Object.fromEntries(Object.entries(METRIC_COLUMNS).map(([key, column]) => [column, key]));
+    const metrics = String(value).split(',').map(metric => metric.trim()).filter(Boolean);
+    const invalid = metrics.filter(metric => !METRIC_COLUMNS[metric] && !byColumn[metric]);
+
+    if (invalid.length > 0) {
+        throw new Error(`Unsupported metric: ${invalid.join(', ')} (expected ${Object.keys(METRIC_COLUMNS).join(', ')})`);
+    }
+
+    return [...new Set(metrics.map(metric => (METRIC_COLUMNS[metric] ? metric : byColumn[metric])))];
+}
+
+function parseTrendBucket(value) {
+    const bucket = value || 'snapshot';
+    if (!BUCKETS.includes(bucket)) {
+        throw new Error(`Invalid bucket: ${bucket} (expected ${BUCKETS.join(', ')})`);
+    }
+    return bucket;
+}
+
+function parseMovingAverageWindow(value) {
+    if (value === undefined) return 4;
+
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_MOVING_AVERAGE) {
+        throw new Error(`ma must be an integer between 1 and ${MAX_MOVING_AVERAGE}`);
+    }
+    return size;
+}
+
+// One point per snapshot, or per calendar month with the average of its snapshots
+function toPoints(snapshots, column, bucket) {
+    if (bucket === 'snapshot') {
+        return snapshots.map(snapshot => ({
+            date: snapshot.collection_date,
+            snapshotId: snapshot.snapshot_id,
+            value: snapshot[column]
+        }));
+    }
+
+    const months = new Map();
+    snapshots.forEach((snapshot) => {
+        if (snapshot[column] === null) return;
+        const month = snapshot.collection_date.slice(0, 7);
+        const entry = months.get(month) || { sum: 0, samples: 0 };
+        entry.sum += snapshot[column];
+        entry.samples += 1;
+        months.set(month, entry);
+    });
+
+    return [...months.entries()].map(([month, entry]) => ({
+        date: month,
+        value: roundValue(entry.sum / entry.samples),
+        samples: entry.samples
+    }));
+}
+
+// Change against the previous point and a trailing moving average over `maWindow` points
+function withChanges(points, maWindow) {
+    return points.map((point, index) => {
+        const previous = index > 0 ? points[index - 1] : null;
+        const change = previous && previous.value !== null && point.value !== null ? point.value - previous.value : null;
+
+        const trailing = points.slice(Math.max(0, index - maWindow + 1), index + 1).map(p => p.value);
+        const movingAverage = trailing.length === maWindow && trailing.every(value => value !== null)
+            ? roundValue(trailing.reduce((sum, value) => sum + value, 0) / maWindow)
+            : null;
+
+        return {
+            ...point,
+            value: point.value !== null ? roundValue(point.value) : null,
+            change: change !== null ? roundValue(change) : null,
+            changePercent: change !== null && previous.value ? round((change / previous.value) * 100) : null,
+            movingAverage
+        };
+    });
+}
+
+// snapshots: weekly_snapshots rows in collection_date order
+function buildTrendSeries(snapshots, metrics, bucket, maWindow) {
+    const series = {};
+    metrics.forEach((metric) => {
+        series[metric] = withChanges(toPoints(snapshots, METRIC_COLUMNS[metric], bucket), maWindow);
+    });
+    return series;
+}
+
+module.exports = {
+    METRIC_COLUMNS,
+    BUCKETS,
+    MAX_MOVING_AVERAGE,
+    parseTrendMetrics,
+    parseTrendBucket,
+    parseMovingAverageWindow,
+    buildTrendSeries
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+// live: call upstream; record: call upstream and save every response as a fixture;
+// replay: serve the recorded fixtures; mock: serve synthetic payloads (MockUpstream)
+const UPSTREAM_MODES = ['live', 'record', 'replay', 'mock'];
+
+const MOCK_SCENARIOS = ['ok', 'empty', 'malformed', 'error', 'rate-limit', 'timeout', 'flaky'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+
+function parseUpstreamMode(value) {
+    const mode = String(value).trim().toLowerCase();
+    if (!UPSTREAM_MODES.includes(mode)) {
+        throw new Error(`Unsupported upstream mode: ${value} (expected ${UPSTREAM_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+// Recorded upstream responses, one file per ticker and window (e.g. THEORIQ_7d.json)
+// holding { ticker, window, source, recordedAt, data } where data is the raw response.
+// Recording the same window again replaces its file.
+class UpstreamFixtures {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.UPSTREAM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    }
+
+    fileFor(ticker, window) {
+        return path.join(this.dir, `${ticker}_${window}.json`);
+    }
+
+    async save(ticker, window, data, source) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const file = this.fileFor(ticker, window);
+        const fixture = { ticker, window, source, recordedAt: moment().toISOString(), data };
+
+        // Write then rename so a replaying process never reads a half-written file
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(fixture, null, 2));
+        await fs.promises.rename(`${file}.tmp`, file);
+        return file;
+    }
+
+    async load(ticker, window) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.fileFor(ticker, window), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No recorded fixture for ${ticker} ${window}`);
+            }
+            throw error;
+        }
+
+        return JSON.parse(content).data;
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fixtures = [];
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            try {
+                const { ticker, window, source, recordedAt } = JSON.parse(
+                    await fs.promises.readFile(path.join(this.dir, file), 'utf8')
+                );
+                fixtures.push({ file, ticker, window, source, recordedAt });
+            } catch (error) {
+                fixtures.push({ file, error: error.message });
+            }
+        }
+        return fixtures;
+    }
+}
+
+// Synthetic upstream for offline development and failure testing.
+// 'ok' serves a generated leaderboard in which one pair of neighbours swaps places on every call,
+// so diffs and the live stream see changes. The other scenarios reproduce upstream failures:
+// an empty leaderboard, a body without community_mindshare, HTTP 500 and 429 errors,
+// requests that never answer (cut by the request timeout) and 'flaky', failing every other request.
+class MockUpstream {
+    constructor(options = {}) {
+        this.calls = 0;
+        this.config = { scenario: 'ok', yappers: 100, latencyMs: 0 };
+
+        const errors = this.configure({
+            scenario: options.scenario || process.env.UPSTREAM_MOCK_SCENARIO || 'ok',
+            yappers: options.yappers || parseInt(process.env.UPSTREAM_MOCK_YAPPERS) || 100,
+            latencyMs: options.latencyMs !== undefined
+                ? options.latencyMs
+                : (parseInt(process.env.UPSTREAM_MOCK_LATENCY_MS) || 0)
+        });
+        if (errors.length > 0) {
+            console.error('❌ Invalid mock upstream configuration, using defaults:', errors.join('; '));
+        }
+    }
+
+    static validate(config) {
+        const errors = [];
+
+        if (!MOCK_SCENARIOS.includes(config.scenario)) {
+            errors.push(`Unsupported mock scenario: ${config.scenario} (expected ${MOCK_SCENARIOS.join(', ')})`);
+        }
+
+        if (!Number.isInteger(config.yappers) || config.yappers < 1 || config.yappers > 250) {
+            errors.push('Mock yappers must be an integer between 1 and 250');
+        }
+
+        if (!Number.isInteger(config.latencyMs) || config.latencyMs < 0) {
+            errors.push('Mock latency must be a non-negative integer number of milliseconds');
+        }
+
+        return errors;
+    }
+
+    // Apply a partial configuration; returns the validation errors (nothing changes when there are any)
+    configure(changes = {}) {
+        const updated = { ...this.config };
+
+        if (changes.scenario !== undefined) updated.scenario = String(changes.scenario).trim().toLowerCase();
+        if (changes.yappers !== undefined) updated.yappers = Number(changes.yappers);
+        if (changes.latencyMs !== undefined) updated.latencyMs = Number(changes.latencyMs);
+
+        const errors = MockUpstream.validate(updated);
+        if (errors.length === 0) {
+            this.config = updated;
+        }
+        return errors;
+    }
+
+    // Resolves with an upstream-shaped body or rejects the way a failing request would.
+    // signal is the caller's timeout; the 'timeout' scenario waits for it to fire.
+    async fetch(ticker, window, signal) {
+        this.calls++;
+        const call = this.calls;
+        const { scenario, yappers, latencyMs } = this.config;
+
+        await this.wait(scenario === 'timeout' ? null : latencyMs, signal);
+
+        switch (scenario) {
+            case 'error':
+                throw new Error('HTTP 500 Internal Server Error');
+            case 'rate-limit':
+                throw new Error('HTTP 429 Too Many Requests');
+            case 'flaky':
+                if (call % 2 === 1) throw new Error('HTTP 502 Bad Gateway');
+                break;
+            case 'malformed':
+                return { error: 'Mock upstream returned an unexpected body' };
+            case 'empty':
+                return this.buildPayload(ticker, window, call, 0);
+        }
+
+        return this.buildPayload(ticker, window, call, yappers);
+    }
+
+    // Wait ms (null = until aborted), rejecting like fetch when the signal aborts
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = ms === null ? null : setTimeout(resolve, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                }, { once: true });
+            }
+        });
+    }
+
+    buildPayload(ticker, window, call, count) {
+        // Accounts differ per ticker and window but stay the same across calls
+        const seed = [...`${ticker}:${window}`].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        const accounts = Array.from({ length: count }, (_, index) => `mock_${ticker.toLowerCase()}_${(seed + index) % 1000}`);
+
+        if (count > 1) {
+            const index = call % (count - 1);
+            [accounts[index], accounts[index + 1]] = [accounts[index + 1], accounts[index]];
+        }
+
+        const weights = accounts.map((_, index) => 1 / (index + 1));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const yappers = accounts.map((username, index) => ({
+            rank: index + 1,
+            username,
+            mindshare: Math.round((0.8 * weights[index] / totalWeight) * 1e6) / 1e6,
+            tweet_counts: Math.max(1, Math.round(60 * weights[index])),
+            total_impressions: Math.round(250000 * weights[index]),
+            total_likes: Math.round(9000 * weights[index])
+        }));
+
+        const sum = (field) => yappers.reduce((total, yapper) => total + yapper[field], 0);
+
+        return {
+            community_mindshare: {
+                total_unique_yappers: count * 4 + (call % 10),
+                total_unique_tweets: sum('tweet_counts') * 2,
+                top_250_yapper_impressions: sum('total_impressions'),
+                top_250_yapper_likes: sum('total_likes'),
+                top_250_yappers: yappers
+            }
+        };
+    }
+}
+
+module.exports = {
+    UPSTREAM_MODES,
+    MOCK_SCENARIOS,
+    parseUpstreamMode,
+    UpstreamFixtures,
+    MockUpstream
+};
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const moment = require('moment');
+
+// Webflow CMS field slugs used for each leaderboard value
+const FIELD_MAP = {
+    name: 'name',
+    slug: 'slug',
+    rank: 'rank',
+    mindshare: 'mindshare',
+    tweets: 'tweets',
+    impressions: 'impressions',
+    likes: 'likes',
+    twitterUrl: 'twitter-url'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default HTTP client. Any function with the same signature can be injected,
+// e.g. to point the service at a local mock server in tests.
+const defaultHttpClient = async (method, url, { headers = {}, body, timeout } = {}) => {
+    const response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        timeout
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch (error) {
+        data = text;
+    }
+
+    return {
+        status: response.status,
+        ok: response.ok,
+        retryAfter: response.headers.get('retry-after'),
+        data
+    };
+};
+
+// Webflow slugs: lowercase letters, numbers and hyphens. A username that does not map onto
+// those as is (e.g. a_b, which would meet a-b) gets a short hash of itself appended,
+// so every account keeps its own item and the slug is never empty.
+const toSlug = (username) => {
+    const name = String(username).toLowerCase();
+    const slug = name.replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+    if (slug === name) return slug;
+
+    const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, 8);
+    return slug ? `${slug}-${hash}` : hash;
+};
+
+class WebflowSyncService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.httpClient = options.httpClient || defaultHttpClient;
+        // Optional AccountFlagService: excluded accounts are kept out of the CMS
+        this.accountFlags = options.accountFlags || null;
+        this.apiToken = options.apiToken || process.env.WEBFLOW_API_TOKEN;
+        this.collectionId = options.collectionId || process.env.WEBFLOW_COLLECTION_ID;
+        this.baseUrl = (options.baseUrl || process.env.WEBFLOW_API_BASE_URL || 'https://api.webflow.com/v2').replace(/\/$/, '');
+        this.window = options.window || process.env.WEBFLOW_SYNC_WINDOW || '7d';
+        this.publish = options.publish !== undefined ? options.publish : process.env.WEBFLOW_PUBLISH !== 'false';
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        // Per request; a call that never answers would otherwise keep the sync busy until a restart
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBFLOW_TIMEOUT_MS) || 15000;
+        this.syncing = false;
+    }
+
+    isConfigured() {
+        return !!(this.apiToken && this.collectionId);
+    }
+
+    // Sync a snapshot (default: latest snapshot of the configured window) into the CMS collection
+    async syncSnapshot(snapshotId = null) {
+        if (!this.isConfigured()) {
+            return {
+                success: false,
+                skipped: true,
+                error: 'Webflow sync not configured (WEBFLOW_API_TOKEN and WEBFLOW_COLLECTION_ID are required)',
+                timestamp: moment().toISOString()
+            };
+        }
+
+        if (this.syncing) {
+            return { success: false, busy: true, error: 'A Webflow sync is already running', timestamp: moment().toISOString() };
+        }
+
+        this.syncing = true;
+        const startedAt = moment();
+        let snapshot = null;
+
+        try {
+            snapshot = snapshotId
+                ? await this.db.getCompleteSnapshot(snapshotId, 250, 0)
+                : await this.getLatestSnapshotWithYappers();
+
+            if (!snapshot) {
+                return {
+                    success: false,
+                    error: snapshotId ? 'Snapshot not found' : `No ${this.window} snapshot to sync`,
+                    timestamp: moment().toISOString()
+                };
+            }
+
+            if (snapshot.status === 'quarantined') {
+                return {
+                    success: false,
+                    error: `Snapshot ${snapshot.snapshot_id} is quarantined and cannot be published`,
+                    timestamp: moment().toISOString()
+                };
+            }
+
+            if (snapshot.upstream_mode && snapshot.upstream_mode !== 'live') {
+                return {
+                    success: false,
+                    error: `Snapshot ${snapshot.snapshot_id} was collected in ${snapshot.upstream_mode} mode and cannot be published`,
+                    timestamp: moment().toISOString()
+                };
+            }
+
+            const yappers = this.accountFlags ? this.accountFlags.apply(snapshot.yappers) : snapshot.yappers;
+            console.log(`🌐 Webflow sync started for snapshot ${snapshot.snapshot_id} (${yappers.length} yappers)`);
+
+            const existingItems = await this.listItems();
+            const itemsBySlug = new Map(existingItems.map(item => [item.fieldData && item.fieldData.slug, item]));
+            const wantedSlugs = new Set();
+            const changedItemIds = [];
+            const errors = [];
+            const counts = { created: 0, updated: 0, removed: 0 };
+
+            for (const yapper of yappers) {
+                const slug = toSlug(yapper.username);
+                wantedSlugs.add(slug);
+
+                try {
+                    const fieldData = this.toFieldData(yapper, slug);
+                    const existing = itemsBySlug.get(slug);
+
+                    if (existing) {
+                        await this.request('PATCH', `/collections/${this.collectionId}/items/${existing.id}`, { fieldData });
+                        changedItemIds.push(existing.id);
+                        counts.updated++;
+                    } else {
+                        const created = await this.request('POST', `/collections/${this.collectionId}/items`, {
+                            isArchived: false,
+                            isDraft: false,
+                            fieldData
+                        });
+                        if (created && created.id) changedItemIds.push(created.id);
+                        counts.created++;
+                    }
+                } catch (error) {
+                    errors.push(`${yapper.username}: ${error.message}`);
+                }
+            }
+
+            // Accounts that dropped out of the leaderboard
+            for (const [slug, item] of itemsBySlug) {
+                if (slug && !wantedSlugs.has(slug)) {
+                    try {
+                        await this.request('DELETE', `/collections/${this.collectionId}/items/${item.id}`);
+                        counts.removed++;
+                    } catch (error) {
+                        errors.push(`remove ${slug}: ${error.message}`);
+                    }
+                }
+            }
+
+            if (this.publish && changedItemIds.length > 0) {
+                try {
+                    // Webflow publishes at most 100 items per call
+                    for (let i = 0; i < changedItemIds.length; i += 100) {
+                        await this.request('POST', `/collections/${this.collectionId}/items/publish`, {
+                            itemIds: changedItemIds.slice(i, i + 100)
+                        });
+                    }
+                } catch (error) {
+                    errors.push(`publish: ${error.message}`);
+                }
+            }
+
+            const itemsSynced = counts.created + counts.updated;
+            const status = errors.length === 0 ? 'success' : (itemsSynced > 0 ? 'partial' : 'failed');
+            const errorMessage = errors.length > 0 ? errors.slice(0, 20).join('; ') : null;
+
+            const log = await this.db.logWebflowSync(snapshot.snapshot_id, status, itemsSynced, errorMessage);
+            console.log(`🌐 Webflow sync ${status}: ${counts.created} created, ${counts.updated} updated, ${counts.removed} removed`);
+
+            return {
+                success: status === 'success',
+                status,
+                snapshotId: snapshot.snapshot_id,
+                ...counts,
+                itemsSynced,
+                errors,
+                logId: log.logId,
+                durationMs: moment().diff(startedAt),
+                timestamp: moment().toISOString()
+            };
+        } catch (error) {
+            console.error('❌ Webflow sync failed:', error.message);
+
+            if (snapshot) {
+                await this.db.logWebflowSync(snapshot.snapshot_id, 'failed', 0, error.message)
+                    .catch(logError => console.error('❌ Could not log Webflow sync:', logError.message));
+            }
+
+            return {
+                success: false,
+                status: 'failed',
+                snapshotId: snapshot ? snapshot.snapshot_id : snapshotId,
+                error: error.message,
+                timestamp: moment().toISOString()
+            };
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    // Retry the most recent sync if it did not fully succeed
+    async retryLastFailed() {
+        const [latest] = await this.db.getWebflowSyncLogs(1, 0);
+        if (!latest || latest.sync_status === 'success') {
+            return { success: false, error: 'No failed Webflow sync to retry', timestamp: moment().toISOString() };
+        }
+        return this.syncSnapshot(latest.snapshot_id);
+    }
+
+    async getLatestSnapshotWithYappers() {
+        const latest = await this.db.getLatestSnapshot(this.window);
+        return latest ? this.db.getCompleteSnapshot(latest.snapshot_id, 250, 0) : null;
+    }
+
+    toFieldData(yapper, slug) {
+        return {
+            [FIELD_MAP.name]: yapper.username,
+            [FIELD_MAP.slug]: slug,
+            [FIELD_MAP.rank]: yapper.rank,
+            [FIELD_MAP.mindshare]: yapper.mindshare,
+            [FIELD_MAP.tweets]: yapper.tweets,
+            [FIELD_MAP.impressions]: yapper.impressions,
+            [FIELD_MAP.likes]: yapper.likes,
+            [FIELD_MAP.twitterUrl]: yapper.twitter_url
+        };
+    }
+
+    // All items of the collection (Webflow pages by 100)
+    async listItems() {
+        const items = [];
+        let offset = 0;
+
+        while (true) {
+            const page = await this.request('GET', `/collections/${this.collectionId}/items?limit=100&offset=${offset}`);
+            const pageItems = (page && page.items) || [];
+            items.push(...pageItems);
+
+            const total = page && page.pagination ? page.pagination.total : items.length;
+            offset += pageItems.length;
+
+            if (pageItems.length === 0 || offset >= total) break;
+        }
+
+        return items;
+    }
+
+    // Webflow API call, retrying rate limited (429) and server errors with backoff
+    async request(method, path, body) {
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.httpClient(method, `${this.baseUrl}${path}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body,
+                timeout: this.timeoutMs
+            });
+
+            if (response.ok) {
+                return response.data;
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
+                const detail = response.data && response.data.message ? response.data.message : JSON.stringify(response.data);
+                throw new Error(`Webflow ${method} ${path} failed with ${response.status}: ${detail}`);
+            }
+
+            const retryAfterSeconds = parseInt(response.retryAfter);
+            await sleep(!isNaN(retryAfterSeconds) ? retryAfterSeconds * 1000 : 1000 * Math.pow(2, attempt));
+        }
+    }
+}
+
+WebflowSyncService.toSlug = toSlug;
+
+module.exports = WebflowSyncService;
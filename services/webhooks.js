@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { diffLeaderboards } = require('./snapshot-diff');
+
+// Events a subscription can ask for ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = [
+    'collection.succeeded',
+    'collection.failed',
+    'cleanup.completed',
+    'leaderboard.new_leader',
+    'leaderboard.top10_entry',
+    'ping'
+];
+
+const TOP_N = 10;
+
+// Default HTTP client. Any function with the same signature can be injected.
+const defaultHttpClient = async (url, { headers, body, timeout }) => {
+    const response = await fetch(url, { method: 'POST', headers, body, timeout });
+    return { status: response.status, ok: response.ok };
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Theoriq-Signature: sha256=<hex>
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookService {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.httpClient = options.httpClient || defaultHttpClient;
+        // Optional AccountFlagService so leaderboard events ignore excluded accounts
+        this.accountFlags = options.accountFlags || null;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : (parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 30000);
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+        this.timers = new Map();
+        this.inFlight = new Set();
+    }
+
+    static generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    // Queue an event for every active subscription that wants it,
+    // or for the given subscriptions whatever events they selected
+    async emit(eventType, data, webhookIds = null) {
+        const webhooks = (await this.db.listWebhooks(true)).filter(webhook => webhookIds
+            ? webhookIds.includes(webhook.webhook_id)
+            : webhook.events.includes('*') || webhook.events.includes(eventType)
+        );
+
+        if (webhooks.length === 0) {
+            return { eventType, deliveries: [] };
+        }
+
+        const eventId = uuidv4();
+        const payload = JSON.stringify({
+            id: eventId,
+            type: eventType,
+            createdAt: moment().toISOString(),
+            data
+        });
+
+        const deliveries = [];
+        for (const webhook of webhooks) {
+            const delivery = await this.db.createWebhookDelivery({
+                deliveryId: uuidv4(),
+                webhookId: webhook.webhook_id,
+                eventId,
+                eventType,
+                payload,
+                nextAttemptAt: moment().toISOString()
+            });
+            deliveries.push(delivery.deliveryId);
+            this.scheduleAttempt(delivery.deliveryId, 0);
+        }
+
+        console.log(`📨 Webhook event ${eventType} queued for ${deliveries.length} subscription(s)`);
+        return { eventType, eventId, deliveries };
+    }
+
+    // Turn a tracked scheduler job into webhook events
+    async handleJobCompleted({ jobType, trigger, ticker, result }) {
+        // Simulated runs (/api/admin/simulate/:type) happen in a sandbox database: nothing to announce
+        if (result.simulated) return;
+
+        if (jobType === 'cleanup') {
+            await this.emit('cleanup.completed', {
+                trigger,
+                jobRunId: result.jobRunId,
+                success: result.success,
+                error: result.error,
+                deletedSnapshots: result.deletedSnapshots,
+                deletedYappers: result.deletedYappers,
+                retentionWeeks: result.retentionWeeks
+            });
+            return;
+        }
+
+        if (jobType !== 'weekly-collection') return;
+
+        // Collections of recorded, replayed or mock data (UPSTREAM_MODE) are not announced
+        if (result.upstreamMode && result.upstreamMode !== 'live') {
+            console.log(`⏭️ ${ticker} collection in ${result.upstreamMode} mode: no webhook events`);
+            return;
+        }
+
+        const windows = (result.windows || []).map(({ window, success, action, error, snapshot }) => ({
+            window,
+            success,
+            action,
+            error,
+            snapshotId: snapshot ? snapshot.snapshotId : undefined,
+            collectionDate: snapshot ? snapshot.collectionDate : undefined
+        }));
+
+        await this.emit(result.success || result.partial ? 'collection.succeeded' : 'collection.failed', {
+            trigger,
+            ticker,
+            jobRunId: result.jobRunId,
+            collectionRunId: result.collectionRunId,
+            partial: !!result.partial,
+            error: result.error,
+            windows,
+            summary: result.summary
+        });
+
+        // Leaderboard events only for snapshots with new data
+        for (const entry of windows) {
+            if (entry.success && entry.action !== 'skipped') {
+                await this.emitLeaderboardEvents(entry.window, entry.snapshotId, ticker);
+            }
+        }
+    }
+
+    // Compare a new snapshot's top 10 with the previous snapshot of the same ticker and window
+    async emitLeaderboardEvents(window, snapshotId, ticker) {
+        const history = await this.db.getHistoricalSnapshots(window, 2, 0, ticker);
+        const previous = history.snapshots.find(snapshot => snapshot.snapshot_id !== snapshotId);
+        if (!previous) return;
+
+        const topOf = async (id) => {
+            const yappers = await this.db.getYappersForSnapshot(id, 250, 0);
+            return (this.accountFlags ? this.accountFlags.apply(yappers) : yappers).slice(0, TOP_N);
+        };
+
+        const [previousTop, currentTop] = await Promise.all([topOf(previous.snapshot_id), topOf(snapshotId)]);
+        if (currentTop.length === 0) return;
+
+        const snapshots = {
+            ticker,
+            window,
+            snapshotId,
+            previousSnapshotId: previous.snapshot_id
+        };
+
+        const leader = currentTop[0];
+        const previousLeader = previousTop[0];
+        if (!previousLeader || previousLeader.username.toLowerCase() !== leader.username.toLowerCase()) {
+            await this.emit('leaderboard.new_leader', {
+                ...snapshots,
+                leader: { username: leader.username, mindshare: leader.mindshare, twitterUrl: leader.twitter_url },
+                previousLeader: previousLeader
+                    ? { username: previousLeader.username, mindshare: previousLeader.mindshare }
+                    : null
+            });
+        }
+
+        const { newEntrants } = diffLeaderboards(previousTop, currentTop);
+        if (newEntrants.length > 0) {
+            await this.emit('leaderboard.top10_entry', {
+                ...snapshots,
+                entrants: newEntrants
+            });
+        }
+    }
+
+    scheduleAttempt(deliveryId, delayMs) {
+        clearTimeout(this.timers.get(deliveryId));
+
+        const timer = setTimeout(() => {
+            this.timers.delete(deliveryId);
+            this.attemptDelivery(deliveryId)
+                .catch(error => console.error(`❌ Webhook delivery ${deliveryId} error:`, error.message));
+        }, Math.max(0, delayMs));
+
+        // Pending retries must not keep the process alive
+        timer.unref();
+        this.timers.set(deliveryId, timer);
+    }
+
+    // Attempt a delivery immediately instead of waiting for its timer
+    async deliverNow(deliveryId) {
+        clearTimeout(this.timers.get(deliveryId));
+        this.timers.delete(deliveryId);
+        return this.attemptDelivery(deliveryId);
+    }
+
+    // Send a delivery once; on failure schedule the next attempt with exponential backoff
+    async attemptDelivery(deliveryId) {
+        if (this.inFlight.has(deliveryId)) {
+            return this.db.getWebhookDelivery(deliveryId);
+        }
+
+        this.inFlight.add(deliveryId);
+        try {
+            return await this.sendDelivery(deliveryId);
+        } finally {
+            this.inFlight.delete(deliveryId);
+        }
+    }
+
+    async sendDelivery(deliveryId) {
+        const delivery = await this.db.getWebhookDelivery(deliveryId);
+        if (!delivery || delivery.status !== 'pending') return delivery;
+
+        const webhook = await this.db.getWebhook(delivery.webhook_id);
+        const attempts = delivery.attempts + 1;
+
+        if (!webhook || !webhook.active) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'failed',
+                attempts: delivery.attempts,
+                errorMessage: webhook ? 'Webhook disabled' : 'Webhook deleted'
+            });
+            return this.db.getWebhookDelivery(deliveryId);
+        }
+
+        const timestamp = moment().unix();
+        let responseStatus = null;
+        let errorMessage = null;
+
+        try {
+            const response = await this.httpClient(webhook.url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Theoriq-Webhooks/1.0',
+                    'X-Theoriq-Event': delivery.event_type,
+                    'X-Theoriq-Delivery': deliveryId,
+                    'X-Theoriq-Timestamp': String(timestamp),
+                    'X-Theoriq-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+                },
+                body: delivery.payload,
+                timeout: this.timeoutMs
+            });
+
+            responseStatus = response.status;
+            if (!response.ok) {
+                errorMessage = `Endpoint responded with ${response.status}`;
+            }
+        } catch (error) {
+            errorMessage = error.message;
+        }
+
+        if (!errorMessage) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'success',
+                attempts,
+                responseStatus,
+                deliveredAt: moment().toISOString()
+            });
+            console.log(`✅ Webhook ${delivery.event_type} delivered to ${webhook.url}`);
+        } else if (attempts >= this.maxAttempts) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'failed',
+                attempts,
+                responseStatus,
+                errorMessage
+            });
+            console.error(`❌ Webhook ${delivery.event_type} to ${webhook.url} failed after ${attempts} attempts: ${errorMessage}`);
+        } else {
+            const delayMs = this.retryDelayMs * Math.pow(2, attempts - 1);
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'pending',
+                attempts,
+                responseStatus,
+                errorMessage,
+                nextAttemptAt: moment().add(delayMs, 'ms').toISOString()
+            });
+            console.log(`🔄 Webhook ${delivery.event_type} to ${webhook.url} failed (${errorMessage}), retrying in ${delayMs}ms`);
+            this.scheduleAttempt(deliveryId, delayMs);
+        }
+
+        return this.db.getWebhookDelivery(deliveryId);
+    }
+
+    // Send a stored delivery again right away, whatever its previous outcome
+    async redeliver(deliveryId) {
+        const delivery = await this.db.getWebhookDelivery(deliveryId);
+        if (!delivery) return null;
+
+        await this.db.updateWebhookDelivery(deliveryId, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: moment().toISOString()
+        });
+        return this.deliverNow(deliveryId);
+    }
+
+    // Reschedule deliveries left pending by a previous process
+    async resumePending() {
+        const pending = await this.db.getPendingWebhookDeliveries();
+        pending.forEach(delivery => {
+            this.scheduleAttempt(delivery.delivery_id, moment(delivery.next_attempt_at).diff(moment()));
+        });
+
+        if (pending.length > 0) {
+            console.log(`📨 Resumed ${pending.length} pending webhook deliveries`);
+        }
+        return pending.length;
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+WebhookService.EVENTS = WEBHOOK_EVENTS;
+WebhookService.signPayload = signPayload;
+
+module.exports = WebhookService;
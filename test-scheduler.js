@@ -0,0 +1,809 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const TheoriqDatabase = require('./database/database');
+const SchedulerService = require('./services/scheduler');
+const WebflowSyncService = require('./services/webflow-sync');
+const { DEFAULT_TICKER } = require('./services/tickers');
+
+// Accounts in every generated leaderboard
+const FIXTURE_SIZE = 20;
+const TEST_TRIGGER = 'scheduler-test';
+
+// Upstream-shaped leaderboard; each call rotates the accounts so consecutive snapshots differ
+function buildUpstreamPayload(call) {
+    const yappers = [];
+    for (let rank = 1; rank <= FIXTURE_SIZE; rank++) {
+        const account = ((rank + call - 1) % FIXTURE_SIZE) + 1;
+        yappers.push({
+            rank,
+            username: `test_yapper_${account}`,
+            mindshare: (0.2 / rank).toFixed(6),
+            tweet_counts: 40 - rank,
+            total_impressions: 100000 - rank * 1000,
+            total_likes: 5000 - rank * 100
+        });
+    }
+
+    return {
+        community_mindshare: {
+            total_unique_yappers: 1000 + call,
+            total_unique_tweets: 5000 + call * 10,
+            top_250_yapper_impressions: 1500000,
+            top_250_yapper_likes: 60000,
+            top_250_yappers: yappers
+        }
+    };
+}
+
+// Exercises the scheduler components behind /api/admin/test-scheduler and /api/admin/simulate/:type.
+// Every component runs in its own sandbox: a throwaway SQLite file in the OS temp directory and a
+// stubbed upstream, so production data, job history and the Kaito API are never touched.
+// Each component returns a pass/fail report with per-check timings.
+class SchedulerTester {
+    // options.api is the server's TheoriqAPI; only its parsing (extractMetrics/extractYappers) is used
+    constructor(options = {}) {
+        if (!options.api) {
+            throw new Error('SchedulerTester needs the TheoriqAPI instance to parse upstream data');
+        }
+
+        this.api = options.api;
+    }
+
+    // Stands in for TheoriqAPI: getData serves generated leaderboards (or fails when `failing` is set).
+    // `transform` can rewrite the generated payload, e.g. to break it on purpose.
+    createStubUpstream() {
+        const stub = Object.create(this.api);
+        stub.calls = [];
+        stub.failing = false;
+        stub.transform = null;
+
+        stub.getData = async (window = '7d', options = {}) => {
+            const ticker = options.ticker || DEFAULT_TICKER;
+            stub.calls.push({ window, ticker });
+
+            if (stub.failing) {
+                const error = new Error('All API endpoints failed');
+                error.failures = [{ attempt: 1, endpoint: 'stub', error: 'Simulated upstream outage' }];
+                throw error;
+            }
+
+            const data = buildUpstreamPayload(stub.calls.length);
+            return { data: stub.transform ? stub.transform(data) : data, isLive: true, source: 'stub', upstreamMode: 'live' };
+        };
+
+        return stub;
+    }
+
+    // In-memory Webflow CMS collection behind WebflowSyncService's pluggable httpClient.
+    // Every call is logged; `failNext` holds statuses to answer with before serving normally.
+    createStubWebflow(collectionId) {
+        const items = new Map();
+        let nextId = 1;
+
+        const client = async (method, url, options = {}) => {
+            const { pathname, searchParams } = new URL(url);
+            client.calls.push({ method, path: pathname, headers: options.headers, timeout: options.timeout });
+
+            const status = client.failNext.shift();
+            if (status) {
+                return { status, ok: false, retryAfter: status === 429 ? '0' : null, data: { message: `Stub ${status}` } };
+            }
+
+            const reply = (data, code = 200) => ({ status: code, ok: true, retryAfter: null, data });
+            const itemsPath = `/v2/collections/${collectionId}/items`;
+            const itemId = pathname.startsWith(`${itemsPath}/`) ? pathname.slice(itemsPath.length + 1) : null;
+
+            if (method === 'GET' && pathname === itemsPath) {
+                const offset = parseInt(searchParams.get('offset')) || 0;
+                const limit = parseInt(searchParams.get('limit')) || 100;
+                const all = [...items.values()];
+                return reply({ items: all.slice(offset, offset + limit), pagination: { total: all.length } });
+            }
+            if (method === 'POST' && pathname === itemsPath) {
+                const item = { id: `item_${nextId++}`, fieldData: options.body.fieldData };
+                items.set(item.id, item);
+                return reply(item, 202);
+            }
+            if (method === 'POST' && itemId === 'publish') {
+                return reply({ publishedItemIds: options.body.itemIds });
+            }
+            if (itemId && items.has(itemId) && method === 'PATCH') {
+                items.get(itemId).fieldData = options.body.fieldData;
+                return reply(items.get(itemId));
+            }
+            if (itemId && items.has(itemId) && method === 'DELETE') {
+                items.delete(itemId);
+                return reply(null, 204);
+            }
+
+            return { status: 404, ok: false, retryAfter: null, data: { message: `No stub route for ${method} ${pathname}` } };
+        };
+
+        client.items = items;
+        client.calls = [];
+        client.failNext = [];
+        return client;
+    }
+
+    async createSandbox() {
+        const dbPath = path.join(os.tmpdir(), `theoriq-scheduler-test-${uuidv4()}.db`);
+        const db = new TheoriqDatabase(dbPath);
+        await db.initTables();
+
+        const upstream = this.createStubUpstream();
+        const scheduler = new SchedulerService(upstream, { database: db });
+
+        return { dbPath, db, upstream, scheduler };
+    }
+
+    async destroySandbox({ dbPath, db, scheduler }) {
+        [...scheduler.jobs].forEach(entry => scheduler.removeJob(entry.name));
+        await db.close();
+
+        for (const file of [dbPath, `${dbPath}-journal`]) {
+            await fs.promises.unlink(file).catch(() => {});
+        }
+    }
+
+    // Store a snapshot built from a generated leaderboard, dated collectionDate
+    async seedSnapshot(sandbox, window, collectionDate, call = 1) {
+        const data = buildUpstreamPayload(call);
+        const snapshot = await sandbox.db.saveSnapshot(
+            this.api.extractMetrics(data),
+            this.api.extractYappers(data, 250, 0, { unfiltered: true }),
+            window,
+            true,
+            { collectionRunId: uuidv4() }
+        );
+
+        await sandbox.db.run(
+            'UPDATE weekly_snapshots SET collection_date = ?, created_at = ? WHERE snapshot_id = ?',
+            [collectionDate, `${collectionDate} 10:00:00`, snapshot.snapshotId]
+        );
+
+        return snapshot.snapshotId;
+    }
+
+    // Fire a registered cron task the way node-cron does on schedule, resolving once it finishes
+    runScheduledTask(job) {
+        return new Promise((resolve) => {
+            job.once('task-done', resolve);
+            job.now();
+        });
+    }
+
+    // Run one check, recording whether it passed and how long it took.
+    // The function throws (e.g. an assert) to fail; whatever it returns is reported as details.
+    async check(checks, name, fn) {
+        const started = Date.now();
+
+        try {
+            const details = await fn();
+            checks.push({ name, passed: true, durationMs: Date.now() - started, ...(details ? { details } : {}) });
+        } catch (error) {
+            checks.push({ name, passed: false, durationMs: Date.now() - started, error: error.message });
+        }
+    }
+
+    async runComponent(component, name, steps) {
+        const started = Date.now();
+        const checks = [];
+        let sandbox = null;
+
+        try {
+            sandbox = await this.createSandbox();
+            await steps(sandbox, (checkName, fn) => this.check(checks, checkName, fn));
+        } catch (error) {
+            checks.push({ name: 'Sandbox setup', passed: false, durationMs: Date.now() - started, error: error.message });
+        } finally {
+            if (sandbox) {
+                await this.destroySandbox(sandbox);
+            }
+        }
+
+        const failed = checks.filter(entry => !entry.passed).length;
+
+        return {
+            component,
+            name,
+            success: failed === 0,
+            passed: checks.length - failed,
+            failed,
+            durationMs: Date.now() - started,
+            checks,
+            timestamp: moment().toISOString()
+        };
+    }
+
+    async runFullTest() {
+        const started = Date.now();
+        console.log('🧪 Scheduler test started...');
+
+        // One after the other: each component has its own sandbox database
+        const components = [];
+        for (const test of [
+            () => this.testInstances(),
+            () => this.testWeeklyCollection(),
+            () => this.testCleanup(),
+            () => this.testAPIConnection(),
+            () => this.testScheduleInfo(),
+            () => this.testSnapshotHistory(),
+            () => this.testWebflowSync()
+        ]) {
+            components.push(await test());
+        }
+
+        const failed = components.filter(component => !component.success);
+        console.log(`🧪 Scheduler test finished: ${components.length - failed.length}/${components.length} components passed`);
+
+        return {
+            success: failed.length === 0,
+            passed: components.length - failed.length,
+            failed: failed.length,
+            failedComponents: failed.map(component => component.component),
+            durationMs: Date.now() - started,
+            components,
+            timestamp: moment().toISOString()
+        };
+    }
+
+    // Sandbox wiring: isolated database, valid configuration and job registration
+    async testInstances() {
+        return this.runComponent('instances', 'Service instances', async (sandbox, check) => {
+            const { db, scheduler } = sandbox;
+
+            await check('Database is isolated from production', async () => {
+                const productionPath = path.join(__dirname, 'database', 'theoriq_staging.db');
+                assert.notStrictEqual(path.resolve(db.dbPath), path.resolve(productionPath), 'Sandbox uses the production database');
+                assert.strictEqual(scheduler.db, db, 'Scheduler is not using the sandbox database');
+                return { dbPath: db.dbPath };
+            });
+
+            await check('Database answers queries', async () => {
+                await db.ping();
+                const stats = await db.getStats();
+                assert.strictEqual(stats.totalSnapshots, 0, 'Sandbox database is not empty');
+                return { totalSnapshots: stats.totalSnapshots };
+            });
+
+            await check('Schedule configuration is valid', async () => {
+                const errors = scheduler.validateScheduleConfig(scheduler.config);
+                assert.deepStrictEqual(errors, [], errors.join('; '));
+                return { ...scheduler.config };
+            });
+
+            await check('Jobs register without starting', async () => {
+                scheduler.scheduleWeeklyCollection();
+                scheduler.scheduleDailyCleanup();
+
+                const jobs = scheduler.getJobStatus();
+                const names = jobs.map(job => job.name);
+                assert.ok(names.includes(`weekly-collection:${DEFAULT_TICKER}`), 'Weekly collection job missing');
+                assert.ok(names.includes('daily-cleanup'), 'Daily cleanup job missing');
+                assert.ok(jobs.every(job => !job.scheduled), 'A sandbox job was started');
+                assert.ok(jobs.every(job => job.previousRun), 'Could not compute run times');
+                return { jobs: names };
+            });
+
+            await check('Writes outside a transaction survive its rollback', async () => {
+                let opened;
+                const began = new Promise(resolve => { opened = resolve; });
+                const transaction = db.withTransaction(async () => {
+                    opened();
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    throw new Error('Rolled back on purpose');
+                });
+
+                // Issued while the transaction is open, from outside it
+                await began;
+                const runId = uuidv4();
+                const jobRun = db.createJobRun(runId, 'cleanup', TEST_TRIGGER, moment().toISOString());
+
+                await assert.rejects(transaction, /Rolled back on purpose/);
+                await jobRun;
+
+                const { runs } = await db.getJobRuns({ jobType: 'cleanup' });
+                assert.ok(runs.some(run => run.run_id === runId), 'Job run was rolled back with the transaction');
+                return { runId };
+            });
+        });
+    }
+
+    // Collection of every window, duplicate handling and upstream failures
+    async testWeeklyCollection() {
+        return this.runComponent('weekly', 'Weekly collection', async (sandbox, check) => {
+            const { db, upstream, scheduler } = sandbox;
+            const windows = ['7d', '30d'];
+            let collection = null;
+
+            await check('Collects every window', async () => {
+                collection = await scheduler.runWeeklyCollection(windows, { trigger: TEST_TRIGGER });
+                assert.ok(collection.success, collection.error || 'Collection failed');
+                assert.strictEqual(collection.summary.created, windows.length, 'Not every window was created');
+                assert.strictEqual(upstream.calls.length, windows.length, 'Unexpected number of upstream calls');
+                return {
+                    collectionRunId: collection.collectionRunId,
+                    windows: collection.windows.map(({ window, action, snapshot }) => ({ window, action, snapshotId: snapshot.snapshotId }))
+                };
+            });
+
+            await check('Stores the collected leaderboards', async () => {
+                const stored = [];
+                for (const window of windows) {
+                    const snapshot = await db.getLatestSnapshot(window);
+                    assert.ok(snapshot, `No ${window} snapshot stored`);
+                    assert.strictEqual(snapshot.collection_run_id, collection.collectionRunId, `${window} snapshot not linked to the run`);
+
+                    const yappers = await db.getYapperCountForSnapshot(snapshot.snapshot_id);
+                    assert.strictEqual(yappers, FIXTURE_SIZE, `${window} snapshot has ${yappers} yappers`);
+                    stored.push({ window, snapshotId: snapshot.snapshot_id, yappers });
+                }
+                return { snapshots: stored };
+            });
+
+            await check('Records the job run', async () => {
+                const { runs, total } = await db.getJobRuns({ jobType: 'weekly-collection' });
+                assert.strictEqual(total, 1, `Expected 1 job run, found ${total}`);
+                assert.strictEqual(runs[0].status, 'success', `Job run status is ${runs[0].status}`);
+                assert.strictEqual(runs[0].ticker, DEFAULT_TICKER, 'Job run has no ticker');
+                return { runId: runs[0].run_id, status: runs[0].status };
+            });
+
+            await check('Skips windows already collected today', async () => {
+                const callsBefore = upstream.calls.length;
+                const rerun = await scheduler.runWeeklyCollection(windows, { trigger: TEST_TRIGGER, duplicateMode: 'skip' });
+                assert.ok(rerun.success, rerun.error || 'Collection failed');
+                assert.strictEqual(rerun.summary.skipped, windows.length, 'Existing snapshots were not skipped');
+                assert.strictEqual(upstream.calls.length, callsBefore, 'Upstream was called for stored windows');
+                return { summary: rerun.summary };
+            });
+
+            await check('Stores a revision in revision mode', async () => {
+                const revision = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER, duplicateMode: 'revision' });
+                assert.ok(revision.success, revision.error || 'Collection failed');
+                assert.strictEqual(revision.windows[0].action, 'revised', `Action was ${revision.windows[0].action}`);
+                assert.strictEqual(revision.windows[0].snapshot.revision, 2, 'Revision number not incremented');
+                assert.strictEqual(await db.getSnapshotCount('7d'), 1, 'Superseded revision still listed');
+                return { snapshotId: revision.windows[0].snapshot.snapshotId, revision: revision.windows[0].snapshot.revision };
+            });
+
+            await check('Reports upstream failures without saving', async () => {
+                const before = await db.getLatestSnapshot('7d');
+                upstream.failing = true;
+                const failed = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER, duplicateMode: 'replace' });
+                upstream.failing = false;
+
+                assert.ok(!failed.success, 'Collection succeeded with upstream down');
+                assert.strictEqual(failed.windows[0].success, false, 'Window reported as collected');
+
+                const after = await db.getLatestSnapshot('7d');
+                assert.strictEqual(after.snapshot_id, before.snapshot_id, 'Stored snapshot changed');
+                assert.strictEqual(after.total_yappers, before.total_yappers, 'Stored snapshot was overwritten');
+
+                const { runs } = await db.getJobRuns({ jobType: 'weekly-collection', status: 'failed' });
+                assert.strictEqual(runs.length, 1, 'Failed run not recorded');
+                return { error: failed.error };
+            });
+
+            await check('Quarantines a collapsed leaderboard', async () => {
+                const before = await db.getLatestSnapshot('7d');
+                upstream.transform = (data) => {
+                    data.community_mindshare.total_unique_yappers = 10;
+                    data.community_mindshare.top_250_yappers[1].rank = 1;
+                    return data;
+                };
+                const collapsed = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER, duplicateMode: 'replace' });
+                upstream.transform = null;
+
+                const [entry] = collapsed.windows;
+                assert.strictEqual(entry.action, 'quarantined', `Action was ${entry.action}`);
+                assert.ok(/Duplicate ranks/.test(entry.error) && /Totals collapsed.*total_yappers/.test(entry.error), `Unexpected reason: ${entry.error}`);
+
+                const after = await db.getLatestSnapshot('7d');
+                assert.strictEqual(after.snapshot_id, before.snapshot_id, 'Quarantined snapshot was published');
+
+                const quarantined = await db.getQuarantinedSnapshots({ window: '7d' });
+                assert.strictEqual(quarantined.length, 1, `Found ${quarantined.length} quarantined snapshots`);
+                assert.ok(await db.discardSnapshot(entry.snapshot.snapshotId), 'Quarantined snapshot not discarded');
+                assert.strictEqual(await db.getYapperCountForSnapshot(entry.snapshot.snapshotId), 0, 'Discarded yappers left behind');
+                return { snapshotId: entry.snapshot.snapshotId, reason: entry.error };
+            });
+
+            await check('Does not reuse the revision of a quarantined snapshot', async () => {
+                upstream.transform = (data) => {
+                    data.community_mindshare.top_250_yappers = [];
+                    return data;
+                };
+                const quarantined = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER, duplicateMode: 'revision' });
+                upstream.transform = null;
+                const revised = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER, duplicateMode: 'revision' });
+
+                const held = quarantined.windows[0].snapshot;
+                const current = revised.windows[0].snapshot;
+                assert.strictEqual(quarantined.windows[0].action, 'quarantined', `Action was ${quarantined.windows[0].action}`);
+                assert.strictEqual(revised.windows[0].action, 'revised', `Action was ${revised.windows[0].action}`);
+                assert.strictEqual(current.revision, held.revision + 1, `Revision ${current.revision} after quarantined revision ${held.revision}`);
+                return { quarantinedRevision: held.revision, revision: current.revision };
+            });
+
+            // Tickers without their own cron all fire on the default schedule at the same minute
+            await check('Collects two tickers concurrently', async () => {
+                const tickers = [DEFAULT_TICKER, 'KAITO'];
+                const collections = await Promise.all(tickers.map(ticker => scheduler.runWeeklyCollection(['7d'], {
+                    trigger: TEST_TRIGGER,
+                    ticker,
+                    duplicateMode: 'revision'
+                })));
+
+                collections.forEach((collection, index) => {
+                    assert.ok(collection.success, `${tickers[index]}: ${collection.error || 'Collection failed'}`);
+                });
+
+                const latest = await Promise.all(tickers.map(ticker => db.getLatestSnapshot('7d', ticker)));
+                latest.forEach((snapshot, index) => {
+                    assert.strictEqual(snapshot.snapshot_id, collections[index].windows[0].snapshot.snapshotId, `${tickers[index]} snapshot not stored`);
+                });
+                return { snapshots: latest.map(snapshot => ({ ticker: snapshot.ticker, snapshotId: snapshot.snapshot_id })) };
+            });
+        });
+    }
+
+    // Retention: old snapshots and their yappers go, recent ones stay
+    async testCleanup() {
+        return this.runComponent('cleanup', 'Data cleanup', async (sandbox, check) => {
+            const { db, scheduler } = sandbox;
+            const retentionWeeks = scheduler.config.retentionWeeks;
+            const expiredDate = moment().subtract(retentionWeeks + 1, 'weeks').format('YYYY-MM-DD');
+            const recentDate = moment().subtract(1, 'week').format('YYYY-MM-DD');
+
+            const expiredId = await this.seedSnapshot(sandbox, '7d', expiredDate, 1);
+            const recentId = await this.seedSnapshot(sandbox, '7d', recentDate, 2);
+
+            await check('Removes snapshots past retention', async () => {
+                const result = await scheduler.runCleanup({ trigger: TEST_TRIGGER });
+                assert.ok(result.success, result.error || 'Cleanup failed');
+                assert.strictEqual(result.deletedSnapshots, 1, `Deleted ${result.deletedSnapshots} snapshots`);
+                assert.strictEqual(result.deletedYappers, FIXTURE_SIZE, `Deleted ${result.deletedYappers} yappers`);
+                assert.strictEqual(await db.getCompleteSnapshot(expiredId), null, 'Expired snapshot still stored');
+                return { retentionWeeks, cutoffDate: result.cutoffDate, deletedSnapshots: result.deletedSnapshots };
+            });
+
+            await check('Keeps snapshots within retention', async () => {
+                const recent = await db.getCompleteSnapshot(recentId);
+                assert.ok(recent, 'Recent snapshot was removed');
+                assert.strictEqual(recent.yappers.length, FIXTURE_SIZE, 'Recent snapshot lost yappers');
+                return { snapshotId: recentId, collectionDate: recent.collection_date };
+            });
+
+            await check('Records the job run', async () => {
+                const { runs, total } = await db.getJobRuns({ jobType: 'cleanup' });
+                assert.strictEqual(total, 1, `Expected 1 job run, found ${total}`);
+                assert.strictEqual(runs[0].status, 'success', `Job run status is ${runs[0].status}`);
+                return { runId: runs[0].run_id };
+            });
+
+            await check('Succeeds with nothing to clean', async () => {
+                const result = await scheduler.runCleanup({ trigger: TEST_TRIGGER });
+                assert.ok(result.success, result.error || 'Cleanup failed');
+                assert.strictEqual(result.deletedSnapshots, 0, 'Deleted snapshots on the second run');
+            });
+        });
+    }
+
+    // Upstream integration against the stub: parsing, test runs and failures
+    async testAPIConnection() {
+        return this.runComponent('api', 'Upstream integration', async (sandbox, check) => {
+            const { db, upstream, scheduler } = sandbox;
+
+            await check('Parses the upstream payload', async () => {
+                const result = await upstream.getData('7d', { allowStale: false });
+                const expected = result.data.community_mindshare;
+
+                const metrics = upstream.extractMetrics(result.data);
+                assert.strictEqual(metrics.totalYappers, expected.total_unique_yappers, 'totalYappers not parsed');
+                assert.strictEqual(metrics.totalTweets, expected.total_unique_tweets, 'totalTweets not parsed');
+
+                const yappers = upstream.extractYappers(result.data, 250, 0, { unfiltered: true });
+                assert.strictEqual(yappers.length, FIXTURE_SIZE, `Parsed ${yappers.length} yappers`);
+                assert.ok(yappers.every((yapper, index) => yapper.rank === index + 1), 'Ranks not parsed in order');
+                assert.ok(yappers.every(yapper => typeof yapper.mindshare === 'number'), 'Mindshare not numeric');
+                return { metrics, topYapper: yappers[0] };
+            });
+
+            await check('Test run does not save', async () => {
+                const result = await scheduler.testRun();
+                assert.ok(result.success, result.error || 'Test run failed');
+                assert.ok(result.yappers.length > 0 && result.yappers.length <= 5, 'Unexpected test run preview');
+
+                const stats = await db.getStats();
+                assert.strictEqual(stats.totalSnapshots, 0, 'Test run stored a snapshot');
+                return { metrics: result.metrics };
+            });
+
+            await check('Collection fails when upstream is down', async () => {
+                upstream.failing = true;
+                const result = await scheduler.runWeeklyCollection(['7d'], { trigger: TEST_TRIGGER });
+                upstream.failing = false;
+
+                assert.ok(!result.success, 'Collection succeeded with upstream down');
+                assert.strictEqual(result.windows[0].error, 'All API endpoints failed', `Unexpected error: ${result.windows[0].error}`);
+                assert.strictEqual(await db.getSnapshotCount('7d'), 0, 'A snapshot was stored');
+                return { error: result.error };
+            });
+        });
+    }
+
+    // Run time computation and live rescheduling
+    async testScheduleInfo() {
+        return this.runComponent('schedule', 'Schedule', async (sandbox, check) => {
+            const { scheduler } = sandbox;
+
+            await check('Computes next and previous runs', async () => {
+                const info = scheduler.getScheduleInfo();
+                const now = moment();
+                assert.ok(moment(info.nextWeeklyCollection).isAfter(now), 'Next weekly collection is not in the future');
+                assert.ok(moment(info.previousWeeklyCollection).isBefore(now), 'Previous weekly collection is not in the past');
+                assert.ok(moment(info.nextCleanup).isAfter(now), 'Next cleanup is not in the future');
+                assert.ok(moment(info.previousCleanup).isBefore(now), 'Previous cleanup is not in the past');
+                return {
+                    nextWeeklyCollection: info.nextWeeklyCollection,
+                    nextCleanup: info.nextCleanup,
+                    timezone: info.timezone
+                };
+            });
+
+            await check('Rejects invalid settings', async () => {
+                const before = { ...scheduler.config };
+                const result = scheduler.updateSchedule({ weeklyCron: 'not a cron', retentionWeeks: 0 });
+                assert.ok(!result.success, 'Invalid schedule accepted');
+                assert.strictEqual(result.errors.length, 2, `Expected 2 errors, got ${result.errors.length}`);
+                assert.deepStrictEqual(scheduler.config, before, 'Configuration changed');
+                return { errors: result.errors };
+            });
+
+            await check('Keeps valid settings when another one is invalid', async () => {
+                const configured = new SchedulerService(sandbox.upstream, {
+                    database: sandbox.db,
+                    cleanupCron: 'not a cron',
+                    weeklyCron: '0 9 * * 1',
+                    timezone: 'Europe/Lisbon'
+                });
+                assert.notStrictEqual(configured.config.cleanupCron, 'not a cron', 'Invalid cleanup cron kept');
+                assert.strictEqual(configured.config.weeklyCron, '0 9 * * 1', 'Valid weekly cron reset');
+                assert.strictEqual(configured.config.timezone, 'Europe/Lisbon', 'Valid timezone reset');
+                return { ...configured.config };
+            });
+
+            await check('Reschedules jobs live', async () => {
+                scheduler.scheduleWeeklyCollection();
+                scheduler.scheduleDailyCleanup();
+
+                const expression = scheduler.config.weeklyCron === '0 9 * * 1' ? '0 9 * * 2' : '0 9 * * 1';
+                const result = scheduler.updateSchedule({ weeklyCron: expression });
+                assert.ok(result.success, (result.errors || []).join('; '));
+
+                const job = scheduler.getJobStatus().find(entry => entry.name === `weekly-collection:${DEFAULT_TICKER}`);
+                assert.strictEqual(job.expression, expression, 'Job kept the previous expression');
+                assert.strictEqual(result.schedule.nextWeeklyCollection, scheduler.getRunTime(expression), 'Next run not recomputed');
+                return { weeklyCron: expression, nextWeeklyCollection: result.schedule.nextWeeklyCollection };
+            });
+
+            await check('Schedules tickers with their own cron', async () => {
+                scheduler.setTickers([
+                    { ticker: DEFAULT_TICKER, cron: null, windows: null },
+                    { ticker: 'SANDBOX', cron: '0 12 * * *', windows: ['30d'] }
+                ]);
+
+                const job = scheduler.getJobStatus().find(entry => entry.name === 'weekly-collection:SANDBOX');
+                assert.ok(job, 'Ticker job not registered');
+                assert.strictEqual(job.expression, '0 12 * * *', 'Ticker job ignores its cron');
+
+                scheduler.setTickers([{ ticker: DEFAULT_TICKER, cron: null, windows: null }]);
+                assert.ok(
+                    !scheduler.getJobStatus().some(entry => entry.name === 'weekly-collection:SANDBOX'),
+                    'Removed ticker still scheduled'
+                );
+                return { targets: scheduler.getCollectionTargets() };
+            });
+        });
+    }
+
+    // Reading stored snapshots back: ordering, pagination and per-yapper history
+    async testSnapshotHistory() {
+        return this.runComponent('history', 'Snapshot history', async (sandbox, check) => {
+            const { db } = sandbox;
+            const dates = [3, 2, 1].map(weeks => moment().subtract(weeks, 'weeks').format('YYYY-MM-DD'));
+
+            const snapshotIds = [];
+            for (const [index, date] of dates.entries()) {
+                snapshotIds.push(await this.seedSnapshot(sandbox, '7d', date, index + 1));
+            }
+            await this.seedSnapshot(sandbox, '30d', dates[2], 1);
+
+            await check('Lists snapshots newest first', async () => {
+                const history = await db.getHistoricalSnapshots('7d', 10, 0);
+                assert.deepStrictEqual(
+                    history.snapshots.map(snapshot => snapshot.snapshot_id),
+                    [...snapshotIds].reverse(),
+                    'Snapshots out of order'
+                );
+                assert.strictEqual(await db.getSnapshotCount('7d'), snapshotIds.length, 'Wrong snapshot count');
+                return { count: history.count };
+            });
+
+            await check('Paginates history', async () => {
+                const page = await db.getHistoricalSnapshots('7d', 1, 1);
+                assert.strictEqual(page.count, 1, 'Page size ignored');
+                assert.strictEqual(page.snapshots[0].snapshot_id, snapshotIds[1], 'Offset ignored');
+            });
+
+            await check('Latest snapshot is the newest', async () => {
+                const latest = await db.getLatestSnapshot('7d');
+                assert.strictEqual(latest.snapshot_id, snapshotIds[2], 'Latest snapshot is not the newest');
+                return { snapshotId: latest.snapshot_id, collectionDate: latest.collection_date };
+            });
+
+            await check('Loads a complete snapshot', async () => {
+                const snapshot = await db.getCompleteSnapshot(snapshotIds[0]);
+                assert.strictEqual(snapshot.yappers.length, FIXTURE_SIZE, `Loaded ${snapshot.yappers.length} yappers`);
+                assert.strictEqual(snapshot.yappers[0].rank, 1, 'Yappers not in rank order');
+            });
+
+            await check('Tracks a yapper across snapshots', async () => {
+                const entries = await db.getYapperHistory('test_yapper_1', '7d');
+                assert.strictEqual(entries.length, snapshotIds.length, `Found ${entries.length} entries`);
+                // The generated leaderboards rotate the accounts by one place per snapshot
+                const ranks = entries.map(entry => entry.rank);
+                assert.deepStrictEqual(ranks, [FIXTURE_SIZE, FIXTURE_SIZE - 1, FIXTURE_SIZE - 2], `Unexpected ranks ${ranks.join(', ')}`);
+                return { ranks };
+            });
+
+            await check('Keeps windows apart', async () => {
+                assert.strictEqual(await db.getSnapshotCount('30d'), 1, 'Wrong 30d snapshot count');
+                const latest = await db.getLatestSnapshot('30d');
+                assert.ok(!snapshotIds.includes(latest.snapshot_id), '30d history returned a 7d snapshot');
+            });
+        });
+    }
+
+    // Webflow sync against the stub collection: upserts, removals, retries and failures
+    async testWebflowSync() {
+        return this.runComponent('webflow', 'Webflow sync', async (sandbox, check) => {
+            const { db } = sandbox;
+            const collectionId = 'test-collection';
+            const webflow = this.createStubWebflow(collectionId);
+            const sync = new WebflowSyncService(db, {
+                httpClient: webflow,
+                apiToken: 'test-token',
+                collectionId,
+                baseUrl: 'https://webflow.test/v2',
+                window: '7d',
+                publish: true,
+                timeoutMs: 5000
+            });
+            const snapshotId = await this.seedSnapshot(sandbox, '7d', moment().format('YYYY-MM-DD'), 1);
+
+            await check('Creates an item per yapper', async () => {
+                const result = await sync.syncSnapshot();
+                assert.strictEqual(result.status, 'success', result.error || result.errors.join('; '));
+                assert.strictEqual(result.snapshotId, snapshotId, 'Did not sync the latest snapshot');
+                assert.strictEqual(result.created, FIXTURE_SIZE, `Created ${result.created} items`);
+                assert.strictEqual(webflow.items.size, FIXTURE_SIZE, `Collection has ${webflow.items.size} items`);
+                assert.ok(webflow.calls.some(call => call.path.endsWith('/items/publish')), 'Items were not published');
+                return { created: result.created, requests: webflow.calls.length };
+            });
+
+            await check('Sends credentials and a timeout with every request', async () => {
+                assert.ok(webflow.calls.every(call => call.headers.Authorization === 'Bearer test-token'), 'Missing API token');
+                assert.ok(webflow.calls.every(call => call.timeout === 5000), 'Missing request timeout');
+            });
+
+            await check('Updates existing items and removes dropouts', async () => {
+                const dropout = { id: 'item_dropout', fieldData: { name: 'gone_yapper', slug: WebflowSyncService.toSlug('gone_yapper') } };
+                webflow.items.set(dropout.id, dropout);
+
+                const result = await sync.syncSnapshot(snapshotId);
+                assert.strictEqual(result.status, 'success', result.error || result.errors.join('; '));
+                assert.strictEqual(result.created, 0, `Created ${result.created} items`);
+                assert.strictEqual(result.updated, FIXTURE_SIZE, `Updated ${result.updated} items`);
+                assert.strictEqual(result.removed, 1, `Removed ${result.removed} items`);
+                assert.ok(!webflow.items.has(dropout.id), 'Dropout item still in the collection');
+                return { updated: result.updated, removed: result.removed };
+            });
+
+            await check('Retries rate limited requests', async () => {
+                webflow.failNext.push(429);
+                const result = await sync.syncSnapshot(snapshotId);
+                assert.strictEqual(result.status, 'success', result.error || result.errors.join('; '));
+                assert.strictEqual(webflow.items.size, FIXTURE_SIZE, 'Retry changed the collection');
+            });
+
+            await check('Gives every username its own slug', async () => {
+                const slugs = ['a_b', 'a-b', 'A_B_', '___', '__'].map(WebflowSyncService.toSlug);
+                assert.ok(slugs.every(Boolean), 'Empty slug');
+                assert.ok(slugs.every(slug => /^[a-z0-9-]+$/.test(slug)), `Invalid slug in ${slugs.join(', ')}`);
+                assert.strictEqual(new Set(slugs).size, slugs.length, `Colliding slugs: ${slugs.join(', ')}`);
+                return { slugs };
+            });
+
+            await check('Logs a failed sync and stays available', async () => {
+                webflow.failNext.push(401);
+                const failed = await sync.syncSnapshot(snapshotId);
+                assert.strictEqual(failed.status, 'failed', `Sync status is ${failed.status}`);
+                assert.ok(!sync.syncing, 'Sync still marked as running');
+
+                const [log] = await db.getWebflowSyncLogs(1, 0);
+                assert.strictEqual(log.sync_status, 'failed', `Logged status is ${log.sync_status}`);
+
+                const retried = await sync.retryLastFailed();
+                assert.strictEqual(retried.status, 'success', retried.error || 'Retry failed');
+                return { error: failed.error };
+            });
+        });
+    }
+
+    // What a scheduled run would do, executed in a sandbox. The caller records it as a job run,
+    // so the sandbox job history is not reported and no snapshot ids leak into the result.
+    async simulateScheduledRun(type) {
+        if (!['weekly', 'cleanup'].includes(type)) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const report = await this.runComponent(`simulate:${type}`, `Simulated ${type} run`, async (sandbox, check) => {
+            const { db, scheduler } = sandbox;
+
+            if (type === 'weekly') {
+                const windows = scheduler.getCollectionTargets()[0].windows;
+
+                await check('Scheduled collection runs', async () => {
+                    await this.runScheduledTask(scheduler.scheduleWeeklyCollection()[0]);
+
+                    const { runs } = await db.getJobRuns({ jobType: 'weekly-collection', trigger: 'cron' });
+                    assert.strictEqual(runs.length, 1, 'Scheduled task did not record a run');
+                    assert.strictEqual(runs[0].status, 'success', runs[0].error_message || `Run status is ${runs[0].status}`);
+                    return { windows, durationMs: runs[0].duration_ms };
+                });
+
+                await check('Every window is stored', async () => {
+                    for (const window of windows) {
+                        assert.ok(await db.getLatestSnapshot(window), `No ${window} snapshot stored`);
+                    }
+                    return { windows };
+                });
+                return;
+            }
+
+            const expiredDate = moment().subtract(scheduler.config.retentionWeeks + 1, 'weeks').format('YYYY-MM-DD');
+            await this.seedSnapshot(sandbox, '7d', expiredDate, 1);
+
+            await check('Scheduled cleanup runs', async () => {
+                await this.runScheduledTask(scheduler.scheduleDailyCleanup());
+
+                const { runs } = await db.getJobRuns({ jobType: 'cleanup', trigger: 'cron' });
+                assert.strictEqual(runs.length, 1, 'Scheduled task did not record a run');
+                assert.strictEqual(runs[0].status, 'success', runs[0].error_message || `Run status is ${runs[0].status}`);
+                return { durationMs: runs[0].duration_ms };
+            });
+
+            await check('Expired snapshots are removed', async () => {
+                assert.strictEqual((await db.getStats()).totalSnapshots, 0, 'Expired snapshot still stored');
+                return { retentionWeeks: scheduler.config.retentionWeeks };
+            });
+        });
+
+        return {
+            success: report.success,
+            simulated: true,
+            ...(report.success ? {} : { error: report.checks.filter(entry => !entry.passed).map(entry => entry.error).join('; ') }),
+            report
+        };
+    }
+}
+
+SchedulerTester.FIXTURE_SIZE = FIXTURE_SIZE;
+
+module.exports = SchedulerTester;